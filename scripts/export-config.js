@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Print the built-in routing configuration as JSON (starting point for KV edits)
+import { DEFAULT_ROUTING_CONFIG } from "../src/routing/default-config.js";
+
+console.log(JSON.stringify(DEFAULT_ROUTING_CONFIG, null, 2));
@@ -0,0 +1,28 @@
+// Read the parts of wrangler.toml the scripts need: [vars] values and the
+// bindings as { name, type }, the type being the section that declares it
+// ("kv_namespaces", "ai", "queues.producers"). Not a TOML parser; it only
+// understands the flat `name = "value"` lines wrangler.toml uses.
+import { readFile } from "node:fs/promises";
+
+export async function readWranglerConfig(file = "wrangler.toml") {
+  const vars = {};
+  const bindings = [];
+  let section = "";
+
+  for (const line of (await readFile(file, "utf8")).split("\n")) {
+    const header = line.trim().match(/^\[+([^\]]+)\]+$/);
+    if (header) {
+      section = header[1];
+      continue;
+    }
+
+    const entry = line.trim().match(/^([A-Za-z0-9_]+)\s*=\s*"([^"]*)"/);
+    if (!entry) continue;
+    if (section === "vars") vars[entry[1]] = entry[2];
+    else if (entry[1] === "binding") {
+      bindings.push({ name: entry[2], type: section });
+    }
+  }
+
+  return { vars, bindings };
+}
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// Publish routing.json as a new configuration version through the admin API.
+// Needs EMAIL_WORKER_URL and CHITTY_API_KEY; optional message as argument.
+import { readFile } from "node:fs/promises";
+
+const { EMAIL_WORKER_URL, CHITTY_API_KEY, USER } = process.env;
+if (!EMAIL_WORKER_URL || !CHITTY_API_KEY) {
+  console.error("Set EMAIL_WORKER_URL and CHITTY_API_KEY to publish");
+  process.exit(1);
+}
+
+const config = JSON.parse(await readFile("routing.json", "utf8"));
+const response = await fetch(new URL("/admin/config", EMAIL_WORKER_URL), {
+  method: "POST",
+  headers: {
+    Authorization: `Bearer ${CHITTY_API_KEY}`,
+    "Content-Type": "application/json",
+    "X-ChittyOS-Actor": USER || "config:publish",
+  },
+  body: JSON.stringify({
+    config,
+    message: process.argv[2] || "Published routing.json",
+  }),
+});
+
+const result = await response.json();
+if (!response.ok) {
+  console.error(`Publish failed (${response.status}): ${result.error}`);
+  for (const issue of result.validation?.errors || []) {
+    console.error(`  ${issue.message}`);
+  }
+  process.exit(1);
+}
+for (const issue of result.warnings || []) {
+  console.warn(`warning: ${issue.message}`);
+}
+console.log(`Published and activated version ${result.version}`);
@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+// Replay .eml files through the worker's email() handler with local
+// stand-ins for KV, Workers AI and the routers, and print what happened to
+// each message: outcome, route reason, headers added, router posts, posts
+// queued for retry and the records stored. Nothing leaves the machine.
+//
+//   node scripts/replay-eml.js <file.eml | directory>... [options]
+//
+//   --config <file>   routing configuration (default: built-in defaults)
+//   --state <file>    KV entries to start from, { "BINDING": { key: value } }
+//                     (delegations, aliases, rate counters, ...)
+//   --ai <class>      classify every message as <class>; without it there
+//                     is no AI binding and the AI stages are skipped
+//   --fail <router>   answer 503 from a router: litigation, finance,
+//                     compliance or tracking (repeatable)
+//   --from, --to      envelope override (default: Return-Path/From and
+//                     Delivered-To/X-Original-To/To headers)
+//   --json            print results as JSON; transaction IDs and timings
+//                     are masked so runs can be diffed against a baseline
+import { readdir, readFile, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import worker from "../email-worker.js";
+import { extractAddress, parseRawEmail } from "../src/message.js";
+import { saveRoutingConfig } from "../src/routing/config.js";
+import { readWranglerConfig } from "./lib/wrangler.js";
+
+const ROUTERS = {
+  litigation: "EVIDENCE_ROUTER_URL",
+  finance: "FINANCE_ROUTER_URL",
+  compliance: "COMPLIANCE_ROUTER_URL",
+  tracking: "TRACKING_ROUTER_URL",
+};
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      config: { type: "string" },
+      state: { type: "string" },
+      ai: { type: "string" },
+      fail: { type: "string", multiple: true, default: [] },
+      from: { type: "string" },
+      to: { type: "string" },
+      json: { type: "boolean", default: false },
+    },
+  });
+} catch (error) {
+  usage(error.message);
+}
+
+const { values: options, positionals } = args;
+if (positionals.length === 0) usage("No .eml files given");
+for (const router of options.fail) {
+  if (!ROUTERS[router]) usage(`Unknown router ${router}`);
+}
+
+const files = (await Promise.all(positionals.map(emlFiles))).flat();
+if (files.length === 0) usage("No .eml files found");
+
+const config = options.config
+  ? JSON.parse(await readFile(options.config, "utf8"))
+  : null;
+const state = options.state
+  ? JSON.parse(await readFile(options.state, "utf8"))
+  : {};
+const { vars, bindings } = await readWranglerConfig();
+
+// Keep the worker's own logging out of the report
+const log = console.log;
+for (const method of ["log", "info", "warn", "error"]) {
+  console[method] = () => {};
+}
+
+const results = [];
+for (const file of files) {
+  results.push(await replay(file));
+}
+
+if (options.json) {
+  log(JSON.stringify(results, null, 2));
+} else {
+  for (const result of results) printResult(result);
+  log(`${results.length} message(s) replayed`);
+}
+
+// Run one message through email() against a fresh local env
+async function replay(file) {
+  const raw = await readFile(file, "utf8");
+  const { headers } = parseRawEmail(raw);
+  const message = localMessage(raw, {
+    from:
+      options.from ||
+      extractAddress(headers.get("return-path") || headers.get("from") || ""),
+    to:
+      options.to ||
+      extractAddress(
+        headers.get("delivered-to") ||
+          headers.get("x-original-to") ||
+          headers.get("to") ||
+          "",
+      ),
+  });
+  const before = new Map(message.headers);
+
+  const env = await localEnv();
+  const seeded = snapshot(env);
+  const posts = stubFetch(env);
+
+  // Work handed to ctx.waitUntil() finishes before the results are read
+  const pending = [];
+  const ctx = { waitUntil: (promise) => pending.push(promise) };
+
+  let error = null;
+  try {
+    await worker.email(message, env, ctx);
+    await Promise.allSettled(pending);
+  } catch (thrown) {
+    error = thrown.message;
+  }
+
+  const stored = [];
+  for (const [binding, keys] of Object.entries(snapshot(env))) {
+    for (const key of keys) {
+      if (!seeded[binding].includes(key)) stored.push(`${binding} ${key}`);
+    }
+  }
+
+  const queued = [];
+  for (const [binding, value] of Object.entries(env)) {
+    for (const { body, delaySeconds } of value?.sent || []) {
+      queued.push(
+        `${binding} ${body.post.router} post, retry in ${delaySeconds}s`,
+      );
+    }
+  }
+
+  const trace = env.EMAIL_ANALYTICS.find("trace:");
+  const transactionId = trace?.transactionId || null;
+  const result = {
+    file,
+    from: message.from,
+    to: message.to,
+    subject: headers.get("subject") || "",
+    outcome: outcomeOf(message, posts, stored),
+    routeReason: trace?.routeReason || null,
+    headersAdded: Object.fromEntries(
+      [...message.headers].filter(
+        ([name, value]) => before.get(name) !== value,
+      ),
+    ),
+    posts,
+    queued,
+    stored,
+    error,
+  };
+
+  return options.json ? mask(result, transactionId) : result;
+}
+
+// What happened to the message, judged by what the worker did with it
+function outcomeOf(message, posts, stored) {
+  if (message.rejected) return `rejected: ${message.rejected}`;
+  if (message.forwards.length > 0) {
+    return `forwarded: ${message.forwards.join(", ")}`;
+  }
+
+  const routed = posts.filter((post) => post.ok && post.router !== "tracking");
+  if (routed.length > 0) {
+    return `routed: ${routed.map((post) => post.router).join(", ")}`;
+  }
+  if (posts.some((post) => post.ok && post.event === "certified-tracking")) {
+    return "tracked";
+  }
+  if (stored.some((entry) => entry.startsWith("DEFERRED_EMAILS "))) {
+    return "deferred";
+  }
+  return "dropped";
+}
+
+// A ForwardableEmailMessage: headers, a one-shot raw stream, and forward
+// and setReject recorded on the message
+function localMessage(raw, { from, to }) {
+  const message = {
+    from,
+    to,
+    headers: parseRawEmail(raw).headers,
+    raw: new Response(raw).body,
+    rawSize: Buffer.byteLength(raw),
+    forwards: [],
+    rejected: null,
+    async forward(address) {
+      message.forwards.push(address);
+    },
+    setReject(reason) {
+      message.rejected = reason;
+    },
+    async reply() {},
+  };
+  return message;
+}
+
+// wrangler.toml's vars, a KV stand-in per namespace binding, a queue
+// stand-in per queue and, with --ai, an AI stand-in; seeded with --state
+// and --config
+async function localEnv() {
+  const env = { ...vars };
+  for (const { name, type } of bindings) {
+    if (type === "kv_namespaces") env[name] = localKV();
+    if (type === "queues.producers") env[name] = localQueue();
+  }
+  if (options.ai) env.AI = localAI(options.ai);
+
+  for (const [binding, entries] of Object.entries(state)) {
+    if (!env[binding]) throw new Error(`--state: no KV binding ${binding}`);
+    for (const [key, value] of Object.entries(entries)) {
+      await env[binding].put(
+        key,
+        typeof value === "string" ? value : JSON.stringify(value),
+      );
+    }
+  }
+
+  if (config) {
+    await saveRoutingConfig(env, config, {
+      actor: "replay",
+      message: options.config,
+    });
+  }
+  return env;
+}
+
+// A KV namespace kept in a Map
+function localKV() {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key, type) {
+      const value = entries.get(key);
+      if (value === undefined) return null;
+      return (type?.type ?? type) === "json" ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      entries.set(key, String(value));
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = "" } = {}) {
+      const keys = [...entries.keys()]
+        .filter((name) => name.startsWith(prefix))
+        .sort()
+        .map((name) => ({ name }));
+      return { keys, list_complete: true };
+    },
+    // The first stored value under a prefix, parsed
+    find(prefix) {
+      for (const [key, value] of entries) {
+        if (key.startsWith(prefix)) return JSON.parse(value);
+      }
+      return undefined;
+    },
+  };
+}
+
+// A queue producer that keeps what was sent (the consumer is not run)
+function localQueue() {
+  const sent = [];
+  return {
+    sent,
+    async send(body, options = {}) {
+      sent.push({ body, ...options });
+    },
+  };
+}
+
+// Workers AI answering every analysis prompt (see src/ai.js) the same way
+function localAI(classification) {
+  return {
+    async run(model, { prompt }) {
+      if (prompt.startsWith("Classify")) return { response: classification };
+      if (prompt.startsWith("Analyze the sentiment")) {
+        return { response: "neutral" };
+      }
+      if (prompt.startsWith("Rate the urgency")) return { response: "normal" };
+      return { response: "" };
+    },
+  };
+}
+
+// Answer every request locally and record it; routers named in --fail
+// answer 503
+function stubFetch(env) {
+  const posts = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const target = String(url);
+    const router =
+      Object.keys(ROUTERS).find(
+        (name) => env[ROUTERS[name]] && target.startsWith(env[ROUTERS[name]]),
+      ) || null;
+    const status = options.fail.includes(router) ? 503 : 200;
+
+    posts.push({
+      url: target,
+      router,
+      event: new Headers(init.headers).get("X-ChittyOS-Event"),
+      ok: status === 200,
+    });
+    return new Response(status === 200 ? "ok" : "unavailable", { status });
+  };
+  return posts;
+}
+
+// Keys per KV binding
+function snapshot(env) {
+  const keys = {};
+  for (const [binding, value] of Object.entries(env)) {
+    if (value?.entries instanceof Map)
+      keys[binding] = [...value.entries.keys()];
+  }
+  return keys;
+}
+
+// Replace the run-specific transaction ID and timings
+function mask(result, transactionId) {
+  let text = JSON.stringify(result);
+  if (transactionId) text = text.split(transactionId).join("<tx>");
+  const masked = JSON.parse(text);
+  if (masked.headersAdded["x-processing-time"]) {
+    masked.headersAdded["x-processing-time"] = "<ms>";
+  }
+  return masked;
+}
+
+function printResult(result) {
+  log(`== ${result.file}`);
+  log(`   ${result.from} → ${result.to}  "${result.subject}"`);
+  log(`   outcome  ${result.outcome}`);
+  if (result.routeReason) log(`   reason   ${result.routeReason}`);
+  if (result.error) log(`   error    ${result.error}`);
+
+  const added = Object.entries(result.headersAdded);
+  added.forEach(([name, value], i) => {
+    log(`   ${i === 0 ? "headers" : "       "}  ${name}: ${value}`);
+  });
+  result.posts.forEach((post, i) => {
+    const status = post.ok ? "" : " (failed)";
+    log(
+      `   ${i === 0 ? "posted " : "       "}  ${post.url} ${post.event}${status}`,
+    );
+  });
+  result.queued.forEach((entry, i) => {
+    log(`   ${i === 0 ? "queued " : "       "}  ${entry}`);
+  });
+  result.stored.forEach((entry, i) => {
+    log(`   ${i === 0 ? "stored " : "       "}  ${entry}`);
+  });
+  log("");
+}
+
+// The .eml files named on the command line, directories expanded (sorted)
+async function emlFiles(path) {
+  if (!(await stat(path)).isDirectory()) return [path];
+  const names = (await readdir(path))
+    .filter((name) => name.toLowerCase().endsWith(".eml"))
+    .sort();
+  return names.map((name) => join(path, name));
+}
+
+function usage(problem) {
+  console.error(problem);
+  console.error(
+    "Usage: node scripts/replay-eml.js <file.eml | directory>... " +
+      "[--config routing.json] [--state state.json] [--ai <class>] " +
+      "[--fail <router>] [--from addr] [--to addr] [--json]",
+  );
+  process.exit(1);
+}
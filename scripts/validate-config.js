@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+// Validate routing.json (or the file given as argument) before publishing.
+// Bindings and vars are read from wrangler.toml; exits non-zero on errors.
+import { readFile } from "node:fs/promises";
+import { validateConfig } from "../src/routing/validate.js";
+import { readWranglerConfig } from "./lib/wrangler.js";
+
+const file = process.argv[2] || "routing.json";
+
+let config;
+try {
+  config = JSON.parse(await readFile(file, "utf8"));
+} catch (error) {
+  console.error(`Cannot read ${file}: ${error.message}`);
+  console.error("Create it with `npm run config:export`");
+  process.exit(1);
+}
+
+// The worker's env as far as wrangler.toml describes it: [vars] values, and
+// a placeholder for each binding (KV namespaces, AI, queues)
+const { vars, bindings } = await readWranglerConfig();
+const env = { ...vars };
+for (const { name } of bindings) env[name] = {};
+
+const { valid, errors, warnings, info } = validateConfig(config, env);
+
+for (const [label, issues] of [
+  ["error", errors],
+  ["warning", warnings],
+  ["info", info],
+]) {
+  for (const issue of issues) {
+    console.log(`${label.padEnd(7)} ${issue.code.padEnd(22)} ${issue.message}`);
+  }
+}
+
+console.log(
+  `\n${file}: ${errors.length} errors, ${warnings.length} warnings` +
+    (valid ? "" : " (publishing will be refused)"),
+);
+process.exit(valid ? 0 : 1);
@@ -0,0 +1,221 @@
+/**
+ * Workers AI analysis
+ * Classification, sentiment, urgency and entity extraction for incoming email.
+ * Each call degrades to a neutral default when the model is unavailable or
+ * misses its deadline (see budget.js).
+ */
+
+import { withDeadline } from "./budget.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger();
+
+// Run every analysis in parallel and combine the results; an analysis that
+// misses its deadline is dropped in favour of its default
+export async function analyzeEmail(ai, subject, body, budget = null) {
+  const [classification, sentiment, urgency, entities] = await Promise.all([
+    bounded(budget, "classification", "general", (signal) =>
+      classifyEmail(ai, subject, body, signal),
+    ),
+    bounded(budget, "sentiment", "neutral", (signal) =>
+      analyzeSentiment(ai, body, signal),
+    ),
+    bounded(budget, "urgency", "normal", (signal) =>
+      checkUrgency(ai, subject, body, signal),
+    ),
+    bounded(budget, "entities", [], (signal) =>
+      extractEntities(ai, body, signal),
+    ),
+  ]);
+
+  return { classification, sentiment, urgency, entities };
+}
+
+// Run one analysis under the AI deadline. The analysis passes the signal
+// to ai.run, so a late model call is cancelled; the analyses rethrow once
+// aborted instead of logging the abort as a failure.
+async function bounded(budget, name, fallback, run) {
+  try {
+    return await withDeadline(budget, "ai", `ai:${name}`, run);
+  } catch (error) {
+    if (!error.timedOut) throw error;
+    log.warn("AI analysis dropped", { analysis: name, error });
+    return fallback;
+  }
+}
+
+// Classify email type using Workers AI
+export async function classifyEmail(ai, subject, body, signal) {
+  if (!ai) return "general";
+
+  try {
+    const prompt = `Classify this email into ONE category:
+Categories: invoice, receipt, contract, legal, support, complaint, meeting, calendar,
+newsletter, marketing, personal, business, api-notification, security-alert, compliance,
+audit, regulatory, governance, spam, general
+
+Subject: ${subject}
+Body (first 500 chars): ${body.substring(0, 500)}
+
+Reply with only the category name.`;
+
+    const response = await ai.run(
+      "@cf/meta/llama-2-7b-chat-int8",
+      {
+        prompt,
+        max_tokens: 10,
+      },
+      { signal },
+    );
+
+    const category = response.response.toLowerCase().trim();
+    return [
+      "invoice",
+      "receipt",
+      "contract",
+      "legal",
+      "support",
+      "complaint",
+      "meeting",
+      "calendar",
+      "newsletter",
+      "marketing",
+      "personal",
+      "business",
+      "api-notification",
+      "security-alert",
+      "compliance",
+      "audit",
+      "regulatory",
+      "governance",
+      "spam",
+      "general",
+    ].includes(category)
+      ? category
+      : "general";
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    log.error("AI classification failed", { error });
+    return "general";
+  }
+}
+
+// Analyze email sentiment using Workers AI
+export async function analyzeSentiment(ai, body, signal) {
+  if (!ai) return "neutral";
+
+  try {
+    const prompt = `Analyze the sentiment of this email:
+"${body.substring(0, 500)}"
+
+Reply with only: positive, negative, neutral, urgent, or angry`;
+
+    const response = await ai.run(
+      "@cf/meta/llama-2-7b-chat-int8",
+      {
+        prompt,
+        max_tokens: 10,
+      },
+      { signal },
+    );
+
+    const sentiment = response.response.toLowerCase().trim();
+    return ["positive", "negative", "neutral", "urgent", "angry"].includes(
+      sentiment,
+    )
+      ? sentiment
+      : "neutral";
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    log.error("AI sentiment analysis failed", { error });
+    return "neutral";
+  }
+}
+
+// Check urgency level using Workers AI
+export async function checkUrgency(ai, subject, body, signal) {
+  if (!ai) return "normal";
+
+  // Quick keyword check first
+  const urgentKeywords = [
+    "urgent",
+    "asap",
+    "emergency",
+    "critical",
+    "immediately",
+    "deadline",
+    "expire",
+    "final notice",
+    "action required",
+  ];
+  const combinedText = (subject + " " + body).toLowerCase();
+
+  const hasUrgentKeyword = urgentKeywords.some((keyword) =>
+    combinedText.includes(keyword),
+  );
+
+  if (!hasUrgentKeyword) return "normal";
+
+  try {
+    const prompt = `Rate the urgency of this email:
+Subject: ${subject}
+Body: ${body.substring(0, 300)}
+
+Reply with only: critical, high, normal, or low`;
+
+    const response = await ai.run(
+      "@cf/meta/llama-2-7b-chat-int8",
+      {
+        prompt,
+        max_tokens: 10,
+      },
+      { signal },
+    );
+
+    const urgency = response.response.toLowerCase().trim();
+    return ["critical", "high", "normal", "low"].includes(urgency)
+      ? urgency
+      : "normal";
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    log.error("AI urgency check failed", { error });
+    return hasUrgentKeyword ? "high" : "normal";
+  }
+}
+
+// Extract entities (dates, amounts, names, etc.) using Workers AI
+export async function extractEntities(ai, body, signal) {
+  if (!ai) return [];
+
+  try {
+    const prompt = `Extract important entities from this email:
+"${body.substring(0, 500)}"
+
+List any: dates, dollar amounts, company names, product names, or important numbers.
+Format: entity_type:value (one per line, max 5)`;
+
+    const response = await ai.run(
+      "@cf/meta/llama-2-7b-chat-int8",
+      {
+        prompt,
+        max_tokens: 100,
+      },
+      { signal },
+    );
+
+    const entities = response.response
+      .split("\n")
+      .filter((line) => line.includes(":"))
+      .map((line) => {
+        const [type, value] = line.split(":");
+        return { type: type.trim(), value: value.trim() };
+      })
+      .slice(0, 5);
+
+    return entities;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    log.error("AI entity extraction failed", { error });
+    return [];
+  }
+}
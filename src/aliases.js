@@ -0,0 +1,202 @@
+/**
+ * Disposable aliases
+ * One-off addresses (vendors, sign-ups, opposing parties) that route to a
+ * destination until they expire, hit their message limit or are revoked.
+ * Each alias is a record in the ALIASES KV namespace under
+ * `alias:<domain>:<local>` holding its settings and usage stats, managed via
+ * /aliases. Refused mail is bounced with a reason naming the alias.
+ */
+
+import { createLogger } from "./logger.js";
+import { matchesSender } from "./routing/patterns.js";
+
+const log = createLogger();
+
+// Aliases sit just ahead of the domain route tables (see route-tables.js)
+export const ALIAS_PRIORITY = 490;
+
+const ALIAS_ALPHABET = "abcdefghijkmnpqrstuvwxyz23456789";
+
+export function aliasKey(local, domain) {
+  return `alias:${domain.toLowerCase()}:${local.toLowerCase()}`;
+}
+
+// Alias record for a recipient, or null when the address is not an alias
+export async function lookupAlias(env, local, domain) {
+  if (!env.ALIASES) return null;
+
+  try {
+    return await env.ALIASES.get(aliasKey(local, domain), "json");
+  } catch (error) {
+    log.error("Failed to look up alias, routing normally", { error });
+    return null;
+  }
+}
+
+// Every alias, optionally limited to one domain
+export async function listAliases(env, domain) {
+  const aliases = [];
+  let cursor;
+  do {
+    const listResult = await env.ALIASES.list({
+      prefix: domain ? `alias:${domain.toLowerCase()}:` : "alias:",
+      cursor,
+    });
+    for (const key of listResult.keys) {
+      const alias = await env.ALIASES.get(key.name, "json");
+      if (alias) aliases.push(alias);
+    }
+    cursor = listResult.list_complete ? undefined : listResult.cursor;
+  } while (cursor);
+  return aliases;
+}
+
+export async function saveAlias(env, alias) {
+  await env.ALIASES.put(
+    aliasKey(alias.local, alias.domain),
+    JSON.stringify(alias),
+  );
+  return alias;
+}
+
+// Lifecycle state: active, revoked, expired or exhausted (message limit hit)
+export function aliasStatus(alias, now = new Date()) {
+  if (alias.revokedAt) return "revoked";
+  if (alias.expiresAt && Date.parse(alias.expiresAt) <= now.getTime()) {
+    return "expired";
+  }
+  if (alias.maxMessages && alias.stats.received >= alias.maxMessages) {
+    return "exhausted";
+  }
+  return "active";
+}
+
+// Bounce reason when an alias may not receive this message, otherwise null
+export function aliasRefusal(alias, from, now = new Date()) {
+  switch (aliasStatus(alias, now)) {
+    case "revoked":
+      return `Address ${alias.address} has been revoked`;
+    case "expired":
+      return `Address ${alias.address} expired on ${alias.expiresAt.slice(0, 10)}`;
+    case "exhausted":
+      return `Address ${alias.address} has reached its limit of ${alias.maxMessages} messages`;
+  }
+
+  if (
+    alias.allowedSenders?.length > 0 &&
+    !matchesSender(alias.allowedSenders, from)
+  ) {
+    return `Address ${alias.address} does not accept mail from ${from.toLowerCase()}`;
+  }
+
+  return null;
+}
+
+// Count a received or refused message against the alias
+export async function recordAliasUsage(env, alias, from, refusal = null) {
+  const now = new Date().toISOString();
+  const stats = { ...alias.stats };
+
+  if (refusal) {
+    stats.rejected += 1;
+    stats.lastRejectedAt = now;
+    stats.lastRejectReason = refusal;
+  } else {
+    stats.received += 1;
+    stats.lastReceivedAt = now;
+    stats.lastSender = from.toLowerCase();
+  }
+
+  try {
+    await saveAlias(env, { ...alias, stats });
+  } catch (error) {
+    // Do not fail the email processing over usage stats
+    log.error("Failed to record alias usage", { alias: alias.address, error });
+  }
+}
+
+// Rule routing the alias's mail to its target
+export function aliasRule(alias) {
+  return {
+    id: `alias:${alias.address}`,
+    priority: ALIAS_PRIORITY,
+    description: alias.note,
+    match: { local: alias.local },
+    action: { type: "forward", to: alias.target },
+  };
+}
+
+// Check and normalize an alias submitted to the API (throws on errors)
+export function validateAlias(input, config) {
+  if (!input || typeof input !== "object") {
+    throw new Error("Alias must be a JSON object");
+  }
+
+  const {
+    domain,
+    local,
+    prefix = "alias",
+    target,
+    expiresAt = null,
+    maxMessages = null,
+    allowedSenders = [],
+    note = null,
+  } = input;
+
+  if (typeof domain !== "string" || !config.domains?.[domain.toLowerCase()]) {
+    throw new Error("domain must be one of the configured domains");
+  }
+  if (local !== undefined && !/^[a-z0-9][a-z0-9._-]*$/i.test(local)) {
+    throw new Error("local may only contain letters, digits, . _ and -");
+  }
+  if (!/^[a-z0-9-]+$/i.test(prefix)) {
+    throw new Error("prefix may only contain letters, digits and -");
+  }
+  if (
+    !target ||
+    ![].concat(target).every((ref) => typeof ref === "string" && ref)
+  ) {
+    throw new Error("target must be a destination reference or list of them");
+  }
+  if (expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+    throw new Error("expiresAt must be an ISO 8601 date");
+  }
+  if (
+    maxMessages !== null &&
+    !(Number.isInteger(maxMessages) && maxMessages > 0)
+  ) {
+    throw new Error("maxMessages must be a positive integer");
+  }
+  if (
+    !Array.isArray(allowedSenders) ||
+    allowedSenders.some((sender) => typeof sender !== "string")
+  ) {
+    throw new Error("allowedSenders must be a list of addresses or patterns");
+  }
+
+  const aliasLocal = (local || `${prefix}-${randomToken(8)}`).toLowerCase();
+  const aliasDomain = domain.toLowerCase();
+
+  return {
+    address: `${aliasLocal}@${aliasDomain}`,
+    local: aliasLocal,
+    domain: aliasDomain,
+    target,
+    expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+    maxMessages,
+    allowedSenders,
+    note,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    stats: { received: 0, rejected: 0 },
+  };
+}
+
+// Random token for generated alias names (no look-alike characters)
+function randomToken(length) {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(
+    bytes,
+    (byte) => ALIAS_ALPHABET[byte % ALIAS_ALPHABET.length],
+  ).join("");
+}
@@ -0,0 +1,147 @@
+/**
+ * Message analytics
+ * Per-message records in EMAIL_ANALYTICS (routing outcome, routing trace, AI
+ * insights), per-group counters, and financial email records. Read back by
+ * the weekly impact report. Per-message records are keyed
+ * `<kind>:<transactionId>`, so they can be listed by time (see
+ * listRecordKeys).
+ */
+
+import { createLogger } from "./logger.js";
+import { summarizeTrace } from "./routing/trace.js";
+import { timeRangePrefixes, transactionIdPrefix } from "./transaction-id.js";
+
+// Log analytics (throws on failure; see error-sink.js)
+export async function logAnalytics(env, data) {
+  const key = `email:${data.transactionId}`;
+  await env.EMAIL_ANALYTICS.put(
+    key,
+    JSON.stringify({
+      ...data,
+      timestamp: new Date().toISOString(),
+    }),
+    {
+      expirationTtl: 86400 * 30,
+      metadata: {
+        domain: data.domain,
+        action: data.action,
+      },
+    },
+  );
+
+  if (data.group) {
+    await countGroupMessage(
+      env,
+      data.group,
+      data.moderated ? "moderated" : data.action,
+    );
+  }
+}
+
+// Keys of the `<kind>:<transactionId>` records (kind "ai", "email", ...)
+// whose transactions started between start and end, give or take the
+// listing granularity (see timeRangePrefixes)
+export async function listRecordKeys(env, kind, start, end) {
+  const keys = [];
+  for (const prefix of timeRangePrefixes(
+    `${kind}:`,
+    start,
+    end,
+    transactionIdPrefix(env),
+  )) {
+    let cursor;
+    do {
+      const listResult = await env.EMAIL_ANALYTICS.list({ prefix, cursor });
+      keys.push(...listResult.keys);
+      cursor = listResult.list_complete ? undefined : listResult.cursor;
+    } while (cursor);
+  }
+  return keys;
+}
+
+// Running per-group message counts by outcome (forwarded, moderated, ...)
+async function countGroupMessage(env, group, outcome) {
+  const key = `group:${group}`;
+  const stats = (await env.EMAIL_ANALYTICS.get(key, "json")) || { counts: {} };
+  stats.counts[outcome] = (stats.counts[outcome] || 0) + 1;
+  stats.lastMessageAt = new Date().toISOString();
+  await env.EMAIL_ANALYTICS.put(key, JSON.stringify(stats));
+}
+
+// Store the routing decision trace for a transaction
+export async function storeRouteTrace(env, domain, trace) {
+  try {
+    const key = `trace:${trace.transactionId}`;
+    await env.EMAIL_ANALYTICS.put(
+      key,
+      JSON.stringify({
+        transactionId: trace.transactionId,
+        routeReason: summarizeTrace(trace),
+        steps: trace.steps,
+        timestamp: new Date().toISOString(),
+      }),
+      {
+        expirationTtl: 86400 * 30,
+        metadata: { domain, routeReason: summarizeTrace(trace) },
+      },
+    );
+  } catch (error) {
+    createLogger({ transactionId: trace.transactionId }).error(
+      "Failed to store routing trace",
+      { error },
+    );
+  }
+}
+
+// Store AI insights for analytics (throws on failure)
+export async function storeAIInsights(env, insights) {
+  const key = `ai:${insights.transactionId}`;
+  await env.EMAIL_ANALYTICS.put(
+    key,
+    JSON.stringify({
+      ...insights,
+      timestamp: new Date().toISOString(),
+    }),
+    {
+      expirationTtl: 86400 * 90, // Keep for 90 days
+      metadata: {
+        classification: insights.classification,
+        urgency: insights.urgency,
+        domain: insights.domain,
+      },
+    },
+  );
+}
+
+// Handle financial emails (invoices, receipts)
+export async function handleFinancialEmail(
+  env,
+  message,
+  entities,
+  transactionId,
+) {
+  if (!env.FINANCIAL_EMAILS) return;
+
+  const amounts = entities.filter(
+    (e) => e.type === "amount" || e.value.includes("$"),
+  );
+  const dates = entities.filter((e) => e.type === "date");
+
+  const log = createLogger({ transactionId });
+  log.info("Financial email", { amounts, dates });
+
+  try {
+    await env.FINANCIAL_EMAILS.put(
+      `financial:${transactionId}`,
+      JSON.stringify({
+        from: message.from,
+        subject: message.headers.get("subject"),
+        amounts,
+        dates,
+        timestamp: new Date().toISOString(),
+      }),
+    );
+  } catch (error) {
+    log.error("Failed to store financial email", { error });
+  }
+}
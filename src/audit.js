@@ -0,0 +1,70 @@
+/**
+ * Admin audit log
+ * Every change made through the HTTP API is recorded in the ROUTING_CONFIG KV
+ * namespace as `audit:<inverted timestamp>:<id>`, so a prefix listing returns
+ * the newest changes first. The actor comes from the X-ChittyOS-Actor header
+ * (the API key is shared, so this is the only way to tell callers apart).
+ */
+
+import { createLogger } from "./logger.js";
+
+const log = createLogger();
+
+export const ACTOR_HEADER = "X-ChittyOS-Actor";
+
+// Who is making an API request
+export function requestActor(request) {
+  return request.headers.get(ACTOR_HEADER) || "unknown";
+}
+
+// Record who changed what; failures are logged but never block the change
+export async function recordAudit(
+  env,
+  request,
+  { resource, key, operation, before = null, after = null, version = null },
+) {
+  if (!env.ROUTING_CONFIG) return;
+
+  const at = Date.now();
+  const id = crypto.randomUUID();
+  const entry = {
+    id,
+    at: new Date(at).toISOString(),
+    actor: requestActor(request),
+    ip: request.headers.get("cf-connecting-ip"),
+    userAgent: request.headers.get("user-agent"),
+    operation,
+    resource,
+    key,
+    before,
+    after,
+    version,
+  };
+
+  try {
+    const inverted = String(Number.MAX_SAFE_INTEGER - at).padStart(16, "0");
+    await env.ROUTING_CONFIG.put(
+      `audit:${inverted}:${id}`,
+      JSON.stringify(entry),
+    );
+  } catch (error) {
+    log.error("Failed to record audit entry", { error });
+  }
+}
+
+// Newest audit entries first
+export async function listAudit(env, { limit = 50, cursor } = {}) {
+  const listResult = await env.ROUTING_CONFIG.list({
+    prefix: "audit:",
+    limit,
+    cursor,
+  });
+  const entries = await Promise.all(
+    listResult.keys.map((key) => env.ROUTING_CONFIG.get(key.name, "json")),
+  );
+
+  return {
+    entries: entries.filter(Boolean),
+    cursor: listResult.list_complete ? null : listResult.cursor,
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Processing time budget
+ * Each message gets PROCESSING_BUDGET_MS (20 s by default) for its calls to
+ * Workers AI, the routers, the feedback endpoint (sender feedback and
+ * out-of-office acks) and the webhook. Every call
+ * runs under a deadline, the smaller of its own timeout (CALL_TIMEOUTS) and
+ * what is left of the budget, enforced with an AbortController. A call that
+ * misses its deadline fails with `error.timedOut` set and is recorded in
+ * `budget.overruns` for analytics; once the budget is spent further calls
+ * fail at once without being made.
+ *
+ * Forwarding is never held to the budget, so a slow dependency costs its
+ * result (AI insights fall back to their defaults, router posts are queued
+ * for retry) but not the delivery. Calls made outside a message (retry
+ * queue, dead-letter replays, digests) pass no budget and only get their
+ * timeout.
+ */
+
+const DEFAULT_BUDGET_MS = 20000;
+
+// Per-call timeouts in milliseconds
+export const CALL_TIMEOUTS = {
+  ai: 5000,
+  router: 8000,
+  feedback: 3000,
+  webhook: 3000,
+};
+
+// A fresh budget for a message that started at startTime
+export function createBudget(env, startTime = Date.now()) {
+  const limit = Number(env.PROCESSING_BUDGET_MS);
+  return {
+    startTime,
+    limitMs: limit > 0 ? limit : DEFAULT_BUDGET_MS,
+    overruns: [],
+  };
+}
+
+// Milliseconds left in the budget (never negative)
+export function remainingBudget(budget, now = Date.now()) {
+  return Math.max(0, budget.limitMs - (now - budget.startTime));
+}
+
+// Run `run(signal)` under the deadline for a call of the given kind
+// ("ai", "router", ...); `label` names the call in errors and overruns.
+// Rejects with a `timedOut` error when the deadline passes first; the
+// call's own late result is ignored.
+export async function withDeadline(budget, kind, label, run) {
+  const deadlineMs = budget
+    ? Math.min(CALL_TIMEOUTS[kind], remainingBudget(budget))
+    : CALL_TIMEOUTS[kind];
+
+  if (deadlineMs <= 0) {
+    throw overrun(budget, kind, label, 0, "processing budget spent");
+  }
+
+  const controller = new AbortController();
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      // Settle the race before the abort rejects the call itself
+      reject(
+        overrun(
+          budget,
+          kind,
+          label,
+          deadlineMs,
+          `no answer within ${deadlineMs} ms`,
+        ),
+      );
+      controller.abort();
+    }, deadlineMs);
+  });
+
+  try {
+    return await Promise.race([run(controller.signal), expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Record an overrun and build the error for it
+function overrun(budget, kind, label, deadlineMs, reason) {
+  budget?.overruns.push({
+    call: kind,
+    label,
+    deadlineMs,
+    elapsedMs: budget ? Date.now() - budget.startTime : null,
+    skipped: deadlineMs === 0,
+  });
+
+  const error = new Error(`${label}: ${reason}`);
+  error.timedOut = true;
+  return error;
+}
@@ -0,0 +1,304 @@
+/**
+ * Dead-letter store
+ * Deliveries that failed for good are kept in DEAD_LETTERS as `dead:<id>`
+ * with the failure and what was being delivered, so an outage never loses
+ * them silently:
+ *   message       a message email() could not process (raw message, the
+ *                 failing stage and error, and the route it was meant for)
+ *   router-post   a router post that failed every retry (see router-queue.js)
+ * Ids start with an inverted timestamp so listings return the newest first;
+ * list metadata carries kind, target, status and time, so listing does not
+ * read every entry.
+ *
+ * An open dead letter can be replayed to its original route or rerouted to
+ * new destinations. Forwarded mail is redelivered through the tracking
+ * router (`/redeliver`), which sends mail on the worker's behalf the way it
+ * sends digests. Redelivered entries are kept for 30 days as resolved.
+ */
+
+import { sendToEvidenceRouter } from "./delivery.js";
+import { createLogger } from "./logger.js";
+import { parseRawEmail } from "./message.js";
+import { sendRouterPost } from "./router-queue.js";
+
+const DEAD_LETTER_PREFIX = "dead:";
+const RESOLVED_TTL = 86400 * 30;
+
+export const DEAD_LETTER_KINDS = ["message", "router-post"];
+
+// Newest first in KV listings, like the audit log
+function deadLetterId(at) {
+  const inverted = String(Number.MAX_SAFE_INTEGER - at).padStart(16, "0");
+  return `${inverted}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+// Store a failed delivery; returns its id (null without the store)
+export async function storeDeadLetter(env, entry) {
+  const log = createLogger({ transactionId: entry.transactionId });
+  if (!env.DEAD_LETTERS) {
+    log.error("No DEAD_LETTERS store, dropping failed delivery", {
+      kind: entry.kind,
+      target: entry.target,
+      error: entry.error,
+    });
+    return null;
+  }
+
+  const at = Date.now();
+  const record = {
+    id: deadLetterId(at),
+    ...entry,
+    status: "open",
+    deadAt: new Date(at).toISOString(),
+    redeliveries: [],
+  };
+  await saveDeadLetter(env, record);
+  log.error("Dead-lettered failed delivery", {
+    kind: entry.kind,
+    target: entry.target,
+    deadLetterId: record.id,
+    error: entry.error,
+  });
+  return record.id;
+}
+
+export async function getDeadLetter(env, id) {
+  return env.DEAD_LETTERS.get(`${DEAD_LETTER_PREFIX}${id}`, "json");
+}
+
+async function saveDeadLetter(env, record) {
+  await env.DEAD_LETTERS.put(
+    `${DEAD_LETTER_PREFIX}${record.id}`,
+    JSON.stringify(record),
+    {
+      ...(record.status === "resolved" && { expirationTtl: RESOLVED_TTL }),
+      metadata: {
+        kind: record.kind,
+        target: record.target,
+        transactionId: record.transactionId,
+        status: record.status,
+        deadAt: record.deadAt,
+      },
+    },
+  );
+}
+
+// Newest dead letters first, from list metadata, optionally of one kind
+// or status ("open", "resolved"). Filters apply before the limit: pages are
+// read until `limit` entries match, each asking for no more keys than are
+// still needed, so the returned cursor resumes right after the last one.
+export async function listDeadLetters(
+  env,
+  { kind, status, limit = 50, cursor } = {},
+) {
+  const deadLetters = [];
+  let next = cursor;
+
+  do {
+    const listResult = await env.DEAD_LETTERS.list({
+      prefix: DEAD_LETTER_PREFIX,
+      limit: limit - deadLetters.length,
+      cursor: next,
+    });
+    for (const key of listResult.keys) {
+      const entry = {
+        id: key.name.slice(DEAD_LETTER_PREFIX.length),
+        ...key.metadata,
+      };
+      if (kind && entry.kind !== kind) continue;
+      if (status && entry.status !== status) continue;
+      deadLetters.push(entry);
+    }
+    next = listResult.list_complete ? null : listResult.cursor;
+  } while (next && deadLetters.length < limit);
+
+  return { deadLetters, cursor: next };
+}
+
+// The message a dead letter holds, as the fields redelivery needs, or null
+// (namespace tracking posts carry no message)
+export function deadLetterMessage(record) {
+  if (record.kind === "message") return record;
+
+  const body = JSON.parse(record.post.body);
+  if (!body.rawEmail) return null;
+  return {
+    transactionId: record.transactionId,
+    from: body.from,
+    to: body.to,
+    rawEmail: body.rawEmail,
+    ai: body.aiInsights,
+    details: body.matterId ? { matterId: body.matterId } : {},
+  };
+}
+
+// Deliver a dead letter again: to `targets` (resolved routing targets) or,
+// without targets, to where it was originally going. A replay skips targets
+// that already received the message, when it was first processed or on an
+// earlier replay. Records the attempt and resolves the dead letter when
+// every target succeeded.
+export async function redeliverDeadLetter(
+  env,
+  record,
+  { targets, actor = "unknown" } = {},
+) {
+  let results;
+  if (targets) {
+    results = await deliverMessage(env, record, targets);
+  } else if (record.kind === "router-post") {
+    results = [await repost(env, record.post)];
+  } else {
+    const delivered = deliveredTargets(record);
+    const pending = record.route.targets.filter(
+      (target) => !delivered.has(targetName(target)),
+    );
+    results = [
+      ...record.route.targets
+        .filter((target) => delivered.has(targetName(target)))
+        .map((target) => ({
+          target: targetName(target),
+          ok: true,
+          alreadyDelivered: true,
+        })),
+      ...(await deliverMessage(env, record, pending)),
+    ];
+  }
+
+  const ok = results.every((result) => result.ok);
+  const updated = {
+    ...record,
+    status: ok ? "resolved" : record.status,
+    redeliveries: [
+      ...record.redeliveries,
+      {
+        action: targets ? "reroute" : "replay",
+        at: new Date().toISOString(),
+        actor,
+        results,
+      },
+    ],
+  };
+  await saveDeadLetter(env, updated);
+  return { ok, results, deadLetter: updated };
+}
+
+// Delivery targets as named in delivery results
+function targetName(target) {
+  return target.address ?? `workstream:${target.workstream}`;
+}
+
+// Targets a message dead letter has already been delivered to
+function deliveredTargets(record) {
+  const results = [
+    ...(record.deliveries || []),
+    ...record.redeliveries.flatMap((redelivery) => redelivery.results),
+  ];
+  return new Set(
+    results.filter((result) => result.ok).map((result) => result.target),
+  );
+}
+
+async function repost(env, post) {
+  try {
+    await sendRouterPost(env, post);
+    return { target: `router:${post.router}`, ok: true };
+  } catch (error) {
+    return { target: `router:${post.router}`, ok: false, error: error.message };
+  }
+}
+
+// Post to each workstream router and send one redelivery for the addresses
+async function deliverMessage(env, record, targets) {
+  const stored = deadLetterMessage(record);
+  const message = {
+    from: stored.from,
+    to: stored.to,
+    headers: parseRawEmail(stored.rawEmail).headers,
+    raw: new Response(stored.rawEmail).body,
+  };
+  const results = [];
+
+  for (const target of targets.filter((t) => t.type === "workstream")) {
+    const name = `workstream:${target.workstream}`;
+    try {
+      await sendToEvidenceRouter(
+        env,
+        message,
+        stored.ai,
+        stored.transactionId,
+        target.workstream,
+        stored.details,
+      );
+      results.push({ target: name, ok: true });
+    } catch (error) {
+      // A post queued for retry will still arrive
+      results.push({
+        target: name,
+        ok: Boolean(error.queued),
+        queued: Boolean(error.queued),
+        error: error.message,
+      });
+    }
+  }
+
+  const recipients = targets
+    .filter((t) => t.type === "forward")
+    .map((t) => t.address);
+  if (recipients.length > 0) {
+    try {
+      await sendRedelivery(env, record.id, stored, recipients);
+      results.push(...recipients.map((to) => ({ target: to, ok: true })));
+    } catch (error) {
+      results.push(
+        ...recipients.map((to) => ({
+          target: to,
+          ok: false,
+          error: error.message,
+        })),
+      );
+    }
+  }
+
+  return results;
+}
+
+// Ask the tracking router to send the raw message to the recipients (see
+// "Tracking Router Endpoints" in the README for the /redeliver contract)
+async function sendRedelivery(env, deadLetterId, stored, recipients) {
+  if (!env.TRACKING_ROUTER_URL) {
+    throw new Error("No TRACKING_ROUTER_URL to redeliver mail through");
+  }
+
+  try {
+    await postRedelivery(env, deadLetterId, stored, recipients);
+  } catch (error) {
+    if ([404, 405, 501].includes(error.status)) {
+      throw new Error(
+        `Tracking router does not support /redeliver (${error.status})`,
+      );
+    }
+    throw error;
+  }
+}
+
+async function postRedelivery(env, deadLetterId, stored, recipients) {
+  await sendRouterPost(env, {
+    router: "tracking",
+    url: env.TRACKING_ROUTER_URL + "/redeliver",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Transaction-ID": stored.transactionId,
+      "X-ChittyOS-Event": "dead-letter-redelivery",
+    },
+    body: JSON.stringify({
+      transactionId: stored.transactionId,
+      deadLetterId,
+      recipients,
+      from: stored.from,
+      to: stored.to,
+      rawEmail: stored.rawEmail,
+      timestamp: new Date().toISOString(),
+    }),
+    transactionId: stored.transactionId,
+  });
+}
@@ -0,0 +1,173 @@
+/**
+ * Out-of-office delegation
+ * A person (a named destination such as `nick`) can be marked away for a
+ * window with a delegate who receives their mail instead. `stillReach`
+ * conditions (same format as rule `match`) let selected mail through to the
+ * person, and an optional auto-acknowledgement tells senders who is covering.
+ *
+ * Delegations live in the DELEGATIONS KV namespace under a single key, so
+ * routing needs one read per message; they are managed via /delegations.
+ */
+
+import { withDeadline } from "./budget.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger();
+
+export const DELEGATIONS_KEY = "delegations";
+
+// Load every stored delegation, keyed by person
+export async function loadDelegations(env) {
+  if (!env.DELEGATIONS) return {};
+
+  try {
+    return (await env.DELEGATIONS.get(DELEGATIONS_KEY, "json")) || {};
+  } catch (error) {
+    log.error("Failed to load delegations, routing without them", { error });
+    return {};
+  }
+}
+
+// Store or replace a person's delegation, pruning ones that have ended
+export async function saveDelegation(env, delegation, now = new Date()) {
+  const delegations = await loadDelegations(env);
+  for (const [person, existing] of Object.entries(delegations)) {
+    if (Date.parse(existing.until) <= now.getTime()) delete delegations[person];
+  }
+
+  delegations[delegation.person] = delegation;
+  await env.DELEGATIONS.put(DELEGATIONS_KEY, JSON.stringify(delegations));
+  return delegation;
+}
+
+// Remove a person's delegation; false when there was none
+export async function deleteDelegation(env, person) {
+  const delegations = await loadDelegations(env);
+  if (!delegations[person]) return false;
+
+  delete delegations[person];
+  await env.DELEGATIONS.put(DELEGATIONS_KEY, JSON.stringify(delegations));
+  return true;
+}
+
+// Whether a delegation covers the given instant
+export function isDelegationActive(delegation, now = new Date()) {
+  const time = now.getTime();
+  return (
+    time >= Date.parse(delegation.from) && time < Date.parse(delegation.until)
+  );
+}
+
+// Check and normalize a delegation submitted to the API (throws on errors)
+export function validateDelegation(person, input) {
+  if (!input || typeof input !== "object") {
+    throw new Error("Delegation must be a JSON object");
+  }
+
+  const { from, until, delegate, stillReach = [], autoAck = null } = input;
+
+  if (Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(until))) {
+    throw new Error("from and until must be ISO 8601 dates");
+  }
+  if (Date.parse(until) <= Date.parse(from)) {
+    throw new Error("until must be after from");
+  }
+  if (typeof delegate !== "string" || !delegate) {
+    throw new Error("delegate must be an address or destination name");
+  }
+  if (delegate === person) {
+    throw new Error("A person cannot delegate to themselves");
+  }
+  if (
+    !Array.isArray(stillReach) ||
+    stillReach.some((entry) => !entry || typeof entry !== "object")
+  ) {
+    throw new Error("stillReach must be a list of match conditions");
+  }
+  if (autoAck !== null && typeof autoAck?.message !== "string") {
+    throw new Error("autoAck must be null or { message }");
+  }
+
+  return {
+    person,
+    from: new Date(from).toISOString(),
+    until: new Date(until).toISOString(),
+    delegate,
+    stillReach,
+    autoAck,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// Acknowledge a delegated message to its sender via the tracking router,
+// at most once per sender per absence and never to automated mail. The
+// post is held to the message's time budget like sender feedback.
+export async function sendOutOfOfficeAck(
+  env,
+  message,
+  delegation,
+  { transactionId, delegatedTo, budget = null },
+) {
+  if (!delegation.autoAck || !env.TRACKING_ROUTER_URL) return;
+
+  const sender = message.from.toLowerCase();
+  const autoSubmitted = (message.headers.get("auto-submitted") || "no")
+    .toLowerCase()
+    .trim();
+  const precedence = (message.headers.get("precedence") || "").toLowerCase();
+  if (
+    autoSubmitted !== "no" ||
+    ["bulk", "list", "junk"].includes(precedence) ||
+    /no-?reply|mailer-daemon/.test(sender)
+  ) {
+    return;
+  }
+
+  const ackKey = `ack:${delegation.person}:${sender}`;
+  try {
+    if (await env.DELEGATIONS.get(ackKey)) return;
+
+    const response = await withDeadline(
+      budget,
+      "feedback",
+      "out-of-office ack",
+      (signal) =>
+        fetch(env.TRACKING_ROUTER_URL + "/feedback", {
+          signal,
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Transaction-ID": transactionId,
+            "X-ChittyOS-Event": "out-of-office-ack",
+          },
+          body: JSON.stringify({
+            transactionId,
+            recipient: message.from,
+            feedbackText: delegation.autoAck.message,
+            metadata: {
+              person: delegation.person,
+              delegatedTo,
+              until: delegation.until,
+              originalTo: message.to,
+              subject: message.headers.get("subject"),
+            },
+            timestamp: new Date().toISOString(),
+          }),
+        }),
+    );
+
+    if (response.ok) {
+      // Remember the ack until the absence ends (KV minimum TTL is 60s)
+      const ttl = Math.floor(
+        (Date.parse(delegation.until) - Date.now()) / 1000,
+      );
+      await env.DELEGATIONS.put(ackKey, new Date().toISOString(), {
+        expirationTtl: Math.max(ttl, 60),
+      });
+      log.info("Out-of-office ack sent", { transactionId, to: sender });
+    }
+  } catch (error) {
+    // Do not fail the email processing if the ack fails
+    log.error("Failed to send out-of-office ack", { transactionId, error });
+  }
+}
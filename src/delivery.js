@@ -0,0 +1,393 @@
+/**
+ * Outbound delivery
+ * Forwarding, workstream router posts (with per-route fallbacks), certified
+ * and namespace tracking records, sender feedback and webhooks. Failed
+ * router posts are queued for retry (see router-queue.js), as are posts to
+ * a router whose breaker is open (see router-health.js). Router, feedback
+ * and webhook calls are held to the message's time budget (see budget.js).
+ */
+
+import { withDeadline } from "./budget.js";
+import { createLogger } from "./logger.js";
+import { readRawEmail } from "./message.js";
+import { routerUrl } from "./router-health.js";
+import { enqueueRetry, sendRouterPost } from "./router-queue.js";
+import { addTraceStep, summarizeTrace } from "./routing/trace.js";
+
+// Used when a workstream router fails and the route names no fallback
+const ROUTER_FAILURE_FALLBACK = "mgmt@aribia.llc";
+
+// Deliver to every route target, recording the outcome of each delivery.
+// A failed router post is queued for retry and falls back to the route's
+// fallback addresses.
+export async function deliverToTargets(
+  env,
+  message,
+  targets,
+  { aiInsights, transactionId, trace, details, budget },
+) {
+  const deliveries = [];
+  const forwarded = new Set();
+
+  const forward = async (address, fallbackFor) => {
+    if (forwarded.has(address)) return;
+    forwarded.add(address);
+
+    try {
+      message.headers.set("X-ChittyOS-Route-Reason", summarizeTrace(trace));
+      await message.forward(address);
+      deliveries.push({ target: address, ok: true, fallbackFor });
+      addTraceStep(trace, "delivery", "forwarded", { to: address });
+    } catch (error) {
+      createLogger({ transactionId }).error("Forward failed", {
+        to: address,
+        error,
+      });
+      addTraceStep(trace, "delivery", "forward-failed", {
+        to: address,
+        error: error.message,
+      });
+      deliveries.push({
+        target: address,
+        ok: false,
+        fallbackFor,
+        error: error.message,
+      });
+    }
+  };
+
+  for (const target of targets) {
+    if (target.type === "forward") {
+      await forward(target.address, target.fallbackFor);
+      continue;
+    }
+
+    try {
+      await sendToEvidenceRouter(
+        env,
+        message,
+        aiInsights,
+        transactionId,
+        target.workstream,
+        details,
+        budget,
+      );
+      deliveries.push({ target: `workstream:${target.workstream}`, ok: true });
+      addTraceStep(trace, "delivery", "posted", {
+        workstream: target.workstream,
+      });
+    } catch (error) {
+      deliveries.push({
+        target: `workstream:${target.workstream}`,
+        ok: false,
+        queued: Boolean(error.queued),
+        error: error.message,
+      });
+      // An open breaker skipped the post without calling the router
+      addTraceStep(trace, "delivery", "router-failed", {
+        workstream: target.workstream,
+        error: error.message,
+        reason: `fallback=${target.workstream}-${error.circuitOpen ? "breaker-open" : "router-failed"}`,
+      });
+      if (error.queued) {
+        addTraceStep(trace, "delivery", "queued", {
+          workstream: target.workstream,
+          reason: `queued=${target.workstream}`,
+        });
+      }
+
+      // Fallback: forward to the route's fallback (management by default)
+      const fallback = target.fallback?.length
+        ? target.fallback.map((t) => t.address)
+        : [ROUTER_FAILURE_FALLBACK];
+      for (const address of fallback) {
+        await forward(address, target.workstream);
+      }
+    }
+  }
+
+  return deliveries;
+}
+
+// Send email to workstream router (evidence/litigation or finance). Throws
+// when the post fails; `error.queued` tells whether it was queued for retry.
+export async function sendToEvidenceRouter(
+  env,
+  message,
+  aiInsights,
+  transactionId,
+  workstream = "litigation",
+  details = {},
+  budget = null,
+) {
+  const log = createLogger({ transactionId, router: workstream });
+  try {
+    const emailData = {
+      transactionId,
+      from: message.from,
+      to: message.to,
+      subject: message.headers.get("subject"),
+      timestamp: new Date().toISOString(),
+      workstream, // "litigation", "finance" or "compliance"
+      ...details, // Route-specific fields such as matterId
+      aiInsights: aiInsights || {},
+      rawEmail: await readRawEmail(message),
+    };
+
+    // Determine router URL based on workstream
+    const url = routerUrl(env, workstream);
+
+    if (!url) {
+      throw new Error(`No router URL configured for ${workstream} workstream`);
+    }
+
+    // Send to router worker
+    await postOrQueue(
+      env,
+      {
+        router: workstream,
+        url,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Transaction-ID": transactionId,
+          "X-ChittyOS-Event": `${workstream}-intake`,
+          "X-Workstream": workstream,
+        },
+        body: JSON.stringify(emailData),
+        transactionId,
+      },
+      budget,
+    );
+
+    log.info("Sent to router");
+  } catch (error) {
+    log.error("Failed to send to router", { queued: error.queued, error });
+    throw error; // Caller decides on the fallback delivery
+  }
+}
+
+// Send to certified tracking system (bcc@chitty.cc)
+export async function sendToCertifiedTracking(
+  env,
+  message,
+  aiInsights,
+  transactionId,
+  budget = null,
+) {
+  const log = createLogger({ transactionId, router: "tracking" });
+  try {
+    const trackingData = {
+      transactionId,
+      trackingType: "certified-bcc",
+      from: message.from,
+      to: message.to,
+      cc: message.headers.get("cc") || "",
+      bcc: message.headers.get("bcc") || "",
+      subject: message.headers.get("subject"),
+      timestamp: new Date().toISOString(),
+      messageId: message.headers.get("message-id"),
+      aiInsights: aiInsights || {},
+      rawEmail: await readRawEmail(message),
+      certificationLevel: "bcc-tracking",
+    };
+
+    await postOrQueue(
+      env,
+      {
+        router: "tracking",
+        url: env.TRACKING_ROUTER_URL,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Transaction-ID": transactionId,
+          "X-ChittyOS-Event": "certified-tracking",
+          "X-Tracking-Type": "bcc",
+        },
+        body: JSON.stringify(trackingData),
+        transactionId,
+      },
+      budget,
+    );
+
+    log.info("Created certified tracking record");
+  } catch (error) {
+    log.error("Failed to create tracking record", {
+      queued: error.queued,
+      error,
+    });
+  }
+}
+
+// Send to namespace tracking system (user copying their own namespace)
+export async function sendToNamespaceTracking(
+  env,
+  message,
+  aiInsights,
+  transactionId,
+  budget = null,
+) {
+  const log = createLogger({ transactionId, router: "tracking" });
+  try {
+    const trackingData = {
+      transactionId,
+      trackingType: "namespace-copy",
+      from: message.from,
+      to: message.to,
+      cc: message.headers.get("cc") || "",
+      bcc: message.headers.get("bcc") || "",
+      subject: message.headers.get("subject"),
+      timestamp: new Date().toISOString(),
+      messageId: message.headers.get("message-id"),
+      namespace: message.from.split("@")[0],
+      aiInsights: aiInsights || {},
+    };
+
+    await postOrQueue(
+      env,
+      {
+        router: "tracking",
+        url: env.TRACKING_ROUTER_URL,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Transaction-ID": transactionId,
+          "X-ChittyOS-Event": "namespace-tracking",
+          "X-Tracking-Type": "namespace-copy",
+        },
+        body: JSON.stringify(trackingData),
+        transactionId,
+      },
+      budget,
+    );
+
+    log.info("Recorded namespace copy tracking");
+  } catch (error) {
+    log.error("Failed to record namespace tracking", {
+      queued: error.queued,
+      error,
+    });
+  }
+}
+
+// Post to a router; on failure queue the post for retry and rethrow
+async function postOrQueue(env, post, budget) {
+  try {
+    await sendRouterPost(env, post, budget);
+  } catch (error) {
+    error.queued = await enqueueRetry(env, post, error);
+    throw error;
+  }
+}
+
+// Send feedback notification to sender. Throws on failure (the caller
+// reports it; see error-sink.js)
+export async function sendFeedbackToSender(env, feedbackData, budget = null) {
+  const {
+    transactionId,
+    from,
+    to,
+    forwardedTo,
+    aiInsights,
+    isBccTracked,
+    isNamespaceCopy,
+    isPriority,
+  } = feedbackData;
+
+  // Build feedback message
+  let feedbackText = `ChittyOS Email Routing Confirmation
+
+`;
+  feedbackText += `Transaction ID: ${transactionId}
+`;
+  feedbackText += `From: ${from}
+`;
+  feedbackText += `To: ${to}
+`;
+  feedbackText += `Forwarded to: ${forwardedTo}
+`;
+  feedbackText += `Priority: ${isPriority ? "High" : "Normal"}
+
+`;
+
+  if (aiInsights) {
+    feedbackText += `AI Analysis:
+`;
+    feedbackText += `- Classification: ${aiInsights.classification}
+`;
+    feedbackText += `- Sentiment: ${aiInsights.sentiment}
+`;
+    feedbackText += `- Urgency: ${aiInsights.urgency}
+`;
+    if (aiInsights.entities && aiInsights.entities.length > 0) {
+      feedbackText += `- Entities detected: ${aiInsights.entities.length}
+`;
+    }
+    feedbackText += `
+`;
+  }
+
+  if (isBccTracked) {
+    feedbackText += `✓ Certified tracking enabled (bcc@chitty.cc detected)
+`;
+  }
+
+  if (isNamespaceCopy) {
+    feedbackText += `✓ Namespace copy recorded
+`;
+  }
+
+  feedbackText += `
+View details: https://portal.chitty.cc/tracking/${transactionId}
+`;
+
+  // Send to notification endpoint
+  const response = await withDeadline(
+    budget,
+    "feedback",
+    "feedback notification",
+    (signal) =>
+      fetch(env.TRACKING_ROUTER_URL + "/feedback", {
+        signal,
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Transaction-ID": transactionId,
+          "X-ChittyOS-Event": "feedback-notification",
+        },
+        body: JSON.stringify({
+          transactionId,
+          recipient: from,
+          feedbackText,
+          metadata: feedbackData,
+          timestamp: new Date().toISOString(),
+        }),
+      }),
+  );
+
+  if (!response.ok) {
+    throw new Error(
+      `Feedback endpoint returned ${response.status}: ${await response.text()}`,
+    );
+  }
+  createLogger({ transactionId }).info("Feedback sent", { to: from });
+}
+
+// Send webhook; throws unless the endpoint answers 2xx
+export async function sendWebhook(url, data, budget = null) {
+  const response = await withDeadline(budget, "webhook", "webhook", (signal) =>
+    fetch(url, {
+      signal,
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-ChittyOS-Event": "email",
+      },
+      body: JSON.stringify({
+        ...data,
+        timestamp: new Date().toISOString(),
+      }),
+    }),
+  );
+
+  if (!response.ok) {
+    throw new Error(`Webhook returned ${response.status}`);
+  }
+}
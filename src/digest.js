@@ -0,0 +1,126 @@
+/**
+ * Deferred mail digests
+ * Messages routed with a `defer` action are held in the DEFERRED_EMAILS KV
+ * namespace and delivered as one digest per schedule and recipient list once
+ * the schedule opens (checked by the hourly cron).
+ *
+ * Digests are posted to the tracking router's /digests endpoint as router
+ * posts (see router-queue.js), each with its own transaction ID: a failed
+ * post is queued for retry and dead-lettered after the last attempt, and
+ * its messages are removed once the post is delivered or queued. Messages
+ * stay held for the next run only when the post can be neither.
+ */
+
+import { createLogger } from "./logger.js";
+import { readRawEmail } from "./message.js";
+import { enqueueRetry, sendRouterPost } from "./router-queue.js";
+import { isScheduleOpen } from "./routing/schedules.js";
+import { createTransactionId, transactionIdPrefix } from "./transaction-id.js";
+
+const log = createLogger();
+
+// Hold a message for its schedule's digest
+export async function deferToDigest(
+  env,
+  message,
+  { transactionId, digest, recipients, rule },
+) {
+  await env.DEFERRED_EMAILS.put(
+    `digest:${digest}:${transactionId}`,
+    JSON.stringify({
+      transactionId,
+      digest,
+      recipients,
+      rule,
+      from: message.from,
+      to: message.to,
+      subject: message.headers.get("subject"),
+      receivedAt: new Date().toISOString(),
+      rawEmail: await readRawEmail(message),
+    }),
+    {
+      expirationTtl: 86400 * 14, // Safety net if digests stop being sent
+      metadata: { digest, recipients },
+    },
+  );
+}
+
+// Send every digest whose schedule is open and remove the delivered messages
+export async function flushDigests(env, config, now = new Date()) {
+  if (!env.DEFERRED_EMAILS || !env.TRACKING_ROUTER_URL) return;
+
+  const groups = new Map();
+  let cursor;
+  do {
+    const listResult = await env.DEFERRED_EMAILS.list({
+      prefix: "digest:",
+      cursor,
+    });
+
+    for (const key of listResult.keys) {
+      const digest = key.name.split(":")[1];
+      const schedule = config.schedules?.[digest];
+      // Hold until the schedule opens (unknown schedules flush right away)
+      if (schedule && !isScheduleOpen(schedule, now)) continue;
+
+      const record = await env.DEFERRED_EMAILS.get(key.name, "json");
+      if (!record) continue;
+
+      const groupKey = `${digest}|${record.recipients.join(",")}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, {
+          digest,
+          recipients: record.recipients,
+          keys: [],
+          messages: [],
+        });
+      }
+      const group = groups.get(groupKey);
+      group.keys.push(key.name);
+      group.messages.push(record);
+    }
+
+    cursor = listResult.list_complete ? undefined : listResult.cursor;
+  } while (cursor);
+
+  for (const group of groups.values()) {
+    const transactionId = createTransactionId(transactionIdPrefix(env));
+    const post = {
+      router: "tracking",
+      url: env.TRACKING_ROUTER_URL + "/digests",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Transaction-ID": transactionId,
+        "X-ChittyOS-Event": "deferred-digest",
+      },
+      body: JSON.stringify({
+        transactionId,
+        digest: group.digest,
+        recipients: group.recipients,
+        messages: group.messages,
+        timestamp: now.toISOString(),
+      }),
+      transactionId,
+    };
+    const details = {
+      transactionId,
+      digest: group.digest,
+      messages: group.messages.length,
+      recipients: group.recipients,
+    };
+
+    try {
+      await sendRouterPost(env, post);
+      log.info("Sent digest", details);
+    } catch (error) {
+      if (!(await enqueueRetry(env, post, error))) {
+        // Messages stay held for the next run
+        log.error("Failed to send digest", { ...details, error });
+        continue;
+      }
+      log.warn("Digest post failed, queued for retry", { ...details, error });
+    }
+
+    await Promise.all(group.keys.map((key) => env.DEFERRED_EMAILS.delete(key)));
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Error sink
+ * Failures that do not stop a message (deferred side effects such as
+ * analytics writes, webhooks and sender feedback) are reported here rather
+ * than logged where they happen. Each one is logged and kept in
+ * EMAIL_ANALYTICS under `error:<transactionId>:<source>` for a week.
+ */
+
+import { createLogger } from "./logger.js";
+
+const ERROR_PREFIX = "error:";
+const ERROR_TTL = 86400 * 7;
+
+// Report a failure; never throws
+export async function reportError(env, { source, transactionId, error }) {
+  const log = createLogger({ transactionId });
+  log.error("Side effect failed", { source, error });
+  if (!env.EMAIL_ANALYTICS) return;
+
+  try {
+    await env.EMAIL_ANALYTICS.put(
+      `${ERROR_PREFIX}${transactionId}:${source}`,
+      JSON.stringify({
+        source,
+        transactionId,
+        error: error?.message ?? String(error),
+        timedOut: Boolean(error?.timedOut),
+        timestamp: new Date().toISOString(),
+      }),
+      { expirationTtl: ERROR_TTL, metadata: { source } },
+    );
+  } catch (sinkError) {
+    log.error("Could not record failure", { source, error: sinkError });
+  }
+}
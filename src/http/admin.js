@@ -0,0 +1,579 @@
+/**
+ * Admin API
+ * CRUD for the routing configuration published in ROUTING_CONFIG:
+ *   GET|POST           /admin/config                 POST { config, message, force }
+ *   POST               /admin/validate               { config } (default: active)
+ *   GET                /admin/versions
+ *   GET                /admin/versions/:n
+ *   GET                /admin/versions/:n/diff?against=:m  (default: parent)
+ *   POST               /admin/versions/:n/activate?force=true
+ *   POST               /admin/rollback               (to the active version's parent)
+ *   GET                /admin/domains
+ *   GET|PUT|DELETE     /admin/domains/:domain
+ *   GET                /admin/routes/:scope          ("defaults" or a domain)
+ *   PUT|DELETE         /admin/routes/:scope/:local   { target }
+ *   GET|POST           /admin/senders/:list          ("allow" or "deny") { sender }
+ *   DELETE             /admin/senders/:list/:sender
+ *   GET|POST           /admin/priority-senders       { sender }
+ *   DELETE             /admin/priority-senders/:sender
+ *   GET                /admin/audit?limit=&cursor=
+ * Changes are validated against the rest of the configuration before they
+ * are saved as a new configuration version (see versions.js), and every
+ * change is recorded in the audit log.
+ *
+ * Whole configurations are checked by the validator (routing/validate.js)
+ * before they go live: publishing or activating a version with errors is
+ * refused unless forced, and single changes may not introduce new errors.
+ * Rollback is not checked, so it always works in an emergency.
+ */
+
+import { listAliases } from "../aliases.js";
+import { listAudit, recordAudit, requestActor } from "../audit.js";
+import {
+  loadEditableConfig,
+  loadRoutingConfig,
+  saveRoutingConfig,
+} from "../routing/config.js";
+import { DEFAULT_ROUTING_CONFIG } from "../routing/default-config.js";
+import { compilePattern, isPattern } from "../routing/patterns.js";
+import { ACTION_TYPES, resolveTargets } from "../routing/rules.js";
+import { validateConfig } from "../routing/validate.js";
+import {
+  activateVersion,
+  diffConfigs,
+  getActivePointer,
+  getVersion,
+  listVersions,
+  loadActiveVersion,
+} from "../routing/versions.js";
+import { decodePathSegment, jsonResponse, malformedPath } from "./common.js";
+
+const SENDER_LISTS = ["allow", "deny"];
+const DOMAIN_FIELDS = [
+  "priority",
+  "inherit",
+  "routes",
+  "catchAll",
+  "discard",
+  "stages",
+];
+
+export async function handleAdmin(request, env, url) {
+  if (!env.ROUTING_CONFIG) {
+    return jsonResponse(
+      { error: "ROUTING_CONFIG namespace not configured" },
+      503,
+    );
+  }
+
+  const segments = url.pathname
+    .split("/")
+    .filter(Boolean)
+    .map(decodePathSegment);
+  if (segments.includes(null)) return malformedPath(url);
+  const [, resource, ...path] = segments;
+
+  switch (resource) {
+    case "config":
+      switch (request.method) {
+        case "GET":
+          return jsonResponse(await loadRoutingConfig(env));
+        case "POST":
+          return publishConfig(request, env);
+        default:
+          return methodNotAllowed();
+      }
+
+    case "validate": {
+      if (request.method !== "POST") return methodNotAllowed();
+      const input = await readJson(request);
+      const config = input?.config ?? (await loadRoutingConfig(env));
+      return jsonResponse(await validate(env, config));
+    }
+
+    case "versions":
+      return handleVersions(request, env, url, path[0], path[1]);
+
+    case "rollback": {
+      if (request.method !== "POST") return methodNotAllowed();
+      // Walk back through the lineage rather than toggling between the
+      // last two active versions
+      const active = await loadActiveVersion(env);
+      if (!active?.parent) {
+        return jsonResponse(
+          { error: "No earlier version to roll back to" },
+          409,
+        );
+      }
+      return activate(request, env, active.parent, "rollback");
+    }
+
+    case "domains":
+      return handleDomains(request, env, path[0]?.toLowerCase());
+
+    case "routes":
+      return handleRoutes(request, env, path[0]?.toLowerCase(), path[1]);
+
+    case "senders":
+      if (!path[0]) {
+        return request.method === "GET"
+          ? jsonResponse((await loadRoutingConfig(env)).senders || {})
+          : methodNotAllowed();
+      }
+      if (!SENDER_LISTS.includes(path[0])) {
+        return jsonResponse({ error: `No sender list ${path[0]}` }, 404);
+      }
+      return handleSenderList(request, env, path[1], {
+        resource: `senders.${path[0]}`,
+        list: (config) => {
+          config.senders = config.senders || {};
+          config.senders[path[0]] = config.senders[path[0]] || [];
+          return config.senders[path[0]];
+        },
+      });
+
+    case "priority-senders":
+      return handleSenderList(request, env, path[0], {
+        resource: "prioritySenders",
+        list: (config) => {
+          config.prioritySenders = config.prioritySenders || [];
+          return config.prioritySenders;
+        },
+      });
+
+    case "audit":
+      return request.method === "GET"
+        ? jsonResponse(
+            await listAudit(env, {
+              limit: Math.min(
+                Number(url.searchParams.get("limit")) || 50,
+                1000,
+              ),
+              cursor: url.searchParams.get("cursor") || undefined,
+            }),
+          )
+        : methodNotAllowed();
+
+    default:
+      return jsonResponse({ error: "Not found" }, 404);
+  }
+}
+
+// Publish a complete configuration (e.g. `npm run config:publish`)
+async function publishConfig(request, env) {
+  const input = await readJson(request);
+  const config = input?.config;
+  if (!config || typeof config !== "object" || !Array.isArray(config.rules)) {
+    return jsonResponse(
+      { error: "Body must be { config: { rules: [...] }, message }" },
+      400,
+    );
+  }
+
+  const validation = await validate(env, config);
+  if (!validation.valid && input.force !== true) {
+    return jsonResponse({ error: "Configuration has errors", validation }, 400);
+  }
+
+  const before = await loadRoutingConfig(env);
+  const record = await saveRoutingConfig(env, config, {
+    actor: requestActor(request),
+    message: input.message || "Published configuration",
+  });
+  await recordAudit(env, request, {
+    resource: "config",
+    key: "config",
+    operation: "publish",
+    before: { version: before.version },
+    after: { version: record.version },
+    version: record.version,
+  });
+  return jsonResponse(
+    {
+      version: record.version,
+      parent: record.parent,
+      warnings: validation.warnings,
+    },
+    201,
+  );
+}
+
+async function handleVersions(request, env, url, version, action) {
+  if (!version) {
+    return request.method === "GET"
+      ? jsonResponse({
+          active: await getActivePointer(env),
+          versions: await listVersions(env),
+        })
+      : methodNotAllowed();
+  }
+
+  const record = await getVersion(env, Number(version));
+  if (!record) return notFound(`No version ${version}`);
+
+  switch (action) {
+    case undefined:
+      return request.method === "GET"
+        ? jsonResponse(record)
+        : methodNotAllowed();
+
+    case "diff": {
+      if (request.method !== "GET") return methodNotAllowed();
+      const against = url.searchParams.get("against") ?? record.parent;
+      const base =
+        against === null
+          ? { version: "builtin", config: DEFAULT_ROUTING_CONFIG }
+          : await getVersion(env, Number(against));
+      if (!base) return notFound(`No version ${against}`);
+      return jsonResponse({
+        from: base.version,
+        to: record.version,
+        changes: diffConfigs(base.config, record.config),
+      });
+    }
+
+    case "activate": {
+      if (request.method !== "POST") return methodNotAllowed();
+      const validation = await validate(env, record.config);
+      if (!validation.valid && url.searchParams.get("force") !== "true") {
+        return jsonResponse(
+          { error: `Version ${record.version} has errors`, validation },
+          400,
+        );
+      }
+      return activate(request, env, record.version, "activate");
+    }
+
+    default:
+      return jsonResponse({ error: "Not found" }, 404);
+  }
+}
+
+// Switch the active version and audit the switch
+async function activate(request, env, version, operation) {
+  const before = await getActivePointer(env);
+  const pointer = await activateVersion(env, version, {
+    actor: requestActor(request),
+  });
+  if (!pointer) return notFound(`No version ${version}`);
+
+  await recordAudit(env, request, {
+    resource: "config",
+    key: "active",
+    operation,
+    before,
+    after: pointer,
+    version,
+  });
+  return jsonResponse(pointer);
+}
+
+async function handleDomains(request, env, domain) {
+  if (!domain) {
+    return request.method === "GET"
+      ? jsonResponse((await loadRoutingConfig(env)).domains || {})
+      : methodNotAllowed();
+  }
+
+  switch (request.method) {
+    case "GET": {
+      const entry = (await loadRoutingConfig(env)).domains?.[domain];
+      return entry ? jsonResponse(entry) : notFound(`No domain ${domain}`);
+    }
+
+    case "PUT": {
+      const input = await readJson(request);
+      return updateConfig(
+        request,
+        env,
+        { resource: "domain", key: domain, operation: "put" },
+        (config) => {
+          config.domains = config.domains || {};
+          const before = config.domains[domain] || null;
+          config.domains[domain] = validateDomain(domain, input, config, env);
+          return { before, after: config.domains[domain] };
+        },
+      );
+    }
+
+    case "DELETE":
+      return updateConfig(
+        request,
+        env,
+        { resource: "domain", key: domain, operation: "delete" },
+        (config) => {
+          const before = config.domains?.[domain];
+          if (!before) throw httpError(404, `No domain ${domain}`);
+          delete config.domains[domain];
+          return { before, after: null };
+        },
+      );
+
+    default:
+      return methodNotAllowed();
+  }
+}
+
+async function handleRoutes(request, env, scope, local) {
+  if (!scope) return notFound("Route scope required (defaults or a domain)");
+
+  if (!local) {
+    if (request.method !== "GET") return methodNotAllowed();
+    const table = routeTable(await loadRoutingConfig(env), scope);
+    if (!table) return notFound(`No route table for ${scope}`);
+    return jsonResponse({
+      routes: table.routes || {},
+      catchAll: table.catchAll,
+      discard: table.discard || [],
+    });
+  }
+
+  const key = `${scope}:${local}`;
+  switch (request.method) {
+    case "PUT": {
+      const input = await readJson(request);
+      return updateConfig(
+        request,
+        env,
+        { resource: "route", key, operation: "put" },
+        (config) => {
+          const table = routeTable(config, scope);
+          if (!table) throw httpError(404, `No route table for ${scope}`);
+          if (!input || !("target" in input)) {
+            throw new Error("Body must be { target }");
+          }
+          validateRouteKey(local);
+          validateRouteTarget(input.target, config, env);
+
+          table.routes = table.routes || {};
+          const before = table.routes[local] ?? null;
+          table.routes[local] = input.target;
+          return { before, after: input.target };
+        },
+      );
+    }
+
+    case "DELETE":
+      return updateConfig(
+        request,
+        env,
+        { resource: "route", key, operation: "delete" },
+        (config) => {
+          const table = routeTable(config, scope);
+          if (!table?.routes || !(local in table.routes)) {
+            throw httpError(404, `No route ${local} for ${scope}`);
+          }
+          const before = table.routes[local];
+          delete table.routes[local];
+          return { before, after: null };
+        },
+      );
+
+    default:
+      return methodNotAllowed();
+  }
+}
+
+// Allow/deny and priority sender lists: list, add and remove entries
+async function handleSenderList(request, env, sender, { resource, list }) {
+  if (!sender) {
+    switch (request.method) {
+      case "GET":
+        return jsonResponse(list(await loadEditableConfig(env)));
+
+      case "POST": {
+        const input = await readJson(request);
+        return updateConfig(
+          request,
+          env,
+          { resource, key: input?.sender, operation: "add" },
+          (config) => {
+            validateSender(input?.sender);
+            const entries = list(config);
+            const before = [...entries];
+            if (!entries.includes(input.sender)) entries.push(input.sender);
+            return { before, after: entries };
+          },
+        );
+      }
+
+      default:
+        return methodNotAllowed();
+    }
+  }
+
+  if (request.method !== "DELETE") return methodNotAllowed();
+  return updateConfig(
+    request,
+    env,
+    { resource, key: sender, operation: "remove" },
+    (config) => {
+      const entries = list(config);
+      const index = entries.indexOf(sender);
+      if (index === -1) throw httpError(404, `${sender} is not listed`);
+      const before = [...entries];
+      entries.splice(index, 1);
+      return { before, after: entries };
+    },
+  );
+}
+
+// Apply a change to a copy of the active config, then save and audit it.
+// `change` mutates the copy and returns { before, after }; it throws to
+// refuse the change (400 unless the error carries a status). Changes that
+// add validation errors are refused; errors already present are not blamed
+// on the change.
+async function updateConfig(request, env, audit, change) {
+  const config = await loadEditableConfig(env);
+  const existing = (await validate(env, config)).errors.map(
+    (error) => error.message,
+  );
+
+  let result;
+  try {
+    result = change(config);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, error.status || 400);
+  }
+
+  const errors = (await validate(env, config)).errors.filter(
+    (error) => !existing.includes(error.message),
+  );
+  if (errors.length > 0) {
+    return jsonResponse(
+      { error: "Change would introduce configuration errors", errors },
+      400,
+    );
+  }
+
+  const { version } = await saveRoutingConfig(env, config, {
+    actor: requestActor(request),
+    message: `${audit.operation} ${audit.resource} ${audit.key}`,
+  });
+  await recordAudit(env, request, { ...audit, ...result, version });
+
+  const response = jsonResponse(result.after ?? { deleted: audit.key });
+  response.headers.set("X-ChittyOS-Config-Version", String(version));
+  return response;
+}
+
+// Validate a configuration against this worker's bindings and stored aliases
+async function validate(env, config) {
+  const aliases = env.ALIASES ? await listAliases(env) : [];
+  return validateConfig(config, env, { aliases });
+}
+
+function routeTable(config, scope) {
+  if (scope === "defaults") {
+    config.defaults = config.defaults || {};
+    return config.defaults;
+  }
+  return config.domains?.[scope] || null;
+}
+
+function validateDomain(domain, input, config, env) {
+  if (!/^(?=.{1,253}$)([a-z0-9-]+\.)+[a-z]{2,}$/.test(domain)) {
+    throw new Error(`${domain} is not a valid domain name`);
+  }
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("Domain must be a JSON object");
+  }
+
+  const unknown = Object.keys(input).filter(
+    (field) => !DOMAIN_FIELDS.includes(field),
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown domain fields: ${unknown.join(", ")}`);
+  }
+
+  const { priority = false, inherit, routes, catchAll, discard } = input;
+  if (typeof priority !== "boolean") {
+    throw new Error("priority must be true or false");
+  }
+  if (
+    inherit !== undefined &&
+    typeof inherit !== "boolean" &&
+    !(typeof inherit === "string" && config.domains?.[inherit])
+  ) {
+    throw new Error("inherit must be true, false or a configured domain");
+  }
+  if (routes !== undefined) {
+    if (
+      typeof routes !== "object" ||
+      routes === null ||
+      Array.isArray(routes)
+    ) {
+      throw new Error("routes must map local parts to targets");
+    }
+    for (const [local, target] of Object.entries(routes)) {
+      validateRouteKey(local);
+      validateRouteTarget(target, config, env);
+    }
+  }
+  if (catchAll !== undefined) validateRouteTarget(catchAll, config, env);
+  if (discard !== undefined && !Array.isArray(discard)) {
+    throw new Error("discard must be a list of local-part conditions");
+  }
+
+  return { ...input, priority };
+}
+
+function validateRouteKey(local) {
+  if (isPattern(local)) {
+    compilePattern(local);
+  } else if (!/^[a-z0-9][a-z0-9._-]*$/i.test(local)) {
+    throw new Error(`${local} is not a valid local part or pattern`);
+  }
+}
+
+// A route target is a destination reference (or list), null, or an action
+function validateRouteTarget(target, config, env) {
+  if (target === null) return;
+
+  if (typeof target === "string" || Array.isArray(target)) {
+    if (![].concat(target).every((ref) => typeof ref === "string" && ref)) {
+      throw new Error("Route targets must be destination references");
+    }
+    resolveTargets(target, config, env);
+    return;
+  }
+
+  if (typeof target !== "object" || !ACTION_TYPES.includes(target.type)) {
+    throw new Error(
+      `Route action type must be one of ${ACTION_TYPES.join(", ")}`,
+    );
+  }
+  if (target.to) resolveTargets(target.to, config, env);
+  if (target.fallback) resolveTargets(target.fallback, config, env);
+}
+
+function validateSender(sender) {
+  if (typeof sender !== "string" || !sender) {
+    throw new Error("Body must be { sender }");
+  }
+  if (isPattern(sender)) {
+    compilePattern(sender);
+  } else if (!/^[^\s@]+@[^\s@]+$/.test(sender)) {
+    throw new Error(`${sender} is not an address or pattern`);
+  }
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function notFound(message) {
+  return jsonResponse({ error: message }, 404);
+}
+
+function methodNotAllowed() {
+  return jsonResponse({ error: "Method not allowed" }, 405);
+}
@@ -0,0 +1,149 @@
+/**
+ * Disposable alias API
+ *   GET    /aliases[?domain=]    list aliases with usage stats
+ *   POST   /aliases              create { domain, local? | prefix?, target,
+ *                                expiresAt?, maxMessages?, allowedSenders?, note? }
+ *   GET    /aliases/:address     one alias with usage stats
+ *   DELETE /aliases/:address     revoke (the record and stats are kept)
+ */
+
+import { recordAudit } from "../audit.js";
+import {
+  aliasRule,
+  aliasStatus,
+  listAliases,
+  lookupAlias,
+  saveAlias,
+  validateAlias,
+} from "../aliases.js";
+import { loadRoutingConfig } from "../routing/config.js";
+import { decideRoute } from "../routing/decision.js";
+import { resolveRouteTable } from "../routing/route-tables.js";
+import { resolveTargets } from "../routing/rules.js";
+import { validateConfig } from "../routing/validate.js";
+import { decodePathSegment, jsonResponse, malformedPath } from "./common.js";
+
+export async function handleAliases(request, env, url) {
+  if (!env.ALIASES) {
+    return jsonResponse({ error: "ALIASES namespace not configured" }, 503);
+  }
+
+  const address = decodePathSegment(
+    url.pathname.slice("/aliases/".length),
+  )?.toLowerCase();
+  if (address === undefined) return malformedPath(url);
+
+  if (!address) {
+    switch (request.method) {
+      case "GET": {
+        const aliases = await listAliases(env, url.searchParams.get("domain"));
+        return jsonResponse({ aliases: aliases.map(describeAlias) });
+      }
+      case "POST":
+        return createAlias(request, env);
+      default:
+        return jsonResponse({ error: "Method not allowed" }, 405);
+    }
+  }
+
+  const [local, domain] = address.split("@");
+  const alias = domain ? await lookupAlias(env, local, domain) : null;
+  if (!alias) {
+    return jsonResponse({ error: `No alias ${address}` }, 404);
+  }
+
+  switch (request.method) {
+    case "GET":
+      return jsonResponse(describeAlias(alias));
+
+    case "DELETE": {
+      if (alias.revokedAt) return jsonResponse(describeAlias(alias));
+
+      const revoked = await saveAlias(env, {
+        ...alias,
+        revokedAt: new Date().toISOString(),
+      });
+      await recordAudit(env, request, {
+        resource: "alias",
+        key: alias.address,
+        operation: "revoke",
+        before: alias,
+        after: revoked,
+      });
+      return jsonResponse(describeAlias(revoked));
+    }
+
+    default:
+      return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+}
+
+async function createAlias(request, env) {
+  const config = await loadRoutingConfig(env);
+
+  let alias;
+  try {
+    alias = validateAlias(await request.json(), config);
+    resolveTargets(alias.target, config, env);
+  } catch (error) {
+    return jsonResponse({ error: `Invalid alias: ${error.message}` }, 400);
+  }
+
+  // Named aliases must not take over an existing address
+  const { routes } = resolveRouteTable(config, alias.domain);
+  if (
+    routes[alias.local] ||
+    (await lookupAlias(env, alias.local, alias.domain))
+  ) {
+    return jsonResponse({ error: `${alias.address} is already in use` }, 409);
+  }
+
+  // Nor be shadowed by a group or rule that would take its mail first
+  const claimedBy = routedAhead(alias, config, env);
+  if (claimedBy) {
+    return jsonResponse(
+      { error: `${alias.address} is already routed by rule ${claimedBy}` },
+      409,
+    );
+  }
+
+  // Nor forward back to itself through other aliases or groups
+  const loop = validateConfig(config, env, {
+    aliases: [...(await listAliases(env)), alias],
+  }).errors.find(
+    (error) =>
+      error.code === "mail-loop" && error.message.includes(alias.address),
+  );
+  if (loop) {
+    return jsonResponse({ error: `Invalid alias: ${loop.message}` }, 400);
+  }
+
+  await saveAlias(env, alias);
+  await recordAudit(env, request, {
+    resource: "alias",
+    key: alias.address,
+    operation: "create",
+    after: alias,
+  });
+  return jsonResponse(describeAlias(alias), 201);
+}
+
+// Id of the rule that would route mail to a new alias ahead of it (for a
+// sender on the alias's own domain, without AI insights), or null
+function routedAhead(alias, config, env) {
+  const { ruleId } = decideRoute(
+    {
+      from: `postmaster@${alias.domain}`,
+      to: alias.address,
+      headers: new Headers(),
+      alias,
+    },
+    config,
+    env,
+  );
+  return ruleId === aliasRule(alias).id ? null : ruleId;
+}
+
+function describeAlias(alias) {
+  return { ...alias, status: aliasStatus(alias) };
+}
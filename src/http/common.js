@@ -0,0 +1,55 @@
+/**
+ * HTTP helpers
+ * JSON responses, path decoding and bearer-token auth (CHITTY_API_KEY) for
+ * the worker's fetch() endpoints.
+ */
+
+import { createLogger } from "../logger.js";
+
+const log = createLogger();
+
+// JSON response with the given status
+export function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+// Percent-decode a path segment, or null when it is malformed (`%E0%A4`)
+export function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+export function malformedPath(url) {
+  return jsonResponse({ error: `Malformed path ${url.pathname}` }, 400);
+}
+
+// Check the request's `Authorization: Bearer <CHITTY_API_KEY>` header
+export function isAuthorized(request, env) {
+  if (!env.CHITTY_API_KEY) {
+    log.error("CHITTY_API_KEY is not configured, rejecting API request");
+    return false;
+  }
+
+  const header = request.headers.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  return timingSafeEqual(token, env.CHITTY_API_KEY);
+}
+
+// Compare two strings without leaking where they differ
+function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < right.length; i++) {
+    diff |= (left[i] ?? 0) ^ right[i];
+  }
+  return diff === 0;
+}
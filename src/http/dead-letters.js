@@ -0,0 +1,152 @@
+/**
+ * Dead-letter API
+ *   GET  /dead-letters[?kind=&status=&limit=&cursor=]   newest first
+ *   GET  /dead-letters/:id                 the entry, with the raw message
+ *   POST /dead-letters/:id/replay          deliver to the original route
+ *   POST /dead-letters/:id/reroute         { to } deliver to new destinations
+ * `to` takes the same references as routes (addresses, named destinations,
+ * `workstream:`, `group:`, `oncall:`). Replays and reroutes answer 200 when
+ * every target succeeded and 502 otherwise, with the result per target;
+ * both are recorded in the audit log.
+ */
+
+import { recordAudit, requestActor } from "../audit.js";
+import {
+  DEAD_LETTER_KINDS,
+  deadLetterMessage,
+  getDeadLetter,
+  listDeadLetters,
+  redeliverDeadLetter,
+} from "../dead-letters.js";
+import { loadRoutingConfig } from "../routing/config.js";
+import { resolveTargets } from "../routing/rules.js";
+import { decodePathSegment, jsonResponse, malformedPath } from "./common.js";
+
+const STATUSES = ["open", "resolved"];
+
+export async function handleDeadLetters(request, env, url) {
+  if (!env.DEAD_LETTERS) {
+    return jsonResponse(
+      { error: "DEAD_LETTERS namespace not configured" },
+      503,
+    );
+  }
+
+  const [, id, action] = url.pathname.split("/").filter(Boolean);
+
+  if (!id) {
+    if (request.method !== "GET") return methodNotAllowed();
+    return listEntries(env, url.searchParams);
+  }
+
+  const decodedId = decodePathSegment(id);
+  if (decodedId === null) return malformedPath(url);
+  const record = await getDeadLetter(env, decodedId);
+  if (!record) {
+    return jsonResponse({ error: `No dead letter ${id}` }, 404);
+  }
+
+  if (!action) {
+    return request.method === "GET" ? jsonResponse(record) : methodNotAllowed();
+  }
+
+  if (request.method !== "POST") return methodNotAllowed();
+  switch (action) {
+    case "replay":
+      if (record.kind === "message" && !record.route) {
+        return jsonResponse(
+          {
+            error:
+              "The message failed before it was routed; reroute it instead",
+          },
+          409,
+        );
+      }
+      return redeliver(request, env, record);
+
+    case "reroute":
+      return reroute(request, env, record);
+
+    default:
+      return jsonResponse({ error: "Not found" }, 404);
+  }
+}
+
+async function listEntries(env, params) {
+  const kind = params.get("kind");
+  const status = params.get("status");
+  if (kind && !DEAD_LETTER_KINDS.includes(kind)) {
+    return jsonResponse({ error: `Unknown kind ${kind}` }, 400);
+  }
+  if (status && !STATUSES.includes(status)) {
+    return jsonResponse({ error: `Unknown status ${status}` }, 400);
+  }
+
+  return jsonResponse(
+    await listDeadLetters(env, {
+      kind,
+      status,
+      limit: Math.min(Number(params.get("limit")) || 50, 1000),
+      cursor: params.get("cursor") || undefined,
+    }),
+  );
+}
+
+async function reroute(request, env, record) {
+  if (!deadLetterMessage(record)) {
+    return jsonResponse(
+      { error: "This dead letter holds no message to reroute" },
+      409,
+    );
+  }
+
+  let input;
+  try {
+    input = await request.json();
+  } catch {
+    input = null;
+  }
+  if (!input?.to || (Array.isArray(input.to) && input.to.length === 0)) {
+    return jsonResponse({ error: "A destination (to) is required" }, 400);
+  }
+
+  let targets;
+  try {
+    targets = resolveTargets(input.to, await loadRoutingConfig(env), env);
+  } catch (error) {
+    return jsonResponse(
+      { error: `Invalid destination: ${error.message}` },
+      400,
+    );
+  }
+  return redeliver(request, env, record, targets);
+}
+
+async function redeliver(request, env, record, targets) {
+  if (record.status === "resolved") {
+    return jsonResponse(
+      { error: `Dead letter ${record.id} was already redelivered` },
+      409,
+    );
+  }
+
+  const { ok, results, deadLetter } = await redeliverDeadLetter(env, record, {
+    targets,
+    actor: requestActor(request),
+  });
+  await recordAudit(env, request, {
+    resource: "dead-letter",
+    key: record.id,
+    operation: targets ? "reroute" : "replay",
+    after: { status: deadLetter.status, results },
+  });
+
+  return jsonResponse(
+    { id: record.id, status: deadLetter.status, results },
+    ok ? 200 : 502,
+  );
+}
+
+function methodNotAllowed() {
+  return jsonResponse({ error: "Method not allowed" }, 405);
+}
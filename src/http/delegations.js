@@ -0,0 +1,127 @@
+/**
+ * Out-of-office delegation API
+ *   GET    /delegations           list delegations (with `active` flags)
+ *   GET    /delegations/:person   one delegation
+ *   PUT    /delegations/:person   create or replace
+ *          { from, until, delegate, stillReach: [conditions], autoAck: { message } | null }
+ *   DELETE /delegations/:person   end a delegation early
+ *
+ * A delegate must resolve in the active routing configuration, and may not
+ * lead back to the person through delegations that overlap in time.
+ */
+
+import { recordAudit } from "../audit.js";
+import {
+  deleteDelegation,
+  isDelegationActive,
+  loadDelegations,
+  saveDelegation,
+  validateDelegation,
+} from "../delegations.js";
+import { loadRoutingConfig } from "../routing/config.js";
+import { resolveTargets } from "../routing/rules.js";
+import { decodePathSegment, jsonResponse, malformedPath } from "./common.js";
+
+export async function handleDelegations(request, env, url) {
+  if (!env.DELEGATIONS) {
+    return jsonResponse({ error: "DELEGATIONS namespace not configured" }, 503);
+  }
+
+  const person = decodePathSegment(
+    url.pathname.slice("/delegations/".length),
+  )?.toLowerCase();
+  if (person === undefined) return malformedPath(url);
+
+  if (!person) {
+    if (request.method !== "GET") {
+      return jsonResponse({ error: "Method not allowed" }, 405);
+    }
+    const delegations = await loadDelegations(env);
+    return jsonResponse({
+      delegations: Object.values(delegations).map(describeDelegation),
+    });
+  }
+
+  const delegations = await loadDelegations(env);
+  const existing = delegations[person] || null;
+
+  switch (request.method) {
+    case "GET":
+      return existing
+        ? jsonResponse(describeDelegation(existing))
+        : jsonResponse({ error: `No delegation for ${person}` }, 404);
+
+    case "PUT": {
+      let delegation;
+      try {
+        delegation = validateDelegation(person, await request.json());
+        checkDelegate(
+          delegation,
+          delegations,
+          await loadRoutingConfig(env),
+          env,
+        );
+      } catch (error) {
+        return jsonResponse(
+          { error: `Invalid delegation: ${error.message}` },
+          400,
+        );
+      }
+      await saveDelegation(env, delegation);
+      await recordAudit(env, request, {
+        resource: "delegation",
+        key: person,
+        operation: "put",
+        before: existing,
+        after: delegation,
+      });
+      return jsonResponse(describeDelegation(delegation));
+    }
+
+    case "DELETE":
+      if (!(await deleteDelegation(env, person))) {
+        return jsonResponse({ error: `No delegation for ${person}` }, 404);
+      }
+      await recordAudit(env, request, {
+        resource: "delegation",
+        key: person,
+        operation: "delete",
+        before: existing,
+      });
+      return jsonResponse({ deleted: person });
+
+    default:
+      return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+}
+
+// Throw when the delegate is not a known destination or address, or when
+// following the delegates' own delegations comes back to the person
+function checkDelegate(delegation, delegations, config, env) {
+  try {
+    resolveTargets(delegation.delegate, config, env);
+  } catch (error) {
+    throw new Error(`delegate ${delegation.delegate}: ${error.message}`);
+  }
+
+  const chain = [delegation.person];
+  let current = delegation.delegate;
+  while (!chain.includes(current)) {
+    const next = delegations[current];
+    if (!next || !overlaps(next, delegation)) return;
+    chain.push(current);
+    current = next.delegate;
+  }
+  throw new Error(`delegation cycle: ${[...chain, current].join(" → ")}`);
+}
+
+function overlaps(a, b) {
+  return (
+    Date.parse(a.from) < Date.parse(b.until) &&
+    Date.parse(b.from) < Date.parse(a.until)
+  );
+}
+
+function describeDelegation(delegation) {
+  return { ...delegation, active: isDelegationActive(delegation) };
+}
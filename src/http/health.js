@@ -0,0 +1,29 @@
+/**
+ * Router health API
+ *   GET /health   circuit breaker state, counts and latency per router
+ *                URL, with the workstreams posting to it
+ * `status` is "degraded" while any router's breaker is open or half-open.
+ */
+
+import { summarizeRouterHealth } from "../router-health.js";
+import { jsonResponse } from "./common.js";
+
+export async function handleHealth(request, env) {
+  if (request.method !== "GET") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+  if (!env.ROUTER_HEALTH) {
+    return jsonResponse(
+      { error: "ROUTER_HEALTH namespace not configured" },
+      503,
+    );
+  }
+
+  const routers = await summarizeRouterHealth(env);
+  const degraded = routers.some((router) => router.state !== "closed");
+  return jsonResponse({
+    status: degraded ? "degraded" : "ok",
+    checkedAt: new Date().toISOString(),
+    routers,
+  });
+}
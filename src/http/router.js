@@ -0,0 +1,55 @@
+/**
+ * HTTP API
+ * Routes fetch() requests to the worker's authenticated endpoints:
+ * /simulate (routing dry-runs), /admin (routing configuration),
+ * /delegations (out-of-office), /aliases (disposable addresses),
+ * /dead-letters (failed deliveries) and /health (router circuit breakers).
+ */
+
+import { handleAdmin } from "./admin.js";
+import { handleAliases } from "./aliases.js";
+import { isAuthorized, jsonResponse } from "./common.js";
+import { handleDeadLetters } from "./dead-letters.js";
+import { handleDelegations } from "./delegations.js";
+import { handleHealth } from "./health.js";
+import { handleSimulate } from "./simulate.js";
+
+export async function handleRequest(request, env, ctx) {
+  const url = new URL(request.url);
+
+  if (!isAuthorized(request, env)) {
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+
+  if (url.pathname === "/simulate") {
+    return handleSimulate(request, env);
+  }
+
+  if (url.pathname === "/admin" || url.pathname.startsWith("/admin/")) {
+    return handleAdmin(request, env, url);
+  }
+
+  if (
+    url.pathname === "/delegations" ||
+    url.pathname.startsWith("/delegations/")
+  ) {
+    return handleDelegations(request, env, url);
+  }
+
+  if (url.pathname === "/aliases" || url.pathname.startsWith("/aliases/")) {
+    return handleAliases(request, env, url);
+  }
+
+  if (
+    url.pathname === "/dead-letters" ||
+    url.pathname.startsWith("/dead-letters/")
+  ) {
+    return handleDeadLetters(request, env, url);
+  }
+
+  if (url.pathname === "/health") {
+    return handleHealth(request, env);
+  }
+
+  return jsonResponse({ error: "Not found" }, 404);
+}
@@ -0,0 +1,267 @@
+/**
+ * Routing dry-run
+ * POST /simulate runs a message through the sender checks, AI analysis and
+ * the routing rules and explains the decision without forwarding, posting or
+ * storing anything. The sender list, rate limit and quick spam checks are
+ * the pipeline's own stages (see pipeline/stages/security.js). A
+ * configuration that cannot route the message answers 422 with the trace
+ * up to the failure.
+ *
+ * Accepts either a raw RFC 822 message (any non-JSON content type; envelope
+ * taken from ?from=/&to= or the From/To headers) or JSON:
+ *   { from, to, subject, body, headers: {}, ai: { classification, ... } | false, at }
+ * A JSON `ai` object replaces live AI analysis; `false` disables it. `at`
+ * (or ?at=) evaluates schedules and on-call rotations at another time.
+ */
+
+import { analyzeEmail } from "../ai.js";
+import { aliasRefusal, lookupAlias } from "../aliases.js";
+import { loadDelegations } from "../delegations.js";
+import { createLogger } from "../logger.js";
+import { extractAddress, parseRawEmail } from "../message.js";
+import { isStageEnabled } from "../pipeline/index.js";
+import {
+  rateLimit,
+  senderLists,
+  spamCheck,
+} from "../pipeline/stages/security.js";
+import { parseRecipient } from "../routing/address.js";
+import { loadRoutingConfig } from "../routing/config.js";
+import { decideRoute } from "../routing/decision.js";
+import { addTraceStep, createTrace, summarizeTrace } from "../routing/trace.js";
+import { jsonResponse } from "./common.js";
+
+// Checks email() makes before AI analysis and routing (the alias check is
+// done here without recording usage)
+const SECURITY_STAGES = [senderLists, rateLimit, spamCheck];
+
+export async function handleSimulate(request, env) {
+  if (request.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  let input;
+  try {
+    input = await readSimulationInput(request);
+  } catch (error) {
+    return jsonResponse(
+      { error: `Invalid request body: ${error.message}` },
+      400,
+    );
+  }
+
+  if (![input.from, input.to].every(isAddress)) {
+    return jsonResponse(
+      { error: "from and to are required and must be email addresses" },
+      400,
+    );
+  }
+
+  const config = await loadRoutingConfig(env);
+  const recipient = parseRecipient(input.to);
+  const trace = createTrace("simulation");
+  const result = {
+    simulated: true,
+    envelope: { from: input.from, to: input.to },
+    at: input.now.toISOString(),
+    configVersion: config.version,
+  };
+  const rejected = (reason, extra = {}) =>
+    jsonResponse({
+      ...result,
+      decision: {
+        action: "reject",
+        reason,
+        rule: null,
+        ...extra,
+        trace: trace.steps,
+      },
+    });
+
+  // The pipeline's security stages, with the same per-domain switches
+  const refusal = await runSecurityStages(input, config, recipient, env, trace);
+  if (refusal) return rejected(refusal);
+
+  // Refused aliases bounce before routing (usage stats are not touched)
+  const alias = await lookupAlias(env, recipient.local, recipient.domain);
+  const aliasRefused = alias && aliasRefusal(alias, input.from, input.now);
+  if (aliasRefused) return rejected(aliasRefused, { alias });
+
+  // AI analysis: supplied insights, live Workers AI, or none
+  let ai = null;
+  let aiSource = "none";
+  if (input.ai) {
+    ai = { entities: [], ...input.ai };
+    aiSource = "request";
+  } else if (input.ai !== false && env.AI) {
+    const subject = input.headers.get("subject") || "";
+    ai = await analyzeEmail(env.AI, subject, input.body);
+    aiSource = "workers-ai";
+  }
+  result.ai = ai;
+  result.aiSource = aiSource;
+
+  if (ai?.classification === "spam") {
+    return rejected("Message classified as spam by AI");
+  }
+
+  const message = {
+    from: input.from,
+    to: input.to,
+    headers: input.headers,
+    delegations: await loadDelegations(env),
+    alias,
+  };
+
+  // A configuration that cannot route the message is reported with the
+  // steps taken so far, where email() would use its error fallback
+  let decision;
+  try {
+    decision = decideRoute(
+      { ...message, ai, trace, now: input.now },
+      config,
+      env,
+    );
+  } catch (error) {
+    addTraceStep(trace, "error", "routing-failed", { error: error.message });
+    return jsonResponse(
+      {
+        ...result,
+        error: `Routing failed: ${error.message}`,
+        trace: trace.steps,
+      },
+      422,
+    );
+  }
+
+  // Route the message would take without AI, to show AI overrides
+  let withoutAi = null;
+  if (ai) {
+    try {
+      withoutAi = decideRoute({ ...message, now: input.now }, config, env);
+    } catch (error) {
+      addTraceStep(trace, "ai", "baseline-failed", { error: error.message });
+    }
+  }
+  if (withoutAi && withoutAi.ruleId !== decision.ruleId) {
+    addTraceStep(trace, "ai", "override", {
+      rule: decision.ruleId,
+      replaced: withoutAi.ruleId,
+      reason: `ai-override=${withoutAi.ruleId}`,
+    });
+  }
+  const routeReason = summarizeTrace(trace);
+
+  return jsonResponse({
+    ...result,
+    recipient: decision.recipient,
+    decision: {
+      ...describeDecision(decision),
+      aiOverride:
+        withoutAi && withoutAi.ruleId !== decision.ruleId
+          ? describeDecision(withoutAi)
+          : null,
+      priority: decision.isPriority,
+      tracking: decision.tracking,
+      headers: {
+        ...decision.headers,
+        "X-ChittyOS-Route-Reason": routeReason,
+      },
+      routeReason,
+      trace: trace.steps,
+    },
+  });
+}
+
+// Run the sender list, rate limit and quick spam stages the way email()
+// does; returns the bounce reason, or null when the message passes
+async function runSecurityStages(input, config, recipient, env, trace) {
+  let refusal = null;
+  const context = {
+    env,
+    config,
+    recipient,
+    trace,
+    log: createLogger({ stage: "simulate" }),
+    message: {
+      from: input.from,
+      to: input.to,
+      headers: input.headers,
+      setReject: async (reason) => {
+        refusal = reason;
+      },
+    },
+    halted: false,
+  };
+
+  for (const stage of SECURITY_STAGES) {
+    if (!isStageEnabled(stage, context)) continue;
+    if (stage.when && !stage.when(context)) continue;
+    await stage.run(context);
+    if (context.halted) break;
+  }
+  return refusal;
+}
+
+function isAddress(value) {
+  return typeof value === "string" && value.includes("@");
+}
+
+// Summarize the matched rule and where the message would be delivered
+function describeDecision(decision) {
+  const { rule, action } = decision;
+
+  return {
+    action: action.type,
+    reason: action.reason,
+    rule: rule
+      ? {
+          id: rule.id,
+          priority: rule.priority,
+          description: rule.description,
+        }
+      : null,
+    targets: decision.targets,
+    forwardTo: decision.forwardTargets.map((t) => t.address),
+    workstreams: decision.workstreamTargets.map((t) => t.workstream),
+    delegatedFor: decision.delegatedFor,
+  };
+}
+
+// Normalize a raw or JSON request body into { from, to, headers, body, ai }
+async function readSimulationInput(request) {
+  const url = new URL(request.url);
+  const contentType = request.headers.get("content-type") || "";
+
+  if (contentType.includes("application/json")) {
+    const data = await request.json();
+    const headers = new Headers(data.headers || {});
+    if (data.subject) headers.set("subject", data.subject);
+
+    return {
+      from: data.from,
+      to: data.to,
+      headers,
+      body: data.body || "",
+      ai: data.ai,
+      now: parseTime(data.at),
+    };
+  }
+
+  const { headers, body } = parseRawEmail(await request.text());
+  return {
+    from: url.searchParams.get("from") || extractAddress(headers.get("from")),
+    to: url.searchParams.get("to") || extractAddress(headers.get("to")),
+    headers,
+    body,
+    now: parseTime(url.searchParams.get("at")),
+  };
+}
+
+// Evaluation time for schedule conditions (defaults to now)
+function parseTime(value) {
+  if (!value) return new Date();
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) throw new Error(`Invalid time: ${value}`);
+  return time;
+}
@@ -0,0 +1,91 @@
+/**
+ * Duplicate detection
+ * A message is identified by its envelope recipient together with its
+ * Message-ID header, or with a SHA-256 hash of the raw message when it has
+ * none. One message sent to several addresses is delivered once per
+ * recipient, and each delivery is its own transaction. The first sighting is
+ * recorded in
+ * PROCESSED_MESSAGES with its transaction ID for the dedupe window
+ * (DEDUPE_WINDOW_HOURS, 72 by default); a message seen again within the
+ * window (a Cloudflare redelivery, a resend) is processed under the original
+ * transaction ID, so analytics are not double counted and routers see the
+ * same Idempotency-Key (see router-queue.js) and can drop the repeat.
+ *
+ * KV is eventually consistent, so two copies arriving within seconds of
+ * each other at different locations may both be treated as new.
+ */
+
+import { readRawEmail } from "./message.js";
+
+const SEEN_PREFIX = "seen:";
+const DEFAULT_WINDOW_HOURS = 72;
+
+// The dedupe window in seconds
+export function dedupeWindow(env) {
+  const hours = Number(env.DEDUPE_WINDOW_HOURS);
+  return (hours > 0 ? hours : DEFAULT_WINDOW_HOURS) * 3600;
+}
+
+// How the message is identified: { source: "message-id" | "content", key }
+export async function messageIdentity(message) {
+  const recipient = message.to.toLowerCase();
+  const messageId = message.headers.get("message-id")?.trim();
+  if (messageId) {
+    return {
+      source: "message-id",
+      key: `${SEEN_PREFIX}${await sha256(`message-id:${recipient}:${messageId}`)}`,
+    };
+  }
+  return {
+    source: "content",
+    key: `${SEEN_PREFIX}${await sha256(`content:${recipient}:${await readRawEmail(message)}`)}`,
+  };
+}
+
+// Record a sighting of the message. Returns the earlier sighting
+// ({ transactionId, firstSeenAt, count, source }) for a duplicate, or null
+// when the message is new (or seen longer ago than the window).
+export async function recordSighting(env, message, transactionId) {
+  const { source, key } = await messageIdentity(message);
+  const window = dedupeWindow(env);
+  const now = Date.now();
+
+  const seen = await env.PROCESSED_MESSAGES.get(key, "json");
+  if (seen && now - Date.parse(seen.firstSeenAt) < window * 1000) {
+    const updated = {
+      ...seen,
+      count: seen.count + 1,
+      lastSeenAt: new Date(now).toISOString(),
+    };
+    // Keep the window anchored at the first sighting
+    const expiration = Math.floor(Date.parse(seen.firstSeenAt) / 1000) + window;
+    if (expiration - now / 1000 >= 60) {
+      await env.PROCESSED_MESSAGES.put(key, JSON.stringify(updated), {
+        expiration,
+      });
+    }
+    return seen;
+  }
+
+  await env.PROCESSED_MESSAGES.put(
+    key,
+    JSON.stringify({
+      transactionId,
+      source,
+      firstSeenAt: new Date(now).toISOString(),
+      count: 1,
+    }),
+    { expirationTtl: window },
+  );
+  return null;
+}
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text),
+  );
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
@@ -0,0 +1,117 @@
+/**
+ * Structured logging
+ * One JSON line per event, e.g.
+ *   {"level":"info","time":"…","event":"Email received",
+ *    "transactionId":"EMAIL-01J…","stage":"envelope","from":"…"}
+ * Loggers carry fields added to every line (createLogger, child); the
+ * pipeline gives each stage one with the transaction ID and stage name.
+ *
+ * The handlers call configureLogging(env) first: LOG_LEVEL (debug, info,
+ * warn, error; info by default) sets the lowest level written, and in
+ * production (ENVIRONMENT, production unless set otherwise) email addresses
+ * anywhere in a line have their local part replaced by a hash and subjects
+ * are hashed, so `wrangler tail` output can be shipped to a log store. The
+ * hashes keep lines for one sender correlatable; set the LOG_HASH_KEY
+ * secret so they cannot be matched against guessed addresses.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = "info";
+
+// Fields whose whole value is hashed in production
+const HASHED_FIELDS = new Set(["subject"]);
+const ADDRESS_PATTERN = /([^\s<>()"',;:@]+)@([a-z0-9-]+(?:\.[a-z0-9-]+)+)/gi;
+const MAX_DEPTH = 6;
+
+let settings = { level: DEFAULT_LEVEL, redact: true, hashKey: "" };
+
+// Read the logging settings from the worker's env (once per invocation)
+export function configureLogging(env) {
+  const level = env.LOG_LEVEL?.toLowerCase();
+  settings = {
+    level: level in LEVELS ? level : DEFAULT_LEVEL,
+    redact: (env.ENVIRONMENT ?? "production") === "production",
+    hashKey: env.LOG_HASH_KEY ?? "",
+  };
+}
+
+// A logger whose lines all carry `fields` (transactionId, stage, ...)
+export function createLogger(fields = {}) {
+  const write = (level, event, extra) => writeLine(level, event, fields, extra);
+  return {
+    debug: (event, extra) => write("debug", event, extra),
+    info: (event, extra) => write("info", event, extra),
+    warn: (event, extra) => write("warn", event, extra),
+    error: (event, extra) => write("error", event, extra),
+    child: (more) => createLogger({ ...fields, ...more }),
+  };
+}
+
+// Hash a value for logs (also used for addresses' local parts)
+export function logHash(value) {
+  const text = `${settings.hashKey}:${value}`;
+  return fnv1a(text, 0x811c9dc5) + fnv1a(text, 0x01000193);
+}
+
+function writeLine(level, event, fields, extra = {}) {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+
+  const line = {
+    level,
+    time: new Date().toISOString(),
+    event,
+    ...serialize(fields, 0),
+    ...serialize(extra, 0),
+  };
+  const text = JSON.stringify(line);
+
+  if (level === "error") console.error(text);
+  else if (level === "warn") console.warn(text);
+  else console.log(text);
+}
+
+// Plain JSON values, with errors as { name, message } and, in production,
+// addresses and subjects hashed
+function serialize(value, depth, key) {
+  if (value instanceof Error) {
+    return serialize(
+      {
+        name: value.name,
+        message: value.message,
+        ...(settings.redact ? {} : { stack: value.stack }),
+      },
+      depth,
+    );
+  }
+  if (typeof value === "string") {
+    if (!settings.redact) return value;
+    if (HASHED_FIELDS.has(key)) return `hash:${logHash(value)}`;
+    return value.replace(
+      ADDRESS_PATTERN,
+      (_, local, domain) =>
+        `${logHash(local.toLowerCase())}@${domain.toLowerCase()}`,
+    );
+  }
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[nested]";
+
+  if (Array.isArray(value)) {
+    return value.map((item) => serialize(item, depth + 1, key));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([name, item]) => [
+      name,
+      serialize(item, depth + 1, name),
+    ]),
+  );
+}
+
+// 32-bit FNV-1a as 8 hex digits
+function fnv1a(text, seed) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
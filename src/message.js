@@ -0,0 +1,64 @@
+/**
+ * Raw message parsing
+ * Minimal RFC 822 handling: header unfolding and body split for messages
+ * that arrive outside the email() handler (e.g. the /simulate endpoint), and
+ * reading the raw source of an incoming ForwardableEmailMessage.
+ */
+
+const RAW_TEXT = Symbol("rawText");
+
+// The raw message source as text. `message.raw` is a stream that can only be
+// read once, so the text is kept on the message for later readers.
+export async function readRawEmail(message) {
+  if (message[RAW_TEXT] === undefined) {
+    message[RAW_TEXT] = await new Response(message.raw).text();
+  }
+  return message[RAW_TEXT];
+}
+
+// The message body (without headers)
+export async function readEmailBody(message) {
+  return parseRawEmail(await readRawEmail(message)).body;
+}
+
+// Split a raw RFC 822 message into a Headers object and the body text
+export function parseRawEmail(raw) {
+  const text = raw.replace(/\r\n/g, "\n");
+  const end = text.indexOf("\n\n");
+  const head = end === -1 ? text : text.slice(0, end);
+  const body = end === -1 ? "" : text.slice(end + 2);
+
+  // Unfold continuation lines into the header they belong to
+  const fields = [];
+  for (const line of head.split("\n")) {
+    if (/^[ \t]/.test(line) && fields.length > 0) {
+      fields[fields.length - 1] += " " + line.trim();
+    } else if (line.trim()) {
+      fields.push(line);
+    }
+  }
+
+  const headers = new Headers();
+  for (const field of fields) {
+    const colon = field.indexOf(":");
+    if (colon <= 0) continue;
+    try {
+      headers.append(
+        field.slice(0, colon).trim(),
+        field.slice(colon + 1).trim(),
+      );
+    } catch {
+      // Skip header names the Headers API rejects
+    }
+  }
+
+  return { headers, body };
+}
+
+// Extract the first bare address from a header value such as
+// `"Nick" <nick@chitty.cc>, other@example.com`
+export function extractAddress(value) {
+  if (!value) return "";
+  const bracketed = /<([^>]+)>/.exec(value);
+  return (bracketed ? bracketed[1] : value.split(",")[0]).trim();
+}
@@ -0,0 +1,159 @@
+/**
+ * Message pipeline
+ * email() runs every message through a list of stages grouped in phases:
+ *   ingest → parse → security → classify → route → deliver → record
+ * Stages run in phase order (and list order within a phase) and share one
+ * context object (see createContext). A stage is
+ *   { name, phase, run(context), when?(context), optional?, enabled?,
+ *     setting?, always? }
+ * `when` skips the stage for messages it does not apply to. A stage that
+ * settles a message early (a rejected sender, AI spam) sets
+ * `context.halted`; only `always` stages run after that, or after a stage
+ * throws (the error is kept in `context.error`).
+ *
+ * Optional stages can be switched per domain with a `stages` map in the
+ * route tables (`"stages": { "ai": false }` under `defaults` or a domain);
+ * `setting` lets several stages share one switch, and `enabled: false`
+ * makes a stage opt-in. New stages are added to the list in stages/index.js
+ * without touching the handler.
+ *
+ * Stages schedule work the sender need not wait for (analytics, webhooks)
+ * as side effects (see side-effects.js); they are handed to ctx.waitUntil
+ * once every stage has run.
+ *
+ * Each stage logs through `context.log`, whose lines carry the transaction
+ * ID and the stage's name (see logger.js); the runner logs every stage's
+ * duration at debug level and the message's outcome when it is done.
+ */
+
+import { createBudget } from "../budget.js";
+import { createLogger } from "../logger.js";
+import { createTrace } from "../routing/trace.js";
+import { createSideEffects, flushSideEffects } from "../side-effects.js";
+import { createTransactionId, transactionIdPrefix } from "../transaction-id.js";
+
+export const PHASES = [
+  "ingest",
+  "parse",
+  "security",
+  "classify",
+  "route",
+  "deliver",
+  "record",
+];
+
+// Order stages by phase, keeping list order within a phase
+export function createPipeline(stages) {
+  for (const stage of stages) {
+    if (!PHASES.includes(stage.phase)) {
+      throw new Error(`Stage ${stage.name} has unknown phase ${stage.phase}`);
+    }
+  }
+  return [...stages].sort(
+    (a, b) => PHASES.indexOf(a.phase) - PHASES.indexOf(b.phase),
+  );
+}
+
+// The context shared by all stages. `budget` limits the time spent on AI,
+// router and webhook calls (see budget.js); `sideEffects` holds deferred
+// work (see side-effects.js); `log` is the running stage's logger. Stages
+// fill it in as they go:
+//   config                      routing configuration (ingest)
+//   recipient, from, tracking   parsed envelope (parse)
+//   duplicate                   earlier sighting of a repeated message (parse)
+//   allowListed, alias          sender checks (security)
+//   ai                          AI insights, or null (classify)
+//   delegations, decision       routing decision (route)
+//   outcome, deliveries         what happened to the message (deliver)
+//   halted, error               early settlement or failure
+export function createContext(message, env, ctx) {
+  const startTime = Date.now();
+  const transactionId = createTransactionId(
+    transactionIdPrefix(env),
+    startTime,
+  );
+
+  return {
+    message,
+    env,
+    ctx,
+    startTime,
+    budget: createBudget(env, startTime),
+    transactionId,
+    log: createLogger({ transactionId }),
+    trace: createTrace(transactionId, startTime),
+    sideEffects: createSideEffects(),
+    config: null,
+    recipient: null,
+    duplicate: null,
+    ai: null,
+    decision: null,
+    outcome: null,
+    deliveries: [],
+    halted: false,
+    error: null,
+  };
+}
+
+export async function runPipeline(pipeline, context) {
+  for (const stage of pipeline) {
+    if ((context.halted || context.error) && !stage.always) continue;
+    if (!isStageEnabled(stage, context)) continue;
+    if (stage.when && !stage.when(context)) continue;
+
+    // A fresh logger per stage, as dedupe can replace the transaction ID
+    context.log = createLogger({
+      transactionId: context.transactionId,
+      stage: stage.name,
+    });
+    const started = Date.now();
+    try {
+      await stage.run(context);
+      context.log.debug("Stage completed", {
+        durationMs: Date.now() - started,
+      });
+    } catch (error) {
+      const durationMs = Date.now() - started;
+      if (context.error) {
+        // Already failing: keep the first error, report this one
+        context.log.error("Stage failed", { durationMs, error });
+        continue;
+      }
+      context.log.error("Stage failed, message failing", { durationMs, error });
+      context.error = error;
+      context.failedStage = stage.name;
+    }
+  }
+
+  context.log = createLogger({ transactionId: context.transactionId });
+  context.log.info("Message processed", {
+    outcome: context.error ? "failed" : context.outcome,
+    failedStage: context.failedStage,
+    durationMs: Date.now() - context.startTime,
+  });
+
+  await flushSideEffects(context);
+  return context;
+}
+
+// Settle a message early (rejected before routing); only `always` stages
+// run after this
+export function halt(context, outcome) {
+  context.outcome = outcome;
+  context.halted = true;
+}
+
+// Per-domain switches for optional stages, domain over defaults
+export function stageSettings(config, domain) {
+  return {
+    ...config?.defaults?.stages,
+    ...config?.domains?.[domain]?.stages,
+  };
+}
+
+// Whether an optional stage is switched on for the message's domain
+export function isStageEnabled(stage, context) {
+  if (!stage.optional) return true;
+  const settings = stageSettings(context.config, context.recipient?.domain);
+  return settings[stage.setting ?? stage.name] ?? stage.enabled ?? true;
+}
@@ -0,0 +1,69 @@
+/**
+ * Classify stages
+ * Workers AI analysis (classification, sentiment, urgency, entities) used by
+ * AI rule conditions. AI failures never stop the message, and analyses
+ * that miss their deadline are dropped (see budget.js).
+ */
+
+import { analyzeEmail } from "../../ai.js";
+import { readEmailBody } from "../../message.js";
+import { addTraceStep } from "../../routing/trace.js";
+import { halt } from "../index.js";
+
+export const aiAnalysis = {
+  name: "ai",
+  phase: "classify",
+  optional: true,
+  when: (context) => Boolean(context.env.AI),
+  async run(context) {
+    const { env, log, message, trace } = context;
+
+    try {
+      const emailBody = await readEmailBody(message);
+      const subject = message.headers.get("subject") || "";
+
+      const aiInsights = await analyzeEmail(
+        env.AI,
+        subject,
+        emailBody,
+        context.budget,
+      );
+      context.ai = aiInsights;
+
+      // Analyses that missed their deadline were replaced by defaults
+      const late = context.budget.overruns.filter((o) => o.call === "ai");
+      if (late.length > 0) {
+        addTraceStep(trace, "ai", "late", {
+          dropped: late.map((o) => o.label),
+          reason: `ai-late=${late.length}`,
+        });
+      }
+
+      log.info("AI analysis", {
+        classification: aiInsights.classification,
+        sentiment: aiInsights.sentiment,
+        urgency: aiInsights.urgency,
+        entityCount: aiInsights.entities.length,
+      });
+      addTraceStep(trace, "ai", "analyzed", {
+        classification: aiInsights.classification,
+        sentiment: aiInsights.sentiment,
+        urgency: aiInsights.urgency,
+      });
+    } catch (aiError) {
+      log.error("AI processing failed, continuing without AI", {
+        error: aiError,
+      });
+      addTraceStep(trace, "ai", "failed", { error: aiError.message });
+      return;
+    }
+
+    // Reject if AI detects spam
+    if (context.ai.classification === "spam") {
+      log.info("AI detected spam, rejecting");
+      addTraceStep(trace, "ai", "spam", { reason: "rejected=ai-spam" });
+      await message.setReject("Message classified as spam by AI");
+      halt(context, "rejected");
+    }
+  },
+};
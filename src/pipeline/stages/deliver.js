@@ -0,0 +1,342 @@
+/**
+ * Deliver stages
+ * Carry out the routing decision: reject, drop, track, defer or forward
+ * (and post to workstream routers), then notify senders and webhooks in
+ * the background. `context.outcome` records what happened for the record
+ * stages.
+ */
+
+import { storeDeadLetter } from "../../dead-letters.js";
+import { sendOutOfOfficeAck } from "../../delegations.js";
+import {
+  deliverToTargets,
+  sendFeedbackToSender,
+  sendToCertifiedTracking,
+  sendToNamespaceTracking,
+  sendWebhook,
+} from "../../delivery.js";
+import { deferToDigest } from "../../digest.js";
+import { readRawEmail } from "../../message.js";
+import { addTraceStep, summarizeTrace } from "../../routing/trace.js";
+import { scheduleSideEffect } from "../../side-effects.js";
+
+// Where mail goes when processing fails
+const ERROR_FALLBACK = "no-reply@itcan.llc";
+
+const actionIs = (type) => (context) => context.decision.action.type === type;
+
+// Route-specific fields for router posts: the subaddress tag (e.g. a
+// matter ID) when the rule asks for it
+function deliveryDetails({ decision, recipient }) {
+  const { tagAs } = decision.action;
+  return tagAs && recipient.tag ? { [tagAs]: recipient.tag } : {};
+}
+
+// Handle namespace copy tracking (e.g., nick@chitty.cc copying themselves);
+// the message is still routed normally
+export const namespaceTracking = {
+  name: "namespace-tracking",
+  phase: "deliver",
+  optional: true,
+  when: (context) =>
+    context.tracking.isNamespaceCopy &&
+    Boolean(context.env.TRACKING_ROUTER_URL) &&
+    context.decision.action.type !== "track",
+  async run(context) {
+    const { env, message, ai, transactionId } = context;
+    await sendToNamespaceTracking(
+      env,
+      message,
+      ai,
+      transactionId,
+      context.budget,
+    );
+    context.log.info("Recorded namespace copy", { from: context.from });
+  },
+};
+
+export const reject = {
+  name: "reject",
+  phase: "deliver",
+  when: actionIs("reject"),
+  async run(context) {
+    const { action } = context.decision;
+    context.log.info("Rejecting email", { reason: action.reason });
+    await context.message.setReject(action.reason);
+    context.outcome = "rejected";
+  },
+};
+
+export const drop = {
+  name: "drop",
+  phase: "deliver",
+  when: actionIs("drop"),
+  run(context) {
+    const { local, domain } = context.recipient;
+    context.log.info("Discarding email", { to: `${local}@${domain}` });
+    context.outcome = "dropped";
+  },
+};
+
+// Handle BCC tracking - bcc@chitty.cc creates certified tracking record
+// (tracked mail is not forwarded)
+export const track = {
+  name: "track",
+  phase: "deliver",
+  when: actionIs("track"),
+  async run(context) {
+    const { env, message, ai, transactionId } = context;
+    await sendToCertifiedTracking(
+      env,
+      message,
+      ai,
+      transactionId,
+      context.budget,
+    );
+    context.log.info("Created certified tracking record for BCC");
+    context.outcome = "tracked";
+  },
+};
+
+// Hold the message for its schedule's digest (e.g. after-hours mail)
+export const defer = {
+  name: "defer",
+  phase: "deliver",
+  when: actionIs("defer"),
+  async run(context) {
+    const { env, log, message, trace, transactionId } = context;
+    const { action, ruleId, forwardTargets, forwardTo } = context.decision;
+
+    const recipients = forwardTargets.map((t) => t.address);
+    await deferToDigest(env, message, {
+      transactionId,
+      digest: action.digest,
+      recipients,
+      rule: ruleId,
+    });
+    addTraceStep(trace, "delivery", "deferred", {
+      digest: action.digest,
+      to: recipients,
+    });
+    log.info("Deferred to digest", { digest: action.digest, forwardTo });
+    context.outcome = "deferred";
+  },
+};
+
+// Forward to the route's addresses and post to its workstream routers.
+// Workstream-only routes are posted, not forwarded ("routed").
+export const forward = {
+  name: "forward",
+  phase: "deliver",
+  when: (context) => !context.outcome,
+  async run(context) {
+    const { env, log, message, recipient, startTime, trace, transactionId } =
+      context;
+    const {
+      targets,
+      forwardTargets,
+      workstreamTargets,
+      forwardTo,
+      isPriority,
+    } = context.decision;
+
+    const delivery = {
+      aiInsights: context.ai,
+      transactionId,
+      trace,
+      details: deliveryDetails(context),
+      budget: context.budget,
+    };
+
+    if (forwardTargets.length === 0) {
+      context.deliveries = await deliverToTargets(
+        env,
+        message,
+        targets,
+        delivery,
+      );
+      if (!context.deliveries.some((d) => d.ok)) {
+        throw new Error("All deliveries failed");
+      }
+      log.info("Sent to workstream routers", {
+        workstreams: workstreamTargets.map((t) => t.workstream),
+        to: `${recipient.local}@${recipient.domain}`,
+      });
+      context.outcome = "routed";
+      return;
+    }
+
+    for (const target of forwardTargets) {
+      if (target.fallbackFor) {
+        log.warn("Router not configured, forwarding instead", {
+          workstream: target.fallbackFor,
+          to: target.address,
+        });
+      }
+    }
+
+    // Add routing, AI and tracking headers
+    for (const [name, value] of Object.entries(context.decision.headers)) {
+      message.headers.set(name, value);
+    }
+    message.headers.set("X-Processing-Time", `${Date.now() - startTime}ms`);
+
+    // Forward the email (and post to any workstream routers on the route)
+    log.info("Forwarding", { forwardTo, priority: isPriority });
+    context.deliveries = await deliverToTargets(
+      env,
+      message,
+      targets,
+      delivery,
+    );
+    if (!context.deliveries.some((d) => d.ok)) {
+      throw new Error("All deliveries failed");
+    }
+    context.outcome = "forwarded";
+  },
+};
+
+// Tell the sender who is covering for an absent recipient
+export const outOfOfficeAck = {
+  name: "out-of-office",
+  phase: "deliver",
+  optional: true,
+  when: (context) =>
+    context.outcome === "forwarded" && context.decision.delegatedFor.length > 0,
+  async run(context) {
+    const { delegatedFor, forwardTargets } = context.decision;
+    for (const person of delegatedFor) {
+      await sendOutOfOfficeAck(
+        context.env,
+        context.message,
+        context.delegations[person],
+        {
+          transactionId: context.transactionId,
+          delegatedTo: forwardTargets
+            .filter((t) => t.delegatedFor === person)
+            .map((t) => t.address),
+          budget: context.budget,
+        },
+      );
+    }
+  },
+};
+
+// Send feedback to sender if from chitty.cc domain (after delivery, in the
+// background)
+export const feedback = {
+  name: "feedback",
+  phase: "deliver",
+  optional: true,
+  when: (context) =>
+    context.outcome === "forwarded" &&
+    context.env.FEEDBACK_ENABLED === "true" &&
+    context.from.includes("@chitty.cc"),
+  run(context) {
+    const { message, tracking } = context;
+    const feedbackData = {
+      transactionId: context.transactionId,
+      from: message.from,
+      to: message.to,
+      forwardedTo: context.decision.forwardTo,
+      aiInsights: context.ai,
+      isBccTracked: tracking.isBccTracked,
+      isNamespaceCopy: tracking.isNamespaceCopy,
+      isPriority: context.decision.isPriority,
+    };
+    scheduleSideEffect(context, "feedback", () =>
+      sendFeedbackToSender(context.env, feedbackData, context.budget),
+    );
+  },
+};
+
+// Send webhook for priority emails (after delivery, in the background)
+export const webhook = {
+  name: "webhook",
+  phase: "deliver",
+  optional: true,
+  when: (context) =>
+    context.outcome === "forwarded" &&
+    context.decision.isPriority &&
+    Boolean(context.env.WEBHOOK_URL),
+  run(context) {
+    const { message } = context;
+    const data = {
+      transactionId: context.transactionId,
+      event: "priority_email",
+      from: message.from,
+      to: message.to,
+      subject: message.headers.get("subject"),
+      domain: context.recipient.domain,
+    };
+    scheduleSideEffect(context, "webhook", () =>
+      sendWebhook(context.env.WEBHOOK_URL, data, context.budget),
+    );
+  },
+};
+
+// Keep a message that failed processing in the dead-letter store, with the
+// route it was meant for, so it can be replayed or rerouted
+export const deadLetter = {
+  name: "dead-letter",
+  phase: "deliver",
+  always: true,
+  when: (context) => Boolean(context.error),
+  async run(context) {
+    const { env, message, decision, trace, transactionId } = context;
+    const targets = decision?.targets ?? null;
+
+    const id = await storeDeadLetter(env, {
+      kind: "message",
+      target: targets
+        ? targets
+            .map((t) => t.address ?? `workstream:${t.workstream}`)
+            .join(", ")
+        : "unrouted",
+      transactionId,
+      error: context.error.message,
+      stage: context.failedStage,
+      from: message.from,
+      to: message.to,
+      subject: message.headers.get("subject"),
+      route: targets && {
+        rule: decision.ruleId,
+        targets,
+        reason: summarizeTrace(trace),
+      },
+      deliveries: context.deliveries,
+      ai: context.ai,
+      details: decision ? deliveryDetails(context) : {},
+      rawEmail: await readRawEmail(message),
+    });
+    if (id) {
+      addTraceStep(trace, "error", "dead-lettered", {
+        id,
+        reason: `dead-letter=${id}`,
+      });
+    }
+  },
+};
+
+// Fallback forwarding when any earlier stage failed
+export const errorFallback = {
+  name: "error-fallback",
+  phase: "deliver",
+  always: true,
+  when: (context) => Boolean(context.error),
+  async run(context) {
+    const { log, message, trace } = context;
+    addTraceStep(trace, "error", "fallback", {
+      error: context.error.message,
+      to: ERROR_FALLBACK,
+      reason: "fallback=error",
+    });
+
+    try {
+      message.headers.set("X-ChittyOS-Route-Reason", summarizeTrace(trace));
+      await message.forward(ERROR_FALLBACK);
+    } catch (fallbackError) {
+      log.error("Fallback failed", { error: fallbackError });
+    }
+  },
+};
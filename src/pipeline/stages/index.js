@@ -0,0 +1,73 @@
+/**
+ * Pipeline stages
+ * The stages email() runs, in order within each phase. To add a stage,
+ * write it as { name, phase, run } in the module for its phase (or a new
+ * module) and list it here.
+ */
+
+import { createPipeline } from "../index.js";
+import { aiAnalysis } from "./classify.js";
+import {
+  deadLetter,
+  defer,
+  drop,
+  errorFallback,
+  feedback,
+  forward,
+  namespaceTracking,
+  outOfOfficeAck,
+  reject,
+  track,
+  webhook,
+} from "./deliver.js";
+import { loadConfig } from "./ingest.js";
+import { dedupe, envelope } from "./parse.js";
+import {
+  aiInsights,
+  analytics,
+  financialRecords,
+  rateLimitUpdate,
+  routeTrace,
+} from "./record.js";
+import { aiOverride, decide } from "./route.js";
+import { aliasCheck, rateLimit, senderLists, spamCheck } from "./security.js";
+
+export const STAGES = [
+  loadConfig,
+  envelope,
+  dedupe,
+  senderLists,
+  rateLimit,
+  spamCheck,
+  aliasCheck,
+  aiAnalysis,
+  decide,
+  aiOverride,
+  namespaceTracking,
+  reject,
+  drop,
+  track,
+  defer,
+  forward,
+  outOfOfficeAck,
+  feedback,
+  webhook,
+  deadLetter,
+  errorFallback,
+  aiInsights,
+  financialRecords,
+  analytics,
+  rateLimitUpdate,
+  routeTrace,
+];
+
+export const PIPELINE = createPipeline(STAGES);
+
+// Settings accepted in `stages` maps: the switches of optional stages
+export const STAGE_SETTINGS = [
+  ...new Set(
+    STAGES.filter((stage) => stage.optional).map(
+      (stage) => stage.setting ?? stage.name,
+    ),
+  ),
+];
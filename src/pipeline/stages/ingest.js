@@ -0,0 +1,16 @@
+/**
+ * Ingest stages
+ * Load everything the rest of the pipeline needs before looking at the
+ * message itself.
+ */
+
+import { loadRoutingConfig } from "../../routing/config.js";
+
+// The active routing configuration (also decides which stages run)
+export const loadConfig = {
+  name: "load-config",
+  phase: "ingest",
+  async run(context) {
+    context.config = await loadRoutingConfig(context.env);
+  },
+};
@@ -0,0 +1,72 @@
+/**
+ * Parse stages
+ * Envelope details every later stage relies on, and duplicate detection,
+ * which settles the transaction ID before anything is recorded.
+ */
+
+import { recordSighting } from "../../idempotency.js";
+import { parseRecipient } from "../../routing/address.js";
+import { detectTracking } from "../../routing/decision.js";
+import { addTraceStep } from "../../routing/trace.js";
+
+// Recipient (local part, subaddress tag, domain), sender and tracking copies
+export const envelope = {
+  name: "envelope",
+  phase: "parse",
+  run(context) {
+    const { log, message } = context;
+
+    // Extract domain, local part and subaddress tag (nick+receipts@chitty.cc)
+    context.recipient = parseRecipient(message.to);
+    context.from = message.from.toLowerCase();
+
+    // Check for BCC tracking (bcc@chitty.cc) and namespace copies
+    context.tracking = detectTracking(message.from, message.headers);
+
+    log.info("Email received", {
+      from: message.from,
+      to: message.to,
+      domain: context.recipient.domain,
+      tag: context.recipient.tag,
+      bccTracked: context.tracking.isBccTracked,
+      ccTracked: context.tracking.isCcTracked,
+      namespaceCopy: context.tracking.isNamespaceCopy,
+    });
+  },
+};
+
+// A message seen before within the dedupe window (by Message-ID or content)
+// is processed again under its original transaction ID. Lookup failures
+// only cost the deduplication.
+export const dedupe = {
+  name: "dedupe",
+  phase: "parse",
+  optional: true,
+  when: (context) => Boolean(context.env.PROCESSED_MESSAGES),
+  async run(context) {
+    const { env, log, message, trace, transactionId } = context;
+
+    let original;
+    try {
+      original = await recordSighting(env, message, transactionId);
+    } catch (error) {
+      log.error("Duplicate check failed", { error });
+      return;
+    }
+    if (!original) return;
+
+    log.info("Duplicate message", {
+      originalTransactionId: original.transactionId,
+      source: original.source,
+      firstSeenAt: original.firstSeenAt,
+    });
+    context.transactionId = original.transactionId;
+    trace.transactionId = original.transactionId;
+    context.duplicate = { ...original, count: original.count + 1 };
+    addTraceStep(trace, "parse", "duplicate", {
+      of: original.transactionId,
+      source: original.source,
+      reason: `duplicate-of=${original.transactionId}`,
+    });
+  },
+};
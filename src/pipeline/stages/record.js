@@ -0,0 +1,168 @@
+/**
+ * Record stages
+ * Analytics, AI insights, financial records, rate limit counters and the
+ * routing trace. AI insights and the trace are kept even when delivery
+ * failed. Analytics, AI insights and rate limit counters are written in the
+ * background (see side-effects.js).
+ */
+
+import {
+  handleFinancialEmail,
+  logAnalytics,
+  storeAIInsights,
+  storeRouteTrace,
+} from "../../analytics.js";
+import { updateRateLimit } from "../../rate-limit.js";
+import { summarizeTrace } from "../../routing/trace.js";
+import { scheduleSideEffect } from "../../side-effects.js";
+
+// Store AI insights for analytics
+export const aiInsights = {
+  name: "ai-insights",
+  phase: "record",
+  optional: true,
+  always: true,
+  when: (context) =>
+    Boolean(context.ai && context.decision && context.env.EMAIL_ANALYTICS),
+  run(context) {
+    const { message, recipient } = context;
+    const { ruleId, workstreamTargets, forwardTo } = context.decision;
+
+    const insights = {
+      transactionId: context.transactionId,
+      from: message.from,
+      to: message.to,
+      domain: recipient.domain,
+      tag: recipient.tag,
+      ...context.ai,
+      rule: ruleId,
+      configVersion: context.config.version,
+      workstream: workstreamTargets[0]?.workstream,
+      forwardedTo: forwardTo || null,
+      processingTime: Date.now() - context.startTime,
+    };
+    scheduleSideEffect(context, "ai-insights", () =>
+      storeAIInsights(context.env, insights),
+    );
+  },
+};
+
+// Keep financial email records when there is no finance workstream
+export const financialRecords = {
+  name: "financial-records",
+  phase: "record",
+  optional: true,
+  always: true,
+  when: (context) =>
+    Boolean(context.ai && context.decision) &&
+    ["invoice", "receipt"].includes(context.ai.classification) &&
+    !context.env.FINANCE_ROUTER_URL,
+  async run(context) {
+    await handleFinancialEmail(
+      context.env,
+      context.message,
+      context.ai.entities,
+      context.transactionId,
+    );
+  },
+};
+
+// One analytics record per routed or forwarded message; refused and
+// looping group posts still count towards group analytics. Written in the
+// background after the webhook and feedback, whose budget overruns it lists.
+export const analytics = {
+  name: "analytics",
+  phase: "record",
+  when: (context) =>
+    Boolean(context.env.EMAIL_ANALYTICS && context.decision) &&
+    (["routed", "forwarded"].includes(context.outcome) ||
+      Boolean(context.decision.action.group)),
+  run(context) {
+    const record = analyticsRecord(context);
+    if (!record) return;
+    scheduleSideEffect(
+      context,
+      "analytics",
+      () =>
+        logAnalytics(context.env, {
+          ...record,
+          budgetOverruns: context.budget.overruns,
+        }),
+      { after: ["webhook", "feedback"] },
+    );
+  },
+};
+
+function analyticsRecord(context) {
+  const { message, recipient, decision } = context;
+  const record = {
+    transactionId: context.transactionId,
+    action: context.outcome,
+    from: message.from,
+    to: message.to,
+    domain: recipient.domain,
+    rule: decision.ruleId,
+    configVersion: context.config.version,
+    routeReason: summarizeTrace(context.trace),
+    duplicate: Boolean(context.duplicate),
+    processingTime: Date.now() - context.startTime,
+  };
+
+  switch (context.outcome) {
+    case "rejected":
+    case "dropped":
+      return { ...record, group: decision.action.group };
+
+    case "routed":
+      return {
+        ...record,
+        tag: recipient.tag,
+        deliveries: context.deliveries,
+      };
+
+    case "forwarded":
+      return {
+        ...record,
+        forwardedTo: decision.forwardTo,
+        deliveries: context.deliveries,
+        tag: recipient.tag,
+        delegatedFor: decision.delegatedFor,
+        group: decision.action.group,
+        moderated: decision.action.moderated,
+        priority: decision.isPriority,
+        size: message.rawSize,
+      };
+
+    default:
+      return null;
+  }
+}
+
+// Count the message towards the sender's hourly limit
+export const rateLimitUpdate = {
+  name: "rate-limit-update",
+  phase: "record",
+  optional: true,
+  setting: "rate-limit",
+  when: (context) => context.outcome === "forwarded",
+  run(context) {
+    scheduleSideEffect(context, "rate-limit-update", () =>
+      updateRateLimit(context.env, context.message.from),
+    );
+  },
+};
+
+// Keep the decision trace next to the analytics record
+export const routeTrace = {
+  name: "route-trace",
+  phase: "record",
+  always: true,
+  when: (context) => Boolean(context.env.EMAIL_ANALYTICS),
+  async run(context) {
+    await storeRouteTrace(
+      context.env,
+      context.recipient?.domain,
+      context.trace,
+    );
+  },
+};
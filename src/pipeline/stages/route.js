@@ -0,0 +1,75 @@
+/**
+ * Route stages
+ * The routing decision (see routing/decision.js) and how AI changed it.
+ */
+
+import { loadDelegations } from "../../delegations.js";
+import { decideRoute } from "../../routing/decision.js";
+import { addTraceStep } from "../../routing/trace.js";
+
+// Decide where the message goes
+export const decide = {
+  name: "decide",
+  phase: "route",
+  async run(context) {
+    const { env, log, message, transactionId } = context;
+
+    context.delegations = await loadDelegations(env);
+    context.decision = decideRoute(
+      {
+        from: message.from,
+        to: message.to,
+        headers: message.headers,
+        ai: context.ai,
+        transactionId,
+        trace: context.trace,
+        delegations: context.delegations,
+        alias: context.alias,
+      },
+      context.config,
+      env,
+    );
+
+    const { action, ruleId } = context.decision;
+    log.info("Routing rule matched", { ruleId, action: action.type });
+  },
+};
+
+// Record when AI changed the outcome (legal, complaint, urgency, ...).
+// Diagnostics only: a baseline route that cannot be decided is noted on the
+// trace and the message goes on with the decision already made.
+export const aiOverride = {
+  name: "ai-override",
+  phase: "route",
+  when: (context) => Boolean(context.ai),
+  run(context) {
+    const { env, log, message, trace } = context;
+    const { ruleId } = context.decision;
+
+    let baseline;
+    try {
+      baseline = decideRoute(
+        {
+          from: message.from,
+          to: message.to,
+          headers: message.headers,
+          delegations: context.delegations,
+          alias: context.alias,
+        },
+        context.config,
+        env,
+      );
+    } catch (error) {
+      log.warn("Could not decide the route without AI", { error });
+      addTraceStep(trace, "ai", "baseline-failed", { error: error.message });
+      return;
+    }
+    if (baseline.ruleId !== ruleId) {
+      addTraceStep(trace, "ai", "override", {
+        rule: ruleId,
+        replaced: baseline.ruleId,
+        reason: `ai-override=${baseline.ruleId}`,
+      });
+    }
+  },
+};
@@ -0,0 +1,135 @@
+/**
+ * Security stages
+ * Sender lists, rate limiting, the quick spam check and disposable alias
+ * checks. Refused messages are bounced and the pipeline stops.
+ */
+
+import { aliasRefusal, lookupAlias, recordAliasUsage } from "../../aliases.js";
+import { checkRateLimit } from "../../rate-limit.js";
+import { matchesSender } from "../../routing/patterns.js";
+import { addTraceStep } from "../../routing/trace.js";
+import { halt } from "../index.js";
+
+// Sender deny list (admin API) always wins; allow-listed senders skip rate
+// limiting and the quick spam check
+export const senderLists = {
+  name: "sender-lists",
+  phase: "security",
+  async run(context) {
+    const { log, message, trace } = context;
+    const senders = context.config.senders || {};
+
+    if (matchesSender(senders.deny || [], message.from)) {
+      log.info("Denied sender", { from: message.from });
+      addTraceStep(trace, "security", "denied", {
+        reason: "rejected=deny-list",
+      });
+      await message.setReject("Sender is blocked");
+      halt(context, "rejected");
+      return;
+    }
+
+    context.allowListed = matchesSender(senders.allow || [], message.from);
+    if (context.allowListed) {
+      addTraceStep(trace, "security", "allow-listed", {
+        reason: "sender=allow-list",
+      });
+    }
+  },
+};
+
+export const rateLimit = {
+  name: "rate-limit",
+  phase: "security",
+  optional: true,
+  when: (context) => !context.allowListed,
+  async run(context) {
+    const { log, message, trace } = context;
+    if (await checkRateLimit(context.env, message.from)) {
+      log.info("Rate limited", { from: message.from });
+      addTraceStep(trace, "security", "rate-limited", {
+        reason: "rejected=rate-limit",
+      });
+      await message.setReject("Rate limit exceeded - please try again later");
+      halt(context, "rejected");
+    }
+  },
+};
+
+// Quick spam check (before AI)
+export const spamCheck = {
+  name: "spam-check",
+  phase: "security",
+  optional: true,
+  when: (context) => !context.allowListed,
+  async run(context) {
+    const { log, message, trace } = context;
+    if (await isSpamQuick(message)) {
+      log.info("Quick spam check failed", { from: message.from });
+      addTraceStep(trace, "security", "spam", { reason: "rejected=spam" });
+      await message.setReject("Message classified as spam");
+      halt(context, "rejected");
+    }
+  },
+};
+
+// Disposable aliases: bounce revoked, expired, exhausted or sender-restricted
+// ones before spending AI time on them
+export const aliasCheck = {
+  name: "alias",
+  phase: "security",
+  async run(context) {
+    const { env, log, message, recipient, trace } = context;
+
+    const alias = await lookupAlias(env, recipient.local, recipient.domain);
+    context.alias = alias;
+    if (!alias) return;
+
+    const refusal = aliasRefusal(alias, message.from);
+    await recordAliasUsage(env, alias, message.from, refusal);
+    if (refusal) {
+      log.info("Alias refused", { alias: alias.address, refusal });
+      addTraceStep(trace, "security", "alias-refused", {
+        alias: alias.address,
+        why: refusal,
+        reason: `rejected=alias-${alias.local}`,
+      });
+      await message.setReject(refusal);
+      halt(context, "rejected");
+    }
+  },
+};
+
+// Quick spam detection (before AI)
+export async function isSpamQuick(message) {
+  const spamKeywords = [
+    "viagra",
+    "casino",
+    "lottery",
+    "inheritance",
+    "prince",
+    "click here now",
+    "act now",
+    "limited time",
+    "you have won",
+    "bitcoin mining",
+    "forex",
+    "make money fast",
+    "guarantee",
+  ];
+
+  const subject = (message.headers.get("subject") || "").toLowerCase();
+  const from = message.from.toLowerCase();
+
+  // Check keywords
+  for (const keyword of spamKeywords) {
+    if (subject.includes(keyword)) return true;
+  }
+
+  // Check patterns
+  if (from.match(/\d{5,}@/) || from.includes("..")) {
+    return true;
+  }
+
+  return false;
+}
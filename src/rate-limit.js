@@ -0,0 +1,52 @@
+/**
+ * Per-sender rate limiting
+ * Counts delivered messages per sender in RATE_LIMITS over a one-hour window.
+ */
+
+import { createLogger } from "./logger.js";
+
+const log = createLogger();
+
+// Rate limiting
+export async function checkRateLimit(env, sender) {
+  if (!env.RATE_LIMITS) return false;
+
+  try {
+    const key = `rate:${sender}`;
+    const data = await env.RATE_LIMITS.get(key);
+
+    if (data) {
+      const parsed = JSON.parse(data);
+      // 50 emails per hour
+      return parsed.count > 50;
+    }
+  } catch (error) {
+    log.error("Rate limit check failed", { error });
+  }
+
+  return false;
+}
+
+// Update rate limit (throws on failure)
+export async function updateRateLimit(env, sender) {
+  if (!env.RATE_LIMITS) return;
+
+  const key = `rate:${sender}`;
+  const existing = await env.RATE_LIMITS.get(key);
+
+  let data;
+  if (existing) {
+    data = JSON.parse(existing);
+    if (Date.now() - data.window > 3600000) {
+      data = { count: 1, window: Date.now() };
+    } else {
+      data.count++;
+    }
+  } else {
+    data = { count: 1, window: Date.now() };
+  }
+
+  await env.RATE_LIMITS.put(key, JSON.stringify(data), {
+    expirationTtl: 3600,
+  });
+}
@@ -0,0 +1,236 @@
+/**
+ * Router health and circuit breakers
+ * Breakers belong to router endpoints, not workstreams: every router post
+ * (see router-queue.js) records its outcome and latency in ROUTER_HEALTH
+ * under `health:<url>`, the router URL its workstream resolves to (see
+ * routerUrl), so workstreams sharing a router (finance and compliance
+ * falling back to the evidence router) share one breaker. After
+ * FAILURE_THRESHOLD failures in a row the breaker opens: posts to the router
+ * fail at once, without a fetch, and take the usual retry-queue and
+ * fallback path. After OPEN_SECONDS the breaker is half-open and the next
+ * post goes through as a probe, closing the breaker on success and
+ * reopening it on failure.
+ *
+ * Counts are also kept per day for the last week, for /health and the
+ * weekly report. KV writes are not atomic, so concurrent messages can lose
+ * a count and a half-open router may get more than one probe. Without the
+ * binding every post goes through and nothing is recorded.
+ */
+
+import { createLogger } from "./logger.js";
+
+const log = createLogger();
+
+// Workstreams that receive posts, as named in router-queue posts
+export const ROUTERS = ["litigation", "finance", "compliance", "tracking"];
+
+// Failures in a row that open a breaker
+export const FAILURE_THRESHOLD = 5;
+// How long an open breaker skips posts before letting a probe through
+export const OPEN_SECONDS = 60;
+
+const HEALTH_PREFIX = "health:";
+const HISTORY_DAYS = 7;
+// Weight of the newest sample in the moving latency average
+const LATENCY_WEIGHT = 0.2;
+
+// The router URL a workstream's posts go to (finance and compliance fall
+// back to the evidence router); undefined when none is configured
+export function routerUrl(env, workstream) {
+  switch (workstream) {
+    case "finance":
+      return env.FINANCE_ROUTER_URL || env.EVIDENCE_ROUTER_URL;
+    case "compliance":
+      return env.COMPLIANCE_ROUTER_URL || env.EVIDENCE_ROUTER_URL;
+    case "tracking":
+      return env.TRACKING_ROUTER_URL;
+    default:
+      return env.EVIDENCE_ROUTER_URL;
+  }
+}
+
+// The health record of the router at `url` (a fresh, closed one if it has
+// none); null without the binding or when it cannot be read
+export async function loadRouterHealth(env, url) {
+  if (!env.ROUTER_HEALTH) return null;
+
+  try {
+    const health = await env.ROUTER_HEALTH.get(
+      `${HEALTH_PREFIX}${url}`,
+      "json",
+    );
+    return health ?? newHealth(url);
+  } catch (error) {
+    log.error("Could not read router health", { url, error });
+    return null;
+  }
+}
+
+// "closed", "open", or "half-open" once an open breaker's wait is over
+export function breakerState(health, now = Date.now()) {
+  if (health.state === "open" && now >= Date.parse(health.retryAt)) {
+    return "half-open";
+  }
+  return health.state;
+}
+
+// Record the outcome of a post: { ok, latencyMs, error }, or
+// { skipped: true } for a post the open breaker turned away
+export async function recordRouterResult(env, health, result) {
+  if (!health) return;
+
+  const now = new Date();
+  const day = bucket(health, now);
+  const updated = { ...health };
+
+  if (result.skipped) {
+    updated.skipped++;
+    day.skipped++;
+  } else if (result.ok) {
+    if (health.state === "open") {
+      log.info("Router recovered, closing its breaker", { url: health.url });
+    }
+    Object.assign(updated, {
+      state: "closed",
+      consecutiveFailures: 0,
+      successes: health.successes + 1,
+      lastSuccessAt: now.toISOString(),
+      openedAt: null,
+      retryAt: null,
+    });
+    day.successes++;
+  } else {
+    Object.assign(updated, {
+      consecutiveFailures: health.consecutiveFailures + 1,
+      failures: health.failures + 1,
+      lastFailureAt: now.toISOString(),
+      lastError: result.error,
+    });
+    day.failures++;
+
+    // A failed probe reopens the breaker; otherwise open at the threshold
+    if (
+      health.state === "open" ||
+      updated.consecutiveFailures >= FAILURE_THRESHOLD
+    ) {
+      if (health.state !== "open") {
+        log.error("Router failing, opening its breaker", {
+          url: health.url,
+          consecutiveFailures: updated.consecutiveFailures,
+        });
+      }
+      updated.state = "open";
+      updated.openedAt = health.openedAt ?? now.toISOString();
+      updated.retryAt = new Date(
+        now.getTime() + OPEN_SECONDS * 1000,
+      ).toISOString();
+    }
+  }
+
+  if (!result.skipped) {
+    updated.lastLatencyMs = result.latencyMs;
+    updated.avgLatencyMs = Math.round(
+      health.avgLatencyMs === null
+        ? result.latencyMs
+        : health.avgLatencyMs * (1 - LATENCY_WEIGHT) +
+            result.latencyMs * LATENCY_WEIGHT,
+    );
+    day.latencyMs += result.latencyMs;
+  }
+  updated.days = { ...pruneDays(health.days, now), [dayKey(now)]: day };
+
+  try {
+    await env.ROUTER_HEALTH.put(
+      `${HEALTH_PREFIX}${health.url}`,
+      JSON.stringify(updated),
+    );
+  } catch (error) {
+    log.error("Could not record router health", { url: health.url, error });
+  }
+}
+
+// Health of every configured router URL, with the workstreams posting to
+// it, its breaker state and the last week's posts; empty without the binding
+export async function summarizeRouterHealth(env, now = new Date()) {
+  if (!env.ROUTER_HEALTH) return [];
+
+  const workstreamsByUrl = new Map();
+  for (const workstream of ROUTERS) {
+    const url = routerUrl(env, workstream);
+    if (!url) continue;
+    workstreamsByUrl.set(url, [
+      ...(workstreamsByUrl.get(url) ?? []),
+      workstream,
+    ]);
+  }
+
+  const summaries = [];
+  for (const [url, workstreams] of workstreamsByUrl) {
+    const health = (await loadRouterHealth(env, url)) ?? newHealth(url);
+    const { days, ...rest } = health;
+
+    const week = { successes: 0, failures: 0, skipped: 0, latencyMs: 0 };
+    for (const counts of Object.values(pruneDays(days, now))) {
+      week.successes += counts.successes;
+      week.failures += counts.failures;
+      week.skipped += counts.skipped;
+      week.latencyMs += counts.latencyMs;
+    }
+    const posts = week.successes + week.failures;
+
+    summaries.push({
+      ...rest,
+      workstreams,
+      state: breakerState(health, now.getTime()),
+      week: {
+        successes: week.successes,
+        failures: week.failures,
+        skipped: week.skipped,
+        avgLatencyMs: posts > 0 ? Math.round(week.latencyMs / posts) : null,
+      },
+    });
+  }
+  return summaries;
+}
+
+function newHealth(url) {
+  return {
+    url,
+    state: "closed",
+    consecutiveFailures: 0,
+    successes: 0,
+    failures: 0,
+    skipped: 0,
+    lastLatencyMs: null,
+    avgLatencyMs: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    openedAt: null,
+    retryAt: null,
+    days: {},
+  };
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// A copy of today's counts
+function bucket(health, now) {
+  return {
+    successes: 0,
+    failures: 0,
+    skipped: 0,
+    latencyMs: 0,
+    ...health.days[dayKey(now)],
+  };
+}
+
+// Daily counts from the last HISTORY_DAYS days
+function pruneDays(days, now) {
+  const oldest = dayKey(new Date(now.getTime() - HISTORY_DAYS * 86400000));
+  return Object.fromEntries(
+    Object.entries(days).filter(([day]) => day > oldest),
+  );
+}
@@ -0,0 +1,192 @@
+/**
+ * Router retry queue
+ * Router posts (workstream intake, certified and namespace tracking,
+ * digests) that fail are sent to ROUTER_RETRY_QUEUE (a Cloudflare Queue) and
+ * retried by the worker's queue() handler with exponential backoff. A post
+ * that still fails after MAX_ATTEMPTS goes to the dead-letter store.
+ *
+ * A post is { router, url, headers, body, transactionId } with the JSON
+ * body as a string. Every post carries an Idempotency-Key made of the
+ * transaction ID and the event, the same for retries, dead-letter replays
+ * and duplicate messages (see idempotency.js), so routers can drop repeats.
+ * Posts too large for a queue message wait in DEAD_LETTERS under
+ * `pending:<transactionId>:<id>` and the message carries the key. Without the queue binding
+ * failed posts are not retried. Posts to a router whose circuit breaker is
+ * open (see router-health.js) fail without a fetch and are queued the same
+ * way.
+ */
+
+import { withDeadline } from "./budget.js";
+import { storeDeadLetter } from "./dead-letters.js";
+import { createLogger } from "./logger.js";
+import {
+  breakerState,
+  loadRouterHealth,
+  recordRouterResult,
+  routerUrl,
+} from "./router-health.js";
+
+// Attempts per post, counting the first (inline) one
+export const MAX_ATTEMPTS = 8;
+
+// Backoff: 1, 2, 4, ... minutes between attempts, at most an hour
+const BASE_DELAY_SECONDS = 60;
+const MAX_DELAY_SECONDS = 3600;
+
+// Queue messages are limited to 128 KB; leave room for the envelope
+const QUEUE_MESSAGE_LIMIT = 120 * 1024;
+const PENDING_PREFIX = "pending:";
+const PENDING_TTL = 86400 * 2;
+
+// Seconds to wait after the given (1-based) attempt failed
+export function retryDelay(attempt) {
+  return Math.min(BASE_DELAY_SECONDS * 2 ** (attempt - 1), MAX_DELAY_SECONDS);
+}
+
+// The Idempotency-Key routers receive for a post
+export function idempotencyKey(post) {
+  return `${post.transactionId}:${post.headers["X-ChittyOS-Event"]}`;
+}
+
+// POST to a router, throwing unless it answers 2xx within its deadline
+// (see budget.js). A router whose breaker is open is not called; the error
+// then has `circuitOpen` set. The breaker is the one of the URL the post's
+// workstream resolves to now, or of the post's own URL when there is none.
+export async function sendRouterPost(env, post, budget = null) {
+  const health = await loadRouterHealth(
+    env,
+    routerUrl(env, post.router) ?? post.url,
+  );
+  if (health && breakerState(health) === "open") {
+    await recordRouterResult(env, health, { skipped: true });
+    const error = new Error(
+      `${post.router} router breaker (${health.url}) is open until ${health.retryAt}`,
+    );
+    error.circuitOpen = true;
+    throw error;
+  }
+
+  const started = Date.now();
+  try {
+    const response = await withDeadline(
+      budget,
+      "router",
+      `${post.router} router`,
+      (signal) =>
+        fetch(post.url, {
+          signal,
+          method: "POST",
+          headers: {
+            ...post.headers,
+            "Idempotency-Key": idempotencyKey(post),
+          },
+          body: post.body,
+        }),
+    );
+
+    if (!response.ok) {
+      const error = new Error(
+        `${post.router} router returned ${response.status}: ${await response.text()}`,
+      );
+      error.status = response.status;
+      throw error;
+    }
+  } catch (error) {
+    await recordRouterResult(env, health, {
+      ok: false,
+      latencyMs: Date.now() - started,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  await recordRouterResult(env, health, {
+    ok: true,
+    latencyMs: Date.now() - started,
+  });
+}
+
+// Queue a failed post for another attempt; false when it cannot be queued
+export async function enqueueRetry(env, post, error) {
+  if (!env.ROUTER_RETRY_QUEUE) return false;
+
+  const log = createLogger({
+    transactionId: post.transactionId,
+    router: post.router,
+  });
+  try {
+    const retry = {
+      post,
+      firstFailedAt: new Date().toISOString(),
+      error: error.message,
+    };
+
+    if (new TextEncoder().encode(post.body).length > QUEUE_MESSAGE_LIMIT) {
+      if (!env.DEAD_LETTERS) {
+        throw new Error("Post is too large to queue without DEAD_LETTERS");
+      }
+      const key = `${PENDING_PREFIX}${post.transactionId}:${crypto.randomUUID().slice(0, 8)}`;
+      await env.DEAD_LETTERS.put(key, JSON.stringify(post), {
+        expirationTtl: PENDING_TTL,
+      });
+      retry.post = { router: post.router, transactionId: post.transactionId };
+      retry.pendingKey = key;
+    }
+
+    await env.ROUTER_RETRY_QUEUE.send(retry, {
+      delaySeconds: retryDelay(1),
+    });
+    log.info("Queued router post for retry", { delaySeconds: retryDelay(1) });
+    return true;
+  } catch (queueError) {
+    log.error("Could not queue router post for retry", { error: queueError });
+    return false;
+  }
+}
+
+// queue() consumer: retry each post; back off on failure and dead-letter it
+// after the last attempt
+export async function processRetryBatch(batch, env) {
+  for (const message of batch.messages) {
+    const retry = message.body;
+    // The first attempt was made inline, before the post was queued
+    const attempt = message.attempts + 1;
+    const log = createLogger({
+      transactionId: retry.post.transactionId,
+      router: retry.post.router,
+    });
+
+    const post = retry.pendingKey
+      ? await env.DEAD_LETTERS?.get(retry.pendingKey, "json")
+      : retry.post;
+    if (!post) {
+      log.error("Queued router post expired before retry");
+      message.ack();
+      continue;
+    }
+
+    try {
+      await sendRouterPost(env, post);
+      log.info("Router post delivered", { attempt });
+    } catch (error) {
+      if (attempt < MAX_ATTEMPTS) {
+        log.warn("Router post attempt failed", { attempt, error });
+        message.retry({ delaySeconds: retryDelay(attempt) });
+        continue;
+      }
+
+      await storeDeadLetter(env, {
+        kind: "router-post",
+        target: post.router,
+        transactionId: post.transactionId,
+        error: error.message,
+        attempts: attempt,
+        firstFailedAt: retry.firstFailedAt,
+        post,
+      });
+    }
+
+    if (retry.pendingKey) await env.DEAD_LETTERS.delete(retry.pendingKey);
+    message.ack();
+  }
+}
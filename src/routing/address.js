@@ -0,0 +1,27 @@
+/**
+ * Recipient address parsing
+ * Splits addresses into local part, domain and RFC 5233 subaddress tag so
+ * `nick+receipts@chitty.cc` routes as `nick` with the tag `receipts`.
+ */
+
+export const SUBADDRESS_SEPARATOR = "+";
+
+// Parse a recipient address into { local, tag, domain }
+export function parseRecipient(address) {
+  const normalized = address.trim().toLowerCase();
+  const at = normalized.lastIndexOf("@");
+  const fullLocal = at === -1 ? normalized : normalized.slice(0, at);
+  const domain = at === -1 ? "" : normalized.slice(at + 1);
+
+  const separator = fullLocal.indexOf(SUBADDRESS_SEPARATOR);
+  // A leading separator is part of the local part, not a subaddress
+  if (separator <= 0) {
+    return { local: fullLocal, tag: null, domain };
+  }
+
+  return {
+    local: fullLocal.slice(0, separator),
+    tag: fullLocal.slice(separator + 1) || null,
+    domain,
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Routing configuration loader
+ * Reads the active configuration version (see versions.js) from the
+ * ROUTING_CONFIG KV namespace, falling back to a document stored under the
+ * legacy `routing:config` key and then to the built-in defaults. The loaded
+ * configuration carries a `version` field ("builtin" and "legacy" for the
+ * fallbacks) so analytics can record which configuration routed a message.
+ */
+
+import { createLogger } from "../logger.js";
+import { DEFAULT_ROUTING_CONFIG } from "./default-config.js";
+import {
+  activateVersion,
+  createVersion,
+  loadActiveVersion,
+} from "./versions.js";
+
+const log = createLogger();
+
+export const ROUTING_CONFIG_KEY = "routing:config";
+
+// Load the active routing configuration
+export async function loadRoutingConfig(env) {
+  const builtin = { ...DEFAULT_ROUTING_CONFIG, version: "builtin" };
+  if (!env.ROUTING_CONFIG) return builtin;
+
+  try {
+    const active = await loadActiveVersion(env);
+    const stored = active
+      ? active.config
+      : await env.ROUTING_CONFIG.get(ROUTING_CONFIG_KEY, "json");
+    if (!stored) return builtin;
+
+    if (!Array.isArray(stored.rules)) {
+      log.error("Routing config has no rules array, using defaults");
+      return builtin;
+    }
+
+    return { ...stored, version: active ? active.version : "legacy" };
+  } catch (error) {
+    log.error("Failed to load routing config, using defaults", { error });
+    return builtin;
+  }
+}
+
+// Copy of the active configuration that is safe to modify
+export async function loadEditableConfig(env) {
+  return structuredClone(await loadRoutingConfig(env));
+}
+
+// Publish a routing configuration as a new version and make it active
+export async function saveRoutingConfig(env, config, { actor, message }) {
+  const content = { ...config };
+  delete content.version;
+  const record = await createVersion(env, content, { actor, message });
+  await activateVersion(env, record.version, { actor });
+  return record;
+}
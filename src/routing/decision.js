@@ -0,0 +1,173 @@
+/**
+ * Routing decisions
+ * Turns a message envelope, its headers and AI insights into the complete
+ * routing decision: matched rule, delivery targets, priority and the headers
+ * to add. Shared by the email() handler and the /simulate endpoint, so it
+ * must stay free of side effects.
+ */
+
+import { parseRecipient } from "./address.js";
+import { distributedBy, GROUP_HEADER } from "./groups.js";
+import { matchesSender } from "./patterns.js";
+import { selectRoute } from "./rules.js";
+
+// Detect certified BCC tracking, CC tracking and namespace copies
+// (a chitty.cc sender copying their own address)
+export function detectTracking(from, headers) {
+  const fromEmail = from.toLowerCase();
+  const bccHeader = (headers.get("bcc") || "").toLowerCase();
+  const ccHeader = (headers.get("cc") || "").toLowerCase();
+
+  return {
+    isBccTracked: bccHeader.includes("bcc@chitty.cc"),
+    isCcTracked: ccHeader.includes("@chitty.cc"),
+    isNamespaceCopy:
+      fromEmail.includes("@chitty.cc") &&
+      (bccHeader.includes(fromEmail) || ccHeader.includes(fromEmail)),
+  };
+}
+
+// Check if sender is priority (config.prioritySenders)
+export function checkPrioritySender(from, config) {
+  return matchesSender(config.prioritySenders || [], from);
+}
+
+// Build the routing decision for a message
+export function decideRoute(
+  {
+    from,
+    to,
+    headers,
+    ai = null,
+    transactionId,
+    trace = null,
+    now,
+    delegations,
+    alias,
+  },
+  config,
+  env,
+) {
+  const recipient = parseRecipient(to);
+  const tracking = detectTracking(from, headers);
+
+  const route = selectRoute(
+    config,
+    {
+      local: recipient.local,
+      tag: recipient.tag,
+      domain: recipient.domain,
+      from: from.toLowerCase(),
+      headers,
+      ai,
+      now: now || new Date(),
+      delegations,
+      alias,
+    },
+    env,
+    trace,
+  );
+
+  // Split delivery targets into forwards and workstream router posts
+  const targets = route.action.targets || [];
+  const forwardTargets = targets.filter((t) => t.type === "forward");
+  const workstreamTargets = targets.filter((t) => t.type === "workstream");
+  // People whose out-of-office delegation redirected this message
+  const delegatedFor = [
+    ...new Set(targets.map((t) => t.delegatedFor).filter(Boolean)),
+  ];
+
+  const domainConfig = config.domains?.[recipient.domain] || {
+    priority: false,
+  };
+  const isPriority = Boolean(
+    domainConfig.priority ||
+    ["legal", "security", "abuse"].includes(recipient.local) ||
+    checkPrioritySender(from, config) ||
+    (ai && (ai.urgency === "high" || ai.urgency === "critical")),
+  );
+
+  return {
+    recipient,
+    tracking,
+    rule: route.rule,
+    ruleId: route.rule ? route.rule.id : "default",
+    action: route.action,
+    targets,
+    forwardTargets,
+    workstreamTargets,
+    forwardTo: forwardTargets.map((t) => t.address).join(", "),
+    delegatedFor,
+    isPriority,
+    headers: routingHeaders({
+      to,
+      recipient,
+      action: route.action,
+      incoming: headers,
+      tracking,
+      ai,
+      isPriority,
+      fromEmail: from.toLowerCase(),
+      transactionId,
+    }),
+  };
+}
+
+// Headers added to forwarded mail (X-Processing-Time is added at delivery)
+function routingHeaders({
+  to,
+  recipient,
+  action,
+  incoming,
+  tracking,
+  ai,
+  isPriority,
+  fromEmail,
+  transactionId,
+}) {
+  const headers = {
+    "X-Cloudflare-Worker": "chittyos-email-universal-ai",
+    "X-Original-To": to,
+    "X-Routed-Domain": recipient.domain,
+  };
+
+  if (transactionId) headers["X-Transaction-ID"] = transactionId;
+  if (recipient.tag) headers["X-ChittyOS-Subaddress"] = recipient.tag;
+
+  // Stamp group mail so it is not expanded again if it loops back
+  if (action.group && action.type === "forward") {
+    headers[GROUP_HEADER] = [...distributedBy(incoming), action.group].join(
+      ", ",
+    );
+    if (action.moderated) headers["X-ChittyOS-Moderation"] = "pending";
+  }
+
+  // Add AI headers if available
+  if (ai) {
+    headers["X-AI-Classification"] = ai.classification;
+    headers["X-AI-Sentiment"] = ai.sentiment;
+    headers["X-AI-Urgency"] = ai.urgency;
+    if (ai.entities?.length > 0) {
+      headers["X-AI-Entities"] = ai.entities.length.toString();
+    }
+  }
+
+  // Add tracking headers
+  if (tracking.isBccTracked) {
+    headers["X-ChittyOS-BCC-Tracked"] = "true";
+    headers["X-ChittyOS-Certified-Tracking"] = "enabled";
+  }
+  if (tracking.isCcTracked) {
+    headers["X-ChittyOS-CC-Tracked"] = "true";
+  }
+  if (tracking.isNamespaceCopy) {
+    headers["X-ChittyOS-Namespace-Copy"] = fromEmail;
+  }
+
+  if (isPriority) {
+    headers["X-Priority"] = "High";
+    headers["Importance"] = "high";
+  }
+
+  return headers;
+}
@@ -0,0 +1,243 @@
+/**
+ * Built-in routing configuration
+ * Used whenever no configuration has been published to the ROUTING_CONFIG KV
+ * namespace. Same document format as the JSON stored in KV, so
+ * `npm run config:export` is a good starting point for edits.
+ */
+
+export const DEFAULT_ROUTING_CONFIG = {
+  // Named destinations referenced by rule actions ("default" falls back to env.DEFAULT_FORWARD)
+  destinations: {
+    mgmt: "mgmt@aribia.llc",
+    nick: "nick@jeanarlene.com",
+    sharon: "sharon@itcanbellc.com",
+  },
+
+  // Global route table inherited by every domain
+  defaults: {
+    routes: {
+      // Management emails
+      admin: "mgmt",
+      support: "mgmt",
+      legal: "mgmt",
+      security: "mgmt",
+      abuse: "mgmt",
+      postmaster: "mgmt",
+      mgmt: "mgmt",
+      management: "mgmt",
+      web: "mgmt",
+
+      // Personal routing
+      nick: "nick",
+      sharon: "sharon",
+
+      // Developer/API emails
+      api: "default",
+      webhook: "default",
+      id: "default",
+      dev: "default",
+      info: "default",
+      hello: "default",
+    },
+    catchAll: "default",
+    discard: [{ contains: ["noreply", "no-reply"] }],
+  },
+
+  // Business hours for `during` / `outside` conditions and `defer` digests
+  schedules: {
+    "business-hours": {
+      timezone: "America/Chicago",
+      hours: {
+        mon: "09:00-17:00",
+        tue: "09:00-17:00",
+        wed: "09:00-17:00",
+        thu: "09:00-17:00",
+        fri: "09:00-17:00",
+      },
+      holidays: [],
+    },
+  },
+
+  // Distribution groups addressed as <name>@ on every domain (or `domains`)
+  groups: {
+    team: {
+      description: "Everyone at ITCan/Aribia",
+      members: ["mgmt", "nick", "sharon"],
+      externalSenders: "moderate",
+      moderators: ["mgmt"],
+    },
+    board: {
+      description: "Board members",
+      members: ["nick", "sharon"],
+      moderators: ["mgmt"],
+      externalSenders: "reject",
+    },
+  },
+
+  // Weekly on-call rotations, used as `oncall:<name>` destinations
+  onCall: {
+    management: {
+      start: "2026-01-05T09:00:00-06:00",
+      rotation: ["nick", "sharon"],
+      overrides: [],
+    },
+  },
+
+  // Senders that skip rate limiting and the quick spam check (allow) or are
+  // always rejected (deny); addresses or patterns such as "*@example.com"
+  senders: {
+    allow: [],
+    deny: [],
+  },
+
+  // Mail from these senders is marked high priority
+  prioritySenders: [
+    "*@cloudflare.com",
+    "*@google.com",
+    "*@github.com",
+    "*@stripe.com",
+    "*@openai.com",
+    "*@anthropic.com",
+  ],
+
+  // Known domains with optional routes/catchAll/discard overriding the
+  // defaults (unlisted domains use the defaults and are non-priority)
+  domains: {
+    "nevershitty.com": { priority: true },
+    "chitty.cc": { priority: true },
+    "chittychat.com": { priority: false },
+    "chittyos.com": { priority: true },
+    "mrniceweird.com": { priority: false },
+    "chittyrouter.com": { priority: false },
+    "chicagofurnishedcondos.com": { priority: false },
+    "itcanbellc.com": { priority: true },
+    "aribia.llc": { priority: true },
+    "aribia.co": { priority: false },
+    "apt-arlene.llc": { priority: false },
+    "jeanarlene.com": { priority: false },
+    "nickyb.me": { priority: true },
+    "chittycorp.com": { priority: true },
+  },
+
+  // Evaluated in ascending priority order, first applicable rule wins
+  rules: [
+    {
+      id: "bcc-tracking",
+      priority: 100,
+      description: "bcc@chitty.cc creates a certified tracking record",
+      match: { domain: "chitty.cc", local: "bcc" },
+      action: { type: "track" },
+    },
+    {
+      id: "litigation-intake",
+      priority: 300,
+      description: "evidence+<matter>@ attaches the tag as the matter ID",
+      match: { local: ["evidence", "litigation", "intake"] },
+      action: {
+        type: "workstream",
+        workstream: "litigation",
+        fallback: "mgmt",
+        tagAs: "matterId",
+      },
+    },
+    {
+      id: "finance-intake",
+      priority: 310,
+      match: {
+        local: [
+          "finance",
+          "accounting",
+          "invoice",
+          "invoices",
+          "billing",
+          "bill",
+          "pay",
+          "payment",
+        ],
+      },
+      action: { type: "workstream", workstream: "finance", fallback: "mgmt" },
+    },
+    {
+      id: "compliance-intake",
+      priority: 320,
+      match: {
+        local: [
+          "compliance",
+          "governance",
+          "risk",
+          "audit",
+          "regulatory",
+          "ethics",
+          "policy",
+          "grc",
+        ],
+      },
+      action: {
+        type: "workstream",
+        workstream: "compliance",
+        fallback: "mgmt",
+      },
+    },
+    {
+      id: "ai-legal",
+      priority: 400,
+      description: "Legal matters go to the litigation workstream",
+      match: { classification: ["legal", "contract"] },
+      action: {
+        type: "workstream",
+        workstream: "litigation",
+        fallback: "mgmt",
+      },
+    },
+    {
+      id: "ai-financial",
+      priority: 410,
+      match: { classification: ["invoice", "receipt"] },
+      action: { type: "workstream", workstream: "finance" },
+    },
+    {
+      id: "ai-compliance",
+      priority: 420,
+      match: {
+        classification: ["compliance", "audit", "regulatory", "governance"],
+      },
+      action: { type: "workstream", workstream: "compliance" },
+    },
+    {
+      id: "ai-angry-complaint",
+      priority: 430,
+      match: { classification: "complaint", sentiment: "angry" },
+      action: { type: "forward", to: "mgmt" },
+    },
+    {
+      id: "ai-urgent-after-hours",
+      priority: 435,
+      description:
+        "Urgent mail outside business hours goes to whoever is on call",
+      enabled: false,
+      match: { urgency: ["critical", "high"], outside: "business-hours" },
+      unless: { local: ["nick", "sharon"] },
+      action: { type: "forward", to: "oncall:management" },
+    },
+    {
+      id: "ai-urgent",
+      priority: 440,
+      description: "Urgent mail goes to management unless personal",
+      match: { urgency: ["critical", "high"] },
+      unless: { local: ["nick", "sharon"] },
+      action: { type: "forward", to: "mgmt" },
+    },
+    {
+      id: "after-hours-digest",
+      priority: 450,
+      description: "Non-urgent management mail waits for the morning digest",
+      enabled: false,
+      match: {
+        urgency: ["normal", "low"],
+        outside: "business-hours",
+        local: ["admin", "support", "mgmt", "management", "web"],
+      },
+      action: { type: "defer", digest: "business-hours", to: "mgmt" },
+    },
+  ],
+};
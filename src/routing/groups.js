@@ -0,0 +1,59 @@
+/**
+ * Distribution groups
+ * A group (`team@`, `board@`) expands to its members' destinations. Who may
+ * post is decided by the group's policy: moderators and allowed posters go
+ * straight through, external senders are allowed, moderated or rejected, and
+ * moderated groups send everything else to their moderators first.
+ *
+ * Distributed mail is stamped with GROUP_HEADER; a message that already
+ * carries a group's stamp (a member auto-forwarding back) is not expanded
+ * again. Groups nested as `group:<name>` members are guarded by the
+ * destination cycle check in resolveTargets.
+ */
+
+import { matchesSender } from "./patterns.js";
+
+// Groups sit just ahead of aliases and the domain route tables
+export const GROUP_PRIORITY = 480;
+
+export const GROUP_HEADER = "X-ChittyOS-Group";
+
+// Compile group definitions into rules matching their addresses
+export function groupRules(config) {
+  return Object.entries(config.groups || {}).map(([name, group]) => ({
+    id: `group:${name}`,
+    priority: GROUP_PRIORITY,
+    description: group.description,
+    match: {
+      local: group.local || name,
+      ...(group.domains ? { domain: group.domains } : {}),
+    },
+    action: { type: "group", group: name },
+  }));
+}
+
+// Groups that already distributed this message
+export function distributedBy(headers) {
+  return (headers?.get(GROUP_HEADER) || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// How a group treats a post: "members", "moderate" or "reject".
+// `moderators` are the moderators' resolved addresses.
+export function groupPolicy(group, sender, config, moderators) {
+  if (moderators.includes(sender)) return "members";
+
+  if (group.allowedPosters?.length > 0) {
+    return matchesSender(group.allowedPosters, sender) ? "members" : "reject";
+  }
+
+  const senderDomain = sender.split("@")[1];
+  if (!config.domains?.[senderDomain]) {
+    const external = group.externalSenders || "reject";
+    if (external !== "allow") return external;
+  }
+
+  return group.moderated ? "moderate" : "members";
+}
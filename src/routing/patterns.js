@@ -0,0 +1,67 @@
+/**
+ * Local-part patterns
+ * Globs (`invoice-*`, `*-alerts`, `ap?`) and slash-delimited regular
+ * expressions (`/^ap[0-9]+$/`) used in rule conditions, route table keys and
+ * sender lists.
+ * Matching is case-insensitive and globs are anchored to the whole value.
+ */
+
+import { createLogger } from "../logger.js";
+
+const log = createLogger();
+
+const compiled = new Map();
+
+// True when a condition string is a glob or /regex/ rather than an exact value
+export function isPattern(value) {
+  return (
+    typeof value === "string" &&
+    (/[*?]/.test(value) ||
+      (value.length > 2 && value.startsWith("/") && value.endsWith("/")))
+  );
+}
+
+// Compile a glob or /regex/ string into a RegExp (cached)
+export function compilePattern(pattern) {
+  if (compiled.has(pattern)) return compiled.get(pattern);
+
+  let regex;
+  if (pattern.startsWith("/") && pattern.endsWith("/") && pattern.length > 2) {
+    regex = new RegExp(pattern.slice(1, -1), "i");
+  } else {
+    const source = pattern
+      .split("")
+      .map((char) =>
+        char === "*"
+          ? ".*"
+          : char === "?"
+            ? "."
+            : char.replace(/[.+^${}()|[\]\\]/g, "\\$&"),
+      )
+      .join("");
+    regex = new RegExp(`^${source}$`, "i");
+  }
+
+  compiled.set(pattern, regex);
+  return regex;
+}
+
+// Check a sender against a list of addresses and patterns (`*@acme.com`)
+export function matchesSender(entries, sender) {
+  const value = sender.toLowerCase();
+  return entries.some((entry) =>
+    isPattern(entry)
+      ? matchesPattern(entry, value)
+      : value === entry.toLowerCase(),
+  );
+}
+
+// Test a value against a glob or /regex/ string (invalid patterns never match)
+export function matchesPattern(pattern, value) {
+  try {
+    return compilePattern(pattern).test(value);
+  } catch (error) {
+    log.error("Invalid routing pattern", { pattern, error });
+    return false;
+  }
+}
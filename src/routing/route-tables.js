@@ -0,0 +1,148 @@
+/**
+ * Per-domain route tables
+ * Each domain can carry its own local-part routes, catch-all and discard list,
+ * inheriting from the global `defaults` table or from another domain. Tables
+ * are compiled into rules so they are evaluated alongside the explicit rules
+ * by priority.
+ *
+ * Route keys can be exact local parts or patterns (see patterns.js). Exact
+ * routes always win over patterns, patterns over the catch-all; among
+ * patterns the domain's own come before inherited ones (the nearest table
+ * first), in file order.
+ */
+
+import { createLogger } from "../logger.js";
+import { isPattern } from "./patterns.js";
+
+const log = createLogger();
+
+// Priority bands used for compiled route table rules
+export const ROUTE_TABLE_PRIORITIES = {
+  discard: 200,
+  route: 500,
+  pattern: 600,
+  catchAll: 1000,
+};
+
+// Effective route table for a domain: its own entries over the table it
+// inherits. Routes are listed nearest table first, each in file order.
+export function resolveRouteTable(config, domain, seen = []) {
+  const domainConfig = config.domains?.[domain] || {};
+  const inherited = inheritedTable(config, domain, domainConfig.inherit, seen);
+
+  const routes = {};
+  for (const [local, target] of Object.entries(domainConfig.routes || {})) {
+    routes[local] = { target, scope: domain };
+  }
+  for (const [local, route] of Object.entries(inherited.routes)) {
+    if (!(local in routes)) routes[local] = route;
+  }
+
+  const catchAll =
+    domainConfig.catchAll !== undefined
+      ? { target: domainConfig.catchAll, scope: domain }
+      : inherited.catchAll;
+
+  const discard = [
+    ...inherited.discard,
+    ...(domainConfig.discard || []).map((local) => ({ local, scope: domain })),
+  ];
+
+  return { routes, catchAll, discard };
+}
+
+// The resolved table a domain inherits: `defaults`, nothing
+// (`"inherit": false`) or another domain's table (`"inherit": "chitty.cc"`).
+// An unknown domain or an inheritance cycle falls back to `defaults`; the
+// validator reports both.
+function inheritedTable(config, domain, inherit, seen) {
+  if (inherit === false) return { routes: {}, catchAll: null, discard: [] };
+
+  if (typeof inherit === "string") {
+    const chain = [...seen, domain];
+    if (config.domains?.[inherit] && !chain.includes(inherit)) {
+      return resolveRouteTable(config, inherit, chain);
+    }
+    log.error("Cannot inherit route table, using defaults", {
+      domain,
+      inherit,
+    });
+  }
+
+  const defaults = config.defaults || {};
+  return {
+    routes: Object.fromEntries(
+      Object.entries(defaults.routes || {}).map(([local, target]) => [
+        local,
+        { target, scope: "defaults" },
+      ]),
+    ),
+    catchAll:
+      defaults.catchAll !== undefined
+        ? { target: defaults.catchAll, scope: "defaults" }
+        : null,
+    discard: (defaults.discard || []).map((local) => ({
+      local,
+      scope: "defaults",
+    })),
+  };
+}
+
+// Compile a domain's route table into rules the engine can evaluate
+export function routeTableRules(config, domain) {
+  const { routes, catchAll, discard } = resolveRouteTable(config, domain);
+  const rules = [];
+
+  discard.forEach(({ local, scope }, index) => {
+    rules.push({
+      id: `${scope}:discard:${index}`,
+      priority: ROUTE_TABLE_PRIORITIES.discard,
+      match: { local },
+      action: { type: "drop" },
+    });
+  });
+
+  const entries = Object.entries(routes);
+  const exact = entries.filter(([local]) => !isPattern(local));
+  // Routes are listed nearest table first, so the domain's patterns lead
+  const patterns = entries.filter(([local]) => isPattern(local));
+
+  for (const [local, { target, scope }] of exact) {
+    rules.push({
+      id: `${scope}:route:${local}`,
+      priority: ROUTE_TABLE_PRIORITIES.route,
+      match: { local },
+      action: routeAction(target),
+    });
+  }
+
+  for (const [local, { target, scope }] of patterns) {
+    rules.push({
+      id: `${scope}:pattern:${local}`,
+      priority: ROUTE_TABLE_PRIORITIES.pattern,
+      match: { local },
+      action: routeAction(target),
+    });
+  }
+
+  if (catchAll) {
+    rules.push({
+      id: `${catchAll.scope}:catch-all`,
+      priority: ROUTE_TABLE_PRIORITIES.catchAll,
+      match: {},
+      action: routeAction(catchAll.target),
+    });
+  }
+
+  return rules;
+}
+
+// Route table targets: destination reference (or list of them), null to
+// discard, or an action
+function routeAction(target) {
+  if (target === null) return { type: "drop" };
+  if (typeof target === "string" || Array.isArray(target)) {
+    return { type: "forward", to: target };
+  }
+  return target;
+}
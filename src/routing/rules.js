@@ -0,0 +1,450 @@
+/**
+ * Routing rules engine
+ * Evaluates declarative routing rules (see default-config.js) against an
+ * incoming message and returns the action the worker should take.
+ */
+
+import { aliasRule } from "../aliases.js";
+import { isDelegationActive } from "../delegations.js";
+import { createLogger } from "../logger.js";
+import { distributedBy, groupPolicy, groupRules } from "./groups.js";
+import { isPattern, matchesPattern } from "./patterns.js";
+import { routeTableRules } from "./route-tables.js";
+import { currentOnCall, isScheduleOpen } from "./schedules.js";
+import { addTraceStep } from "./trace.js";
+
+const log = createLogger();
+
+// Env var holding the router URL each workstream depends on
+export const WORKSTREAM_ROUTERS = {
+  litigation: "EVIDENCE_ROUTER_URL",
+  finance: "FINANCE_ROUTER_URL",
+  compliance: "COMPLIANCE_ROUTER_URL",
+};
+
+export const ACTION_TYPES = [
+  "forward",
+  "drop",
+  "workstream",
+  "reject",
+  "track",
+  "defer",
+  "group",
+];
+
+// Sort rules by ascending priority, keeping declaration order for ties
+export function sortRules(rules) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .sort(
+      (a, b) =>
+        (a.rule.priority ?? 1000) - (b.rule.priority ?? 1000) ||
+        a.index - b.index,
+    )
+    .map(({ rule }) => rule);
+}
+
+// Check a rule's match and unless conditions against the message context
+export function matchesRule(rule, context) {
+  if (rule.enabled === false) return false;
+  if (!matchesConditions(rule.match || {}, context)) return false;
+  if (rule.unless && matchesConditions(rule.unless, context)) return false;
+  return true;
+}
+
+// Expand destination references into delivery targets. A reference is an
+// address, "workstream:<name>", "oncall:<rotation>", "group:<name>" (the
+// group's members), a named destination (which may itself be a list) or a
+// list of references. Named destinations in
+// `away` (see awayDelegations) resolve to their delegate.
+export function resolveTargets(
+  refs,
+  config,
+  env,
+  { now = new Date(), away = {}, seen = [] } = {},
+) {
+  return [].concat(refs).flatMap((ref) => {
+    if (ref.startsWith("workstream:")) {
+      return [{ type: "workstream", workstream: ref.slice(11) }];
+    }
+    if (ref.includes("@")) return [{ type: "forward", address: ref }];
+
+    if (seen.includes(ref)) {
+      const error = new Error(`Routing destination ${ref} refers to itself`);
+      error.cycle = [...seen.slice(seen.indexOf(ref)), ref];
+      throw error;
+    }
+    const nested = { now, away, seen: [...seen, ref] };
+
+    if (ref.startsWith("group:")) {
+      const group = config.groups?.[ref.slice(6)];
+      if (!group) throw new Error(`Unknown group: ${ref}`);
+      return resolveTargets(group.members || [], config, env, nested);
+    }
+
+    // An unknown delegate or a delegation cycle leaves the person's mail
+    // with the person rather than failing the message
+    const absence = away[ref];
+    if (absence) {
+      try {
+        return resolveTargets(absence.delegate, config, env, nested).map(
+          (target) => ({ ...target, delegatedFor: ref }),
+        );
+      } catch (error) {
+        log.warn("Cannot route to delegate, delivering to the person", {
+          person: ref,
+          delegate: absence.delegate,
+          error,
+        });
+      }
+    }
+
+    if (ref.startsWith("oncall:")) {
+      const rotation = config.onCall?.[ref.slice(7)];
+      if (!rotation) throw new Error(`Unknown on-call rotation: ${ref}`);
+      const onCall = currentOnCall(rotation, now);
+      if (!onCall) {
+        // Not a configuration error: the rule is skipped (see selectRoute)
+        const error = new Error(`No one is on call for ${ref}`);
+        error.noOnCall = true;
+        throw error;
+      }
+      return resolveTargets(onCall, config, env, nested).map((target) => ({
+        ...target,
+        onCall: ref.slice(7),
+      }));
+    }
+
+    const destination = config.destinations?.[ref];
+    if (destination) {
+      return resolveTargets(destination, config, env, nested);
+    }
+
+    if (ref === "default") {
+      const address = env.DEFAULT_FORWARD || "no-reply@itcan.llc";
+      return [{ type: "forward", address }];
+    }
+
+    throw new Error(`Unknown routing destination: ${ref}`);
+  });
+}
+
+// Pick the first applicable rule and resolve its action, recording matched
+// and skipped rules on the trace when one is given
+export function selectRoute(config, context, env, trace = null) {
+  const rules = [
+    ...(config.rules || []),
+    ...groupRules(config),
+    ...(context.alias ? [aliasRule(context.alias)] : []),
+    ...routeTableRules(config, context.domain),
+  ];
+  const ruleContext = {
+    now: new Date(),
+    ...context,
+    schedules: config.schedules || {},
+  };
+  const options = {
+    now: ruleContext.now,
+    away: awayDelegations(context.delegations, ruleContext),
+  };
+
+  for (const rule of sortRules(rules)) {
+    if (!matchesRule(rule, ruleContext)) continue;
+
+    // A rule to an on-call rotation with no one on call leaves the message
+    // to later rules
+    let action;
+    try {
+      action = resolveAction(rule, config, env, trace, options, ruleContext);
+    } catch (error) {
+      if (!error.noOnCall) throw error;
+      log.warn("Skipping rule, no one is on call", {
+        rule: rule.id,
+        error,
+      });
+      addTraceStep(trace, "route", "skipped", {
+        rule: rule.id,
+        why: error.message,
+      });
+      continue;
+    }
+    if (action) {
+      addTraceStep(trace, "route", "matched", {
+        rule: rule.id,
+        priority: rule.priority,
+        action: action.type,
+        reason: `rule=${rule.id}`,
+      });
+      traceDelegations(trace, action.targets);
+      return { rule, action };
+    }
+  }
+
+  addTraceStep(trace, "route", "default", { reason: "rule=default" });
+  const targets = resolveTargets("default", config, env, options);
+  traceDelegations(trace, targets);
+  return {
+    rule: null,
+    action: { type: "forward", to: "default", targets },
+  };
+}
+
+// People whose mail goes to a delegate for this message: delegations active
+// now, unless the message matches one of their `stillReach` conditions
+function awayDelegations(delegations = {}, context) {
+  const away = {};
+  for (const [person, delegation] of Object.entries(delegations)) {
+    if (!isDelegationActive(delegation, context.now)) continue;
+
+    const reaches = (delegation.stillReach || []).some((conditions) =>
+      matchesConditions(conditions, context),
+    );
+    if (!reaches) away[person] = delegation;
+  }
+  return away;
+}
+
+// Record which delegations redirected the message
+function traceDelegations(trace, targets = []) {
+  const delegated = new Map();
+  for (const target of targets) {
+    if (!target.delegatedFor) continue;
+    const to = delegated.get(target.delegatedFor) || [];
+    delegated.set(target.delegatedFor, [
+      ...to,
+      target.address || target.workstream,
+    ]);
+  }
+
+  for (const [person, to] of delegated) {
+    addTraceStep(trace, "route", "delegated", {
+      person,
+      to,
+      reason: `delegated=${person}`,
+    });
+  }
+}
+
+// Resolve a rule action, returning null when it cannot run in this environment
+function resolveAction(rule, config, env, trace, options, context) {
+  const action = rule.action || {};
+  const skip = (reason) => {
+    addTraceStep(trace, "route", "skipped", { rule: rule.id, why: reason });
+    return null;
+  };
+
+  switch (action.type) {
+    case "forward":
+    case "workstream": {
+      const refs =
+        action.type === "workstream"
+          ? `workstream:${action.workstream}`
+          : action.to;
+      const fallback = action.fallback
+        ? resolveTargets(action.fallback, config, env, options).filter(
+            (target) => target.type === "forward",
+          )
+        : null;
+
+      const targets = [];
+      for (const target of resolveTargets(refs, config, env, options)) {
+        if (target.type === "forward") {
+          targets.push(target);
+        } else if (env[WORKSTREAM_ROUTERS[target.workstream]]) {
+          targets.push({ ...target, fallback });
+        } else if (fallback) {
+          // Router not configured: deliver to the fallback instead
+          addTraceStep(trace, "route", "fallback", {
+            rule: rule.id,
+            workstream: target.workstream,
+            to: fallback.map((alt) => alt.address),
+            reason: `fallback=${target.workstream}-router-unconfigured`,
+          });
+          targets.push(
+            ...fallback.map((alt) => ({
+              ...alt,
+              fallbackFor: target.workstream,
+            })),
+          );
+        }
+      }
+
+      // Nothing deliverable: let later rules decide
+      return targets.length > 0
+        ? { ...action, targets }
+        : skip("workstream router not configured");
+    }
+
+    case "track":
+      return env.TRACKING_ROUTER_URL
+        ? action
+        : skip("tracking router not configured");
+
+    case "defer":
+      // Held for the digest sent when the `digest` schedule next opens
+      if (!env.DEFERRED_EMAILS || !env.TRACKING_ROUTER_URL) {
+        return skip("digest storage or tracking router not configured");
+      }
+      return {
+        ...action,
+        targets: resolveTargets(action.to || "default", config, env, options),
+      };
+
+    case "group":
+      return config.groups?.[action.group]
+        ? resolveGroup(action.group, config, env, trace, options, context)
+        : skip(`unknown group ${action.group}`);
+
+    case "drop":
+      return action;
+
+    case "reject":
+      return { ...action, reason: action.reason || "Message rejected" };
+
+    default:
+      log.error("Skipping rule with unknown action type", {
+        action: action.type,
+      });
+      return skip(`unknown action type ${action.type}`);
+  }
+}
+
+// Expand a post to a group into a forward to its members (or moderators),
+// a rejection, or a drop when the group already distributed the message
+function resolveGroup(name, config, env, trace, options, context) {
+  const group = config.groups[name];
+
+  if (distributedBy(context.headers).includes(name)) {
+    addTraceStep(trace, "route", "group-loop", {
+      group: name,
+      reason: `group-loop=${name}`,
+    });
+    return { type: "drop", group: name };
+  }
+
+  const nested = { ...options, seen: [`group:${name}`] };
+  const moderators = resolveTargets(
+    group.moderators || [],
+    config,
+    env,
+    nested,
+  ).filter((target) => target.type === "forward");
+  const policy = groupPolicy(
+    group,
+    context.from,
+    config,
+    moderators.map((target) => target.address.toLowerCase()),
+  );
+
+  if (policy === "reject" || (policy === "moderate" && !moderators.length)) {
+    addTraceStep(trace, "route", "group-refused", {
+      group: name,
+      sender: context.from,
+    });
+    return {
+      type: "reject",
+      group: name,
+      reason: `${context.local}@${context.domain} does not accept mail from ${context.from}`,
+    };
+  }
+
+  const targets =
+    policy === "moderate"
+      ? moderators
+      : resolveTargets(group.members || [], config, env, nested);
+  addTraceStep(trace, "route", "group", {
+    group: name,
+    policy,
+    targets: targets.length,
+    ...(policy === "moderate" ? { reason: `group-moderated=${name}` } : {}),
+  });
+
+  return {
+    type: "forward",
+    group: name,
+    moderated: policy === "moderate",
+    targets: targets.map((target) => ({ ...target, group: name })),
+  };
+}
+
+function matchesConditions(conditions, context) {
+  const { headers = {}, during, outside, ...fields } = conditions;
+
+  // Schedule conditions: open (`during`) or closed (`outside`) right now
+  if (during !== undefined && scheduleOpen(during, context) !== true) {
+    return false;
+  }
+  if (outside !== undefined && scheduleOpen(outside, context) !== false) {
+    return false;
+  }
+
+  for (const [field, expected] of Object.entries(fields)) {
+    if (!matchValue(expected, fieldValue(field, context))) return false;
+  }
+
+  for (const [name, expected] of Object.entries(headers)) {
+    if (!matchValue(expected, context.headers?.get(name))) return false;
+  }
+
+  return true;
+}
+
+// Whether a named schedule is open (null for unknown schedules, which never
+// satisfy either condition)
+function scheduleOpen(name, context) {
+  const schedule = context.schedules[name];
+  if (!schedule) {
+    log.error("Unknown routing schedule", { schedule: name });
+    return null;
+  }
+  return isScheduleOpen(schedule, context.now);
+}
+
+// Look up the message value a condition field refers to
+function fieldValue(field, context) {
+  switch (field) {
+    case "domain":
+      return context.domain;
+    case "local":
+      return context.local;
+    case "tag":
+      return context.tag;
+    case "sender":
+      return context.from;
+    case "classification":
+    case "sentiment":
+    case "urgency":
+      return context.ai?.[field];
+    default:
+      log.error("Unknown routing condition", { field });
+      return undefined;
+  }
+}
+
+// Compare a condition (string, glob, /regex/, list, { contains } or { regex })
+// to a message value
+function matchValue(expected, actual) {
+  if (actual === undefined || actual === null) return false;
+
+  const value = String(actual).toLowerCase();
+
+  if (Array.isArray(expected)) {
+    return expected.some((item) => matchValue(item, actual));
+  }
+
+  if (typeof expected === "object" && expected !== null) {
+    if (expected.contains !== undefined) {
+      return []
+        .concat(expected.contains)
+        .some((needle) => value.includes(String(needle).toLowerCase()));
+    }
+    if (expected.regex !== undefined) {
+      return matchesPattern(`/${expected.regex}/`, value);
+    }
+    return false;
+  }
+
+  if (isPattern(expected)) return matchesPattern(expected, value);
+
+  return value === String(expected).toLowerCase();
+}
@@ -0,0 +1,91 @@
+/**
+ * Schedules and on-call rotations
+ * Timezone-aware business hours (with holidays) used by the `during` and
+ * `outside` rule conditions, and weekly on-call rotations resolved through
+ * `oncall:<name>` destinations.
+ */
+
+// Keys used for each day in schedule hours
+export const SCHEDULE_DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local day, date and minutes past midnight for an instant in a timezone
+export function zonedTime(date, timeZone = "UTC") {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value]),
+  );
+
+  return {
+    day: parts.weekday.toLowerCase().slice(0, 3),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// Whether a schedule is open at the given instant. Hours are "HH:MM-HH:MM"
+// ranges (or lists of them) keyed by day; missing days and holidays are closed.
+// A range that ends before it starts ("22:00-06:00") runs overnight into the
+// next day, unless that day is a holiday.
+export function isScheduleOpen(schedule, now = new Date()) {
+  const local = zonedTime(now, schedule.timezone);
+
+  if ((schedule.holidays || []).includes(local.date)) return false;
+
+  const today = dayRanges(schedule, local.day);
+  const yesterday = dayRanges(
+    schedule,
+    SCHEDULE_DAYS[(SCHEDULE_DAYS.indexOf(local.day) + 6) % 7],
+  );
+
+  return (
+    today.some(
+      ([open, close]) =>
+        local.minutes >= open && (close <= open || local.minutes < close),
+    ) ||
+    yesterday.some(([open, close]) => close <= open && local.minutes < close)
+  );
+}
+
+// Destination reference for whoever is on call, or null when no one is (an
+// empty rotation or an invalid `start`). The rotation advances every
+// `periodDays` (default 7) from `start`; overrides cover swaps and absences.
+export function currentOnCall(rotation, now = new Date()) {
+  const time = now.getTime();
+
+  const override = (rotation.overrides || []).find(
+    (entry) => time >= Date.parse(entry.from) && time < Date.parse(entry.until),
+  );
+  if (override) return override.to;
+
+  const people = rotation.rotation || [];
+  const start = Date.parse(rotation.start);
+  if (people.length === 0 || Number.isNaN(start)) return null;
+
+  const period = (rotation.periodDays || 7) * DAY_MS;
+  const elapsed = Math.floor((time - start) / period);
+  return people[((elapsed % people.length) + people.length) % people.length];
+}
+
+// A day's hours as [open, close] minute pairs
+function dayRanges(schedule, day) {
+  return []
+    .concat(schedule.hours?.[day] || [])
+    .map((range) => range.split("-").map(toMinutes));
+}
+
+function toMinutes(time) {
+  const [hours, minutes = "0"] = time.trim().split(":");
+  return Number(hours) * 60 + Number(minutes);
+}
@@ -0,0 +1,30 @@
+/**
+ * Routing decision trace
+ * Ordered record of every step that shaped where a message went, kept per
+ * transaction. Steps that explain the outcome carry a short `reason` token;
+ * those tokens make up the X-ChittyOS-Route-Reason header.
+ */
+
+export function createTrace(transactionId, startTime = Date.now()) {
+  return { transactionId, startTime, steps: [] };
+}
+
+// Append a step (no-op without a trace, so callers can make tracing optional)
+export function addTraceStep(trace, stage, event, details = {}) {
+  if (!trace) return;
+  trace.steps.push({
+    step: trace.steps.length + 1,
+    stage,
+    event,
+    ...details,
+    ms: Date.now() - trace.startTime,
+  });
+}
+
+// Header-safe one-line summary, e.g. "rule=finance-intake; fallback=finance-router-failed"
+export function summarizeTrace(trace) {
+  const reasons = trace.steps
+    .filter((step) => step.reason)
+    .map((step) => step.reason.replace(/[\r\n]+/g, " "));
+  return reasons.join("; ") || "none";
+}
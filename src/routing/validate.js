@@ -0,0 +1,692 @@
+/**
+ * Routing configuration validator
+ * Checks a proposed configuration before it is activated and returns
+ * { valid, errors, warnings, info }; each issue is { code, message, path }.
+ *
+ * Errors make the configuration unsafe to activate: malformed or unknown
+ * rule parts, routes to undefined destinations, domains inheriting from
+ * unknown domains or each other, groups nested in each other, and
+ * destination cycles or mail loops between group and alias addresses.
+ * Warnings flag rules that can never run (unreachable or shadowed by an
+ * earlier rule) and bindings the configuration depends on but the
+ * environment lacks. Info lists AI rules that can override address routes.
+ *
+ * Shared by the admin API and `npm run config:validate`, so it must stay free
+ * of side effects; `env` only needs the bindings and vars to check.
+ */
+
+import { aliasStatus } from "../aliases.js";
+import { STAGE_SETTINGS } from "../pipeline/stages/index.js";
+import { groupRules } from "./groups.js";
+import { compilePattern, isPattern, matchesPattern } from "./patterns.js";
+import { ROUTE_TABLE_PRIORITIES, routeTableRules } from "./route-tables.js";
+import {
+  ACTION_TYPES,
+  matchesRule,
+  resolveTargets,
+  sortRules,
+  WORKSTREAM_ROUTERS,
+} from "./rules.js";
+
+const CONDITION_FIELDS = [
+  "domain",
+  "local",
+  "tag",
+  "sender",
+  "classification",
+  "sentiment",
+  "urgency",
+  "headers",
+  "during",
+  "outside",
+];
+const AI_FIELDS = ["classification", "sentiment", "urgency"];
+
+// Stand-in domain for mail to domains without their own entry
+const UNLISTED_DOMAIN = "unlisted.invalid";
+
+// Validate a configuration against an environment (and optionally the
+// stored aliases, for mail loop detection)
+export function validateConfig(config, env = {}, { aliases = [] } = {}) {
+  const issues = [];
+  const report = (severity, code, path, message) =>
+    issues.push({ severity, code, path, message });
+
+  if (!config || typeof config !== "object" || !Array.isArray(config.rules)) {
+    report(
+      "error",
+      "invalid-config",
+      "/rules",
+      "Configuration has no rules list",
+    );
+    return summarize(issues);
+  }
+
+  checkRules(config, report);
+
+  // The remaining checks only look at rules that are objects
+  const checked = { ...config, rules: config.rules.filter(isRule) };
+  checkInheritance(checked, report);
+  checkStageSettings(checked, report);
+  checkDestinations(checked, env, report);
+  checkMailLoops(checked, env, aliases, report);
+  checkBindings(checked, env, report);
+  checkReachability(checked, env, report);
+  checkAiOverrides(checked, report);
+
+  return summarize(issues);
+}
+
+function summarize(issues) {
+  const bySeverity = (severity) =>
+    issues
+      .filter((issue) => issue.severity === severity)
+      .map(({ severity: _severity, ...issue }) => issue);
+
+  const errors = bySeverity("error");
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: bySeverity("warning"),
+    info: bySeverity("info"),
+  };
+}
+
+// Rule ids, action types and condition fields
+function checkRules(config, report) {
+  const seen = new Set();
+  const schedules = config.schedules || {};
+
+  config.rules.forEach((rule, index) => {
+    if (!isRule(rule)) {
+      report(
+        "error",
+        "invalid-rule",
+        `/rules/${index}`,
+        `Rule ${index} is not an object`,
+      );
+      return;
+    }
+
+    const path = `/rules/${rule.id ?? index}`;
+
+    if (!rule.id) {
+      report("error", "missing-rule-id", path, `Rule ${index} has no id`);
+    } else if (seen.has(rule.id)) {
+      report(
+        "error",
+        "duplicate-rule-id",
+        path,
+        `Rule id ${rule.id} is used more than once`,
+      );
+    }
+    seen.add(rule.id);
+
+    const action = rule.action || {};
+    if (!ACTION_TYPES.includes(action.type)) {
+      report(
+        "error",
+        "unknown-action",
+        `${path}/action`,
+        `Rule ${rule.id} has unknown action type ${action.type}`,
+      );
+    }
+    if (
+      action.type === "workstream" &&
+      !WORKSTREAM_ROUTERS[action.workstream]
+    ) {
+      report(
+        "error",
+        "unknown-workstream",
+        `${path}/action`,
+        `Rule ${rule.id} posts to unknown workstream ${action.workstream}`,
+      );
+    }
+    if (action.type === "group" && !config.groups?.[action.group]) {
+      report(
+        "error",
+        "undefined-group",
+        `${path}/action`,
+        `Rule ${rule.id} distributes to undefined group ${action.group}`,
+      );
+    }
+    if (action.type === "defer" && !schedules[action.digest]) {
+      report(
+        "warning",
+        "unknown-schedule",
+        `${path}/action`,
+        `Rule ${rule.id} defers to unknown schedule ${action.digest}; its digest is sent on the next hourly run`,
+      );
+    }
+
+    for (const part of ["match", "unless"]) {
+      for (const [field, value] of Object.entries(rule[part] || {})) {
+        if (!CONDITION_FIELDS.includes(field)) {
+          report(
+            "error",
+            "unknown-condition",
+            `${path}/${part}/${field}`,
+            `Rule ${rule.id} uses unknown condition ${field}`,
+          );
+        } else if (["during", "outside"].includes(field) && !schedules[value]) {
+          report(
+            "error",
+            "unknown-schedule",
+            `${path}/${part}/${field}`,
+            `Rule ${rule.id} refers to unknown schedule ${value}, so it never matches`,
+          );
+        } else if (field !== "headers") {
+          for (const pattern of [].concat(value).filter(isPattern)) {
+            if (!isValidPattern(pattern)) {
+              report(
+                "error",
+                "invalid-pattern",
+                `${path}/${part}/${field}`,
+                `Rule ${rule.id} has invalid pattern ${pattern}`,
+              );
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
+// A domain inherits from `defaults` (true), nothing (false) or another
+// configured domain, without coming back to itself
+function checkInheritance(config, report) {
+  const domains = config.domains || {};
+  for (const [domain, table] of Object.entries(domains)) {
+    const { inherit } = table;
+    if (inherit === undefined || typeof inherit === "boolean") continue;
+    const path = `/domains/${domain}/inherit`;
+
+    if (typeof inherit !== "string" || !domains[inherit]) {
+      report(
+        "error",
+        "invalid-inherit",
+        path,
+        `${domain} inherits from ${JSON.stringify(inherit)}, which is not true, false or a configured domain`,
+      );
+      continue;
+    }
+
+    const chain = [domain];
+    let next = inherit;
+    while (typeof next === "string" && domains[next]) {
+      if (chain.includes(next)) {
+        report(
+          "error",
+          "invalid-inherit",
+          path,
+          `Route tables inherit from each other: ${[...chain, next].join(" → ")}`,
+        );
+        break;
+      }
+      chain.push(next);
+      next = domains[next].inherit;
+    }
+  }
+}
+
+// Per-domain pipeline switches must name optional stages
+function checkStageSettings(config, report) {
+  for (const [scope, table] of routeTableScopes(config)) {
+    if (table.stages === undefined) continue;
+    const path = `/${scope}/stages`;
+
+    if (typeof table.stages !== "object" || Array.isArray(table.stages)) {
+      report(
+        "error",
+        "invalid-stages",
+        path,
+        `${path} must map stage names to true or false`,
+      );
+      continue;
+    }
+    for (const [name, enabled] of Object.entries(table.stages)) {
+      if (!STAGE_SETTINGS.includes(name)) {
+        report(
+          "error",
+          "unknown-stage",
+          `${path}/${name}`,
+          `${name} is not an optional pipeline stage (one of ${STAGE_SETTINGS.join(", ")})`,
+        );
+      } else if (typeof enabled !== "boolean") {
+        report(
+          "error",
+          "invalid-stages",
+          `${path}/${name}`,
+          `${path}/${name} must be true or false`,
+        );
+      }
+    }
+  }
+}
+
+// Every destination reference must resolve, without cycles
+function checkDestinations(config, env, report) {
+  const check = (refs, path) => {
+    for (const ref of [].concat(refs ?? [])) {
+      if (typeof ref !== "string" || !ref) {
+        report(
+          "error",
+          "invalid-destination",
+          path,
+          `Invalid destination reference ${JSON.stringify(ref)}`,
+        );
+        continue;
+      }
+      if (ref.startsWith("oncall:")) {
+        if (!config.onCall?.[ref.slice(7)]) {
+          report(
+            "error",
+            "undefined-destination",
+            path,
+            `${path} refers to undefined on-call rotation ${ref}`,
+          );
+        }
+        continue;
+      }
+
+      try {
+        for (const target of resolveTargets(ref, config, env)) {
+          if (
+            target.type === "workstream" &&
+            !WORKSTREAM_ROUTERS[target.workstream]
+          ) {
+            report(
+              "error",
+              "unknown-workstream",
+              path,
+              `${path} refers to unknown workstream ${target.workstream}`,
+            );
+          }
+        }
+      } catch (error) {
+        if (!error.cycle) {
+          report(
+            "error",
+            "undefined-destination",
+            path,
+            `${path}: ${error.message}`,
+          );
+        } else if (error.cycle.every((ref) => ref.startsWith("group:"))) {
+          report(
+            "error",
+            "group-cycle",
+            path,
+            `${path}: Groups contain each other: ${error.cycle.join(" → ")}`,
+          );
+        } else {
+          report(
+            "error",
+            "destination-loop",
+            path,
+            `${path}: ${error.message}`,
+          );
+        }
+      }
+    }
+  };
+
+  for (const [name, refs] of Object.entries(config.destinations || {})) {
+    check(refs, `/destinations/${name}`);
+  }
+  for (const rule of config.rules) {
+    const path = `/rules/${rule.id}/action`;
+    if (rule.action?.to) check(rule.action.to, `${path}/to`);
+    if (rule.action?.fallback) check(rule.action.fallback, `${path}/fallback`);
+  }
+  for (const [scope, table] of routeTableScopes(config)) {
+    for (const [local, target] of Object.entries(table.routes || {})) {
+      check(targetRefs(target), `/${scope}/routes/${local}`);
+    }
+    if (table.catchAll !== undefined) {
+      check(targetRefs(table.catchAll), `/${scope}/catchAll`);
+    }
+  }
+  for (const [name, group] of Object.entries(config.groups || {})) {
+    check(group.members, `/groups/${name}/members`);
+    check(group.moderators, `/groups/${name}/moderators`);
+  }
+  for (const [name, rotation] of Object.entries(config.onCall || {})) {
+    check(rotation.rotation, `/onCall/${name}/rotation`);
+    for (const override of rotation.overrides || []) {
+      check(override.to, `/onCall/${name}/overrides`);
+    }
+  }
+}
+
+// Forwarding chains through group and alias addresses that come back to
+// where they started. These addresses have no mailbox of their own, unlike
+// route targets on our domains, which are delivered to Workspace.
+function checkMailLoops(config, env, aliases, report) {
+  const domains = Object.keys(config.domains || {});
+  const edges = new Map();
+
+  const addEdges = (address, refs) => {
+    let targets;
+    try {
+      targets = resolveTargets(refs, config, env);
+    } catch {
+      return; // Reported by checkDestinations
+    }
+    const next = targets
+      .filter((target) => target.type === "forward")
+      .map((target) => target.address.toLowerCase());
+    edges.set(address, [...(edges.get(address) || []), ...next]);
+  };
+
+  for (const rule of groupRules(config)) {
+    const group = config.groups[rule.action.group];
+    for (const domain of domains) {
+      if (appliesTo(rule, domain)) {
+        addEdges(`${rule.match.local}@${domain}`.toLowerCase(), group.members);
+      }
+    }
+  }
+  for (const alias of aliases.filter((a) => aliasStatus(a) === "active")) {
+    addEdges(`${alias.local}@${alias.domain}`.toLowerCase(), alias.target);
+  }
+
+  const reported = new Set();
+  const visit = (address, chain) => {
+    const index = chain.indexOf(address);
+    if (index !== -1) {
+      const loop = chain.slice(index);
+      const key = [...loop].sort().join(",");
+      if (!reported.has(key)) {
+        reported.add(key);
+        report(
+          "error",
+          "mail-loop",
+          `/${loop[0]}`,
+          `Mail loop: ${[...loop, address].join(" → ")}`,
+        );
+      }
+      return;
+    }
+    for (const next of edges.get(address) || []) {
+      if (edges.has(next)) visit(next, [...chain, address]);
+    }
+  };
+  for (const address of edges.keys()) visit(address, []);
+}
+
+// Router URLs, storage and AI the configuration relies on
+function checkBindings(config, env, report) {
+  const needs = (binding, path, consequence) => {
+    if (!env[binding]) {
+      report(
+        "warning",
+        "missing-binding",
+        path,
+        `${binding} is not configured: ${consequence}`,
+      );
+    }
+  };
+
+  for (const rule of config.rules) {
+    if (rule.enabled === false) continue;
+    const action = rule.action || {};
+    const path = `/rules/${rule.id}`;
+
+    if (action.type === "workstream" && WORKSTREAM_ROUTERS[action.workstream]) {
+      needs(
+        WORKSTREAM_ROUTERS[action.workstream],
+        path,
+        action.fallback
+          ? `${rule.id} forwards to its fallback instead of the ${action.workstream} router`
+          : `${rule.id} is skipped`,
+      );
+    }
+    if (action.type === "track") {
+      needs("TRACKING_ROUTER_URL", path, `${rule.id} is skipped`);
+    }
+    if (action.type === "defer") {
+      needs("DEFERRED_EMAILS", path, `${rule.id} is skipped`);
+      needs("TRACKING_ROUTER_URL", path, `${rule.id} is skipped`);
+    }
+    if (usesAi(rule)) {
+      needs("AI", path, `${rule.id} never matches without AI analysis`);
+    }
+  }
+
+  // Workstream targets reached through routes and named destinations
+  for (const [scope, table] of routeTableScopes(config)) {
+    for (const [local, target] of Object.entries(table.routes || {})) {
+      let targets = [];
+      try {
+        targets = resolveTargets(targetRefs(target), config, env);
+      } catch {
+        continue; // Reported by checkDestinations
+      }
+      for (const { type, workstream } of targets) {
+        const binding = WORKSTREAM_ROUTERS[workstream];
+        if (type === "workstream" && binding) {
+          needs(
+            binding,
+            `/${scope}/routes/${local}`,
+            `the ${workstream} router is left out of the ${local} route`,
+          );
+        }
+      }
+    }
+  }
+}
+
+// Rules that can never run because an earlier rule always takes their mail,
+// checked for every configured domain and for unlisted domains
+function checkReachability(config, env, report) {
+  const domains = [...Object.keys(config.domains || {}), UNLISTED_DOMAIN];
+  const findings = new Map();
+
+  for (const domain of domains) {
+    const rules = sortRules([
+      ...config.rules,
+      ...groupRules(config),
+      ...routeTableRules(config, domain),
+    ]).filter((rule) => rule.enabled !== false && appliesTo(rule, domain));
+
+    rules.forEach((rule, index) => {
+      const blocker = rules
+        .slice(0, index)
+        .find((earlier) => coversRule(earlier, rule, config, env));
+      if (!blocker) return;
+
+      const key = `${rule.id}|${blocker.id}`;
+      if (!findings.has(key)) findings.set(key, { rule, blocker, domains: [] });
+      findings.get(key).domains.push(domain);
+    });
+  }
+
+  for (const { rule, blocker, domains: where } of findings.values()) {
+    const scope =
+      where.length === domains.length
+        ? ""
+        : ` on ${where.map((d) => (d === UNLISTED_DOMAIN ? "unlisted domains" : d)).join(", ")}`;
+    const unconditional =
+      Object.keys(withoutDomain(blocker.match)).length === 0;
+
+    report(
+      "warning",
+      unconditional ? "unreachable-rule" : "shadowed-rule",
+      `/rules/${rule.id}`,
+      unconditional
+        ? `${rule.id} never runs${scope}: ${blocker.id} takes every message first`
+        : `${rule.id} is shadowed by ${blocker.id}${scope}: every message it matches is taken by ${blocker.id} first`,
+    );
+  }
+}
+
+// AI rules ahead of the route tables can take mail for routed addresses
+// (e.g. support@ mail classified as legal goes to litigation, not support)
+function checkAiOverrides(config, report) {
+  const aiRules = config.rules.filter(
+    (rule) =>
+      rule.enabled !== false &&
+      usesAi(rule) &&
+      (rule.priority ?? 1000) < ROUTE_TABLE_PRIORITIES.route,
+  );
+
+  for (const [scope, table] of routeTableScopes(config)) {
+    for (const local of Object.keys(table.routes || {})) {
+      if (isPattern(local)) continue;
+
+      const overrides = aiRules.filter(
+        (rule) =>
+          (!rule.match.local || covers(rule.match.local, local)) &&
+          !(rule.unless?.local && covers(rule.unless.local, local)),
+      );
+      if (overrides.length > 0) {
+        report(
+          "info",
+          "ai-override",
+          `/${scope}/routes/${local}`,
+          `${local} mail can be taken by AI rules before its route: ${overrides.map((rule) => rule.id).join(", ")}`,
+        );
+      }
+    }
+  }
+}
+
+// Whether `earlier` always applies to every message `later` would match
+function coversRule(earlier, later, config, env) {
+  if (earlier.unless || !alwaysResolves(earlier, config, env)) return false;
+
+  const match = withoutDomain(earlier.match);
+  const other = withoutDomain(later.match);
+
+  return Object.entries(match).every(([field, expected]) => {
+    if (other[field] === undefined) return false;
+    if (field === "during" || field === "outside") {
+      return expected === other[field];
+    }
+    if (field === "headers") {
+      const headers = lowerKeys(other.headers);
+      return Object.entries(lowerKeys(expected)).every(
+        ([name, value]) =>
+          headers[name] !== undefined && covers(value, headers[name]),
+      );
+    }
+    return covers(expected, other[field]);
+  });
+}
+
+// Whether a rule's action runs whenever it matches (in this environment)
+function alwaysResolves(rule, config, env) {
+  const action = rule.action || {};
+  switch (action.type) {
+    case "workstream":
+      return Boolean(
+        env[WORKSTREAM_ROUTERS[action.workstream]] || action.fallback,
+      );
+    case "forward":
+      try {
+        return (
+          Boolean(action.fallback) ||
+          resolveTargets(action.to, config, env).some(
+            (target) =>
+              target.type === "forward" ||
+              env[WORKSTREAM_ROUTERS[target.workstream]],
+          )
+        );
+      } catch {
+        return false;
+      }
+    case "track":
+      return Boolean(env.TRACKING_ROUTER_URL);
+    case "defer":
+      return Boolean(env.DEFERRED_EMAILS && env.TRACKING_ROUTER_URL);
+    case "group":
+      return Boolean(config.groups?.[action.group]);
+    default:
+      return ACTION_TYPES.includes(action.type);
+  }
+}
+
+// Whether condition `expected` matches every value condition `actual` can
+function covers(expected, actual) {
+  const options = [].concat(expected);
+  return [].concat(actual).every((value) => {
+    // Only exact values can be proven covered; other conditions must be equal
+    if (typeof value !== "string" || isPattern(value)) {
+      return options.some(
+        (option) => JSON.stringify(option) === JSON.stringify(value),
+      );
+    }
+    return options.some((option) => coversValue(option, value.toLowerCase()));
+  });
+}
+
+function coversValue(option, value) {
+  if (typeof option === "string") {
+    return isPattern(option)
+      ? matchesPattern(option, value)
+      : option.toLowerCase() === value;
+  }
+  if (option?.contains !== undefined) {
+    return []
+      .concat(option.contains)
+      .some((needle) => value.includes(String(needle).toLowerCase()));
+  }
+  if (option?.regex !== undefined) {
+    return matchesPattern(`/${option.regex}/`, value);
+  }
+  return false;
+}
+
+function appliesTo(rule, domain) {
+  const expected = rule.match?.domain;
+  return (
+    expected === undefined ||
+    matchesRule({ match: { domain: expected } }, { domain })
+  );
+}
+
+function isRule(rule) {
+  return typeof rule === "object" && rule !== null && !Array.isArray(rule);
+}
+
+function usesAi(rule) {
+  return AI_FIELDS.some((field) => rule.match?.[field] !== undefined);
+}
+
+function withoutDomain(match = {}) {
+  const { domain: _domain, ...rest } = match;
+  return rest;
+}
+
+function lowerKeys(object = {}) {
+  return Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key.toLowerCase(), value]),
+  );
+}
+
+// The defaults table and each domain's own table, as [path, table]
+function routeTableScopes(config) {
+  return [
+    ["defaults", config.defaults || {}],
+    ...Object.entries(config.domains || {}).map(([domain, table]) => [
+      `domains/${domain}`,
+      table,
+    ]),
+  ];
+}
+
+// Destination references in a route table target (reference, list or action)
+function targetRefs(target) {
+  if (target === null || target === undefined) return [];
+  if (typeof target === "string" || Array.isArray(target)) return target;
+  return target.to ?? target.fallback ?? [];
+}
+
+function isValidPattern(pattern) {
+  try {
+    compilePattern(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Routing configuration versions
+ * Every published configuration is stored as an immutable, numbered version
+ * in ROUTING_CONFIG (`routing:version:<n>`); the `routing:active` pointer
+ * names the version the worker routes with. Switching versions is a single
+ * KV write to the pointer, so messages see either the old or the new
+ * configuration, never a mix, and rollback is just re-pointing to the
+ * version the active one was based on (its `parent`), so repeated rollbacks
+ * walk back through the history.
+ */
+
+import { createLogger } from "../logger.js";
+
+const log = createLogger();
+
+export const ACTIVE_VERSION_KEY = "routing:active";
+const LATEST_VERSION_KEY = "routing:latest";
+const VERSION_PREFIX = "routing:version:";
+
+// KV list metadata is limited to 1024 bytes, so long messages and actors are
+// shortened there (the version record keeps them in full)
+const METADATA_MESSAGE_BYTES = 512;
+const METADATA_ACTOR_BYTES = 128;
+
+export function versionKey(version) {
+  return `${VERSION_PREFIX}${String(version).padStart(6, "0")}`;
+}
+
+// The active version pointer: { version, activatedAt, actor, previous }
+export async function getActivePointer(env) {
+  return env.ROUTING_CONFIG.get(ACTIVE_VERSION_KEY, "json");
+}
+
+// The active version record, or null when none has been published
+export async function loadActiveVersion(env) {
+  const pointer = await getActivePointer(env);
+  if (!pointer) return null;
+
+  const record = await getVersion(env, pointer.version);
+  if (!record) {
+    log.error("Active routing config version is missing", {
+      version: pointer.version,
+    });
+  }
+  return record;
+}
+
+export async function getVersion(env, version) {
+  return env.ROUTING_CONFIG.get(versionKey(version), "json");
+}
+
+// Store a configuration as the next version (existing versions are never
+// overwritten). The new version is not active until activateVersion.
+export async function createVersion(env, config, { actor, message }) {
+  const latest = Number(await env.ROUTING_CONFIG.get(LATEST_VERSION_KEY)) || 0;
+  const pointer = await getActivePointer(env);
+
+  let version = latest + 1;
+  while (await env.ROUTING_CONFIG.get(versionKey(version))) version++;
+
+  const record = {
+    version,
+    createdAt: new Date().toISOString(),
+    actor,
+    message,
+    parent: pointer?.version ?? null,
+    config,
+  };
+  await env.ROUTING_CONFIG.put(versionKey(version), JSON.stringify(record), {
+    metadata: {
+      createdAt: record.createdAt,
+      actor: truncate(actor, METADATA_ACTOR_BYTES),
+      message: truncate(message, METADATA_MESSAGE_BYTES),
+      parent: record.parent,
+    },
+  });
+  await env.ROUTING_CONFIG.put(LATEST_VERSION_KEY, String(version));
+  return record;
+}
+
+// Point the worker at a stored version; returns the new pointer, or null
+// when the version does not exist
+export async function activateVersion(env, version, { actor }) {
+  if (!(await getVersion(env, version))) return null;
+
+  const current = await getActivePointer(env);
+  const pointer = {
+    version,
+    activatedAt: new Date().toISOString(),
+    actor,
+    previous: current?.version ?? null,
+  };
+  await env.ROUTING_CONFIG.put(ACTIVE_VERSION_KEY, JSON.stringify(pointer));
+  return pointer;
+}
+
+// Version summaries (without their configuration), newest first
+export async function listVersions(env) {
+  const versions = [];
+  let cursor;
+  do {
+    const listResult = await env.ROUTING_CONFIG.list({
+      prefix: VERSION_PREFIX,
+      cursor,
+    });
+    for (const key of listResult.keys) {
+      versions.push({
+        version: Number(key.name.slice(VERSION_PREFIX.length)),
+        ...key.metadata,
+      });
+    }
+    cursor = listResult.list_complete ? undefined : listResult.cursor;
+  } while (cursor);
+
+  return versions.reverse();
+}
+
+// Cut a string to at most `bytes` bytes of UTF-8, ending it with an ellipsis
+function truncate(text, bytes) {
+  const encoded = new TextEncoder().encode(String(text));
+  if (encoded.length <= bytes) return text;
+  // A character cut in half decodes to U+FFFD
+  const kept = new TextDecoder().decode(encoded.slice(0, bytes - 3));
+  return `${kept.replace(/\uFFFD$/, "")}…`;
+}
+
+// Differences between two configurations as { path, op, before, after },
+// with paths like /domains/chitty.cc/priority. Lists of objects with an `id`
+// (rules) are compared by id rather than position.
+export function diffConfigs(before, after, path = "") {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  if (before === undefined) return [{ path, op: "added", after }];
+  if (after === undefined) return [{ path, op: "removed", before }];
+
+  if (isIdList(before, after)) {
+    return diffConfigs(byId(before), byId(after), path);
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap((key) =>
+      diffConfigs(before[key], after[key], `${path}/${key}`),
+    );
+  }
+
+  return [{ path, op: "changed", before, after }];
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isIdList(before, after) {
+  return (
+    Array.isArray(before) &&
+    Array.isArray(after) &&
+    [...before, ...after].every(
+      (item) => isPlainObject(item) && typeof item.id === "string",
+    )
+  );
+}
+
+function byId(list) {
+  return Object.fromEntries(list.map((item) => [item.id, item]));
+}
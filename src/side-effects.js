@@ -0,0 +1,47 @@
+/**
+ * Deferred side effects
+ * Work the sender does not wait for (analytics and AI insight records, rate
+ * limit counters, sender feedback, webhooks) is scheduled on the pipeline
+ * context instead of awaited by its stage. An effect starts when it is
+ * scheduled, or once the effects named in its `after` list have settled
+ * (the analytics record waits for the webhook and feedback so it includes
+ * their budget overruns).
+ *
+ * When the pipeline has run, the outstanding effects are handed to
+ * ctx.waitUntil, so email() returns once the message is delivered. Without
+ * ctx.waitUntil they are awaited before email() returns. A failing effect
+ * affects neither the message nor the other effects; its error goes to the
+ * error sink (see error-sink.js).
+ */
+
+import { reportError } from "./error-sink.js";
+
+export function createSideEffects() {
+  return { byName: new Map(), all: [] };
+}
+
+// Run `run()` in the background once the effects in `after` have settled
+export function scheduleSideEffect(context, name, run, { after = [] } = {}) {
+  const { env, sideEffects, transactionId } = context;
+  const waitFor = after
+    .map((earlier) => sideEffects.byName.get(earlier))
+    .filter(Boolean);
+
+  const effect = Promise.all(waitFor)
+    .then(() => run())
+    .catch((error) => reportError(env, { source: name, transactionId, error }));
+
+  sideEffects.byName.set(name, effect);
+  sideEffects.all.push(effect);
+  return effect;
+}
+
+// Hand the scheduled effects to ctx.waitUntil, or wait for them without it
+export async function flushSideEffects(context) {
+  const settled = Promise.all(context.sideEffects.all);
+  if (typeof context.ctx?.waitUntil === "function") {
+    context.ctx.waitUntil(settled);
+    return;
+  }
+  await settled;
+}
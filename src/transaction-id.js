@@ -0,0 +1,116 @@
+/**
+ * Transaction IDs
+ * `<prefix>-<ULID>`, e.g. `EMAIL-01J9Z8Q4M5T7X2K3V6B8N0C1D2`. The prefix
+ * names the worker that issued the ID (TRANSACTION_ID_PREFIX, "EMAIL" by
+ * default); the ULID is 48 bits of millisecond time followed by 80 random
+ * bits from crypto.getRandomValues, in Crockford base32. IDs with the same
+ * prefix sort by creation time as strings (IDs from the same millisecond in
+ * random order).
+ *
+ * Per-message KV keys put the ID right after the record kind (`email:<id>`,
+ * `ai:<id>`, `trace:<id>`), so they list in time order and a time range can
+ * be listed with a few key prefixes (see timeRangePrefixes).
+ */
+
+const ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+const MAX_TIME = 2 ** 48 - 1;
+
+export const DEFAULT_ID_PREFIX = "EMAIL";
+
+const PREFIX_PATTERN = /^[A-Z][A-Z0-9]{0,15}$/;
+const ID_PATTERN = /^([A-Z][A-Z0-9]{0,15})-([0-7][0-9A-HJKMNP-TV-Z]{25})$/;
+
+// Most prefixes a time range is split into (see timeRangePrefixes)
+const MAX_RANGE_PREFIXES = 32;
+
+// The ID prefix configured for this worker
+export function transactionIdPrefix(env) {
+  const prefix = env.TRANSACTION_ID_PREFIX?.toUpperCase();
+  return prefix && PREFIX_PATTERN.test(prefix) ? prefix : DEFAULT_ID_PREFIX;
+}
+
+// A new transaction ID for the given time
+export function createTransactionId(
+  prefix = DEFAULT_ID_PREFIX,
+  now = Date.now(),
+) {
+  if (!PREFIX_PATTERN.test(prefix)) {
+    throw new Error(`Invalid transaction ID prefix ${prefix}`);
+  }
+
+  // 32 divides 256, so masking each byte keeps the characters uniform
+  const random = crypto.getRandomValues(new Uint8Array(RANDOM_LENGTH));
+  let randomPart = "";
+  for (const byte of random) randomPart += ALPHABET[byte & 31];
+
+  return `${prefix}-${encodeTime(now)}${randomPart}`;
+}
+
+export function isTransactionId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+// { prefix, timestamp, time, random } for a transaction ID, or null for
+// anything else (including IDs from before ULIDs, `EMAIL-<ms>-<random>`)
+export function parseTransactionId(id) {
+  const match = typeof id === "string" && id.match(ID_PATTERN);
+  if (!match) return null;
+
+  const [, prefix, ulid] = match;
+  let timestamp = 0;
+  for (const char of ulid.slice(0, TIME_LENGTH)) {
+    timestamp = timestamp * 32 + ALPHABET.indexOf(char);
+  }
+  return {
+    prefix,
+    timestamp,
+    time: new Date(timestamp),
+    random: ulid.slice(TIME_LENGTH),
+  };
+}
+
+// Key prefixes that together cover every `<kind><id>` key whose ID was
+// issued between start and end (Dates), e.g. for kind "ai:" and a week:
+// about 20 prefixes of 9-hour buckets. Keys just outside the range can
+// match, so callers still check the record's time.
+export function timeRangePrefixes(
+  kind,
+  start,
+  end,
+  idPrefix = DEFAULT_ID_PREFIX,
+) {
+  const from = Math.max(0, start.getTime());
+  const to = Math.min(MAX_TIME, end.getTime());
+  if (from > to) return [];
+
+  // The longest time prefix that splits the range into few enough buckets
+  for (let length = TIME_LENGTH; length > 0; length--) {
+    const size = 32 ** (TIME_LENGTH - length);
+    const first = Math.floor(from / size);
+    const last = Math.floor(to / size);
+    if (last - first + 1 > MAX_RANGE_PREFIXES) continue;
+
+    const prefixes = [];
+    for (let bucket = first; bucket <= last; bucket++) {
+      const time = encodeTime(bucket * size).slice(0, length);
+      prefixes.push(`${kind}${idPrefix}-${time}`);
+    }
+    return prefixes;
+  }
+  return [`${kind}${idPrefix}-`];
+}
+
+function encodeTime(ms) {
+  if (!Number.isInteger(ms) || ms < 0 || ms > MAX_TIME) {
+    throw new Error(`Cannot encode time ${ms} in a transaction ID`);
+  }
+  let time = ms;
+  let encoded = "";
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    encoded = ALPHABET[time % 32] + encoded;
+    time = Math.floor(time / 32);
+  }
+  return encoded;
+}
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parseRecipient } from "../src/routing/address.js";
+
+describe("parseRecipient", () => {
+  it("splits the subaddress tag from the local part", () => {
+    assert.deepEqual(parseRecipient("nick+receipts@chitty.cc"), {
+      local: "nick",
+      tag: "receipts",
+      domain: "chitty.cc",
+    });
+    assert.deepEqual(parseRecipient("support@chitty.cc"), {
+      local: "support",
+      tag: null,
+      domain: "chitty.cc",
+    });
+  });
+
+  it("keeps further separators in the tag", () => {
+    assert.deepEqual(parseRecipient("evidence+case+2024+118@chitty.cc"), {
+      local: "evidence",
+      tag: "case+2024+118",
+      domain: "chitty.cc",
+    });
+  });
+
+  it("folds case and trims whitespace", () => {
+    assert.deepEqual(parseRecipient(" Nick+Receipts@Chitty.CC "), {
+      local: "nick",
+      tag: "receipts",
+      domain: "chitty.cc",
+    });
+  });
+
+  it("treats leading and trailing separators as part of the address", () => {
+    assert.deepEqual(parseRecipient("+receipts@chitty.cc"), {
+      local: "+receipts",
+      tag: null,
+      domain: "chitty.cc",
+    });
+    assert.deepEqual(parseRecipient("nick+@chitty.cc"), {
+      local: "nick",
+      tag: null,
+      domain: "chitty.cc",
+    });
+  });
+
+  it("uses the last @ for the domain", () => {
+    assert.deepEqual(parseRecipient('"a@b"+x@chitty.cc'), {
+      local: '"a@b"',
+      tag: "x",
+      domain: "chitty.cc",
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { DEFAULT_ROUTING_CONFIG } from "../src/routing/default-config.js";
+import { api, createEnv, quietConsole } from "./helpers/mocks.js";
+
+quietConsole();
+
+describe("admin API authentication", () => {
+  it("rejects requests without the API key", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    for (const token of [null, "wrong-key", ""]) {
+      const response = await api(env, "/admin/domains/example.org", {
+        method: "PUT",
+        body: { priority: true },
+        token,
+      });
+      assert.equal(response.status, 401);
+      assert.deepEqual(await response.json(), { error: "Unauthorized" });
+    }
+    assert.deepEqual(env.ROUTING_CONFIG.keys(), []);
+  });
+
+  it("rejects every request when CHITTY_API_KEY is not configured", async () => {
+    const env = createEnv();
+    const response = await api(env, "/admin/config");
+    assert.equal(response.status, 401);
+  });
+});
+
+describe("admin API", () => {
+  it("saves domain changes as a new version and audits them", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const response = await api(env, "/admin/domains/example.org", {
+      method: "PUT",
+      body: { priority: true, routes: { sales: "mgmt" } },
+      headers: { "X-ChittyOS-Actor": "alice" },
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("X-ChittyOS-Config-Version"), "1");
+
+    const domain = await (await api(env, "/admin/domains/example.org")).json();
+    assert.deepEqual(domain, { priority: true, routes: { sales: "mgmt" } });
+
+    const { entries } = await (await api(env, "/admin/audit")).json();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].actor, "alice");
+    assert.equal(entries[0].operation, "put");
+    assert.equal(entries[0].key, "example.org");
+    assert.equal(entries[0].version, 1);
+  });
+
+  it("refuses routes to unknown destinations", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const response = await api(env, "/admin/routes/defaults/sales", {
+      method: "PUT",
+      body: { target: "nobody" },
+    });
+    assert.equal(response.status, 400);
+    assert.match(
+      (await response.json()).error,
+      /Unknown routing destination: nobody/,
+    );
+    assert.deepEqual(env.ROUTING_CONFIG.keys("routing:"), []);
+  });
+
+  it("refuses configurations with groups that contain each other", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const config = structuredClone(DEFAULT_ROUTING_CONFIG);
+    config.groups.team.members.push("group:board");
+    config.groups.board.members.push("group:team");
+
+    const response = await api(env, "/admin/config", {
+      method: "POST",
+      body: { config },
+    });
+    assert.equal(response.status, 400);
+    const { validation } = await response.json();
+    assert.deepEqual(
+      validation.errors.map((error) => [error.code, error.path]),
+      [
+        ["group-cycle", "/groups/team/members"],
+        ["group-cycle", "/groups/board/members"],
+      ],
+    );
+    assert.match(
+      validation.errors[0].message,
+      /group:board → group:team → group:board/,
+    );
+    assert.deepEqual(env.ROUTING_CONFIG.keys("routing:"), []);
+  });
+
+  it("answers 400 for malformed path encoding", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    for (const path of [
+      "/admin/domains/%E0%A4",
+      "/aliases/shop%@chitty.cc",
+      "/delegations/%ZZnick",
+      "/dead-letters/%E0%A4",
+    ]) {
+      const response = await api(env, path);
+      assert.equal(response.status, 400, path);
+      assert.match((await response.json()).error, /Malformed path/);
+    }
+  });
+
+  it("adds and removes sender list entries", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const added = await api(env, "/admin/senders/deny", {
+      method: "POST",
+      body: { sender: "*@spam.example" },
+    });
+    assert.deepEqual(await added.json(), ["*@spam.example"]);
+
+    const invalid = await api(env, "/admin/senders/deny", {
+      method: "POST",
+      body: { sender: "not an address" },
+    });
+    assert.equal(invalid.status, 400);
+
+    const removed = await api(
+      env,
+      `/admin/senders/deny/${encodeURIComponent("*@spam.example")}`,
+      { method: "DELETE" },
+    );
+    assert.deepEqual(await removed.json(), []);
+    assert.equal(
+      (
+        await api(env, "/admin/senders/deny/nobody@example.org", {
+          method: "DELETE",
+        })
+      ).status,
+      404,
+    );
+  });
+});
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import { DEFAULT_ROUTING_CONFIG } from "../src/routing/default-config.js";
+import {
+  api,
+  createEnv,
+  createMessage,
+  publishConfig,
+  quietConsole,
+  rejections,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+function create(env, alias) {
+  return api(env, "/aliases", {
+    method: "POST",
+    body: { domain: "chitty.cc", target: "mgmt", ...alias },
+  });
+}
+
+describe("/aliases", () => {
+  it("creates random and named aliases", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+
+    const random = await create(env, { prefix: "acme" });
+    assert.equal(random.status, 201);
+    assert.match(
+      (await random.json()).address,
+      /^acme-[a-z2-9]{8}@chitty\.cc$/,
+    );
+
+    const named = await create(env, { local: "Shop", note: "Web shop" });
+    assert.equal(named.status, 201);
+    const alias = await (await api(env, "/aliases/shop@chitty.cc")).json();
+    assert.equal(alias.status, "active");
+    assert.equal(alias.note, "Web shop");
+    assert.deepEqual(alias.stats, { received: 0, rejected: 0 });
+
+    const { aliases } = await (
+      await api(env, "/aliases?domain=chitty.cc")
+    ).json();
+    assert.equal(aliases.length, 2);
+  });
+
+  it("refuses addresses that are already taken", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const config = structuredClone(DEFAULT_ROUTING_CONFIG);
+    config.rules.push({
+      id: "vendors",
+      priority: 150,
+      match: { local: "vendor-*" },
+      action: { type: "drop" },
+    });
+    await publishConfig(env, config);
+    await create(env, { local: "shop" });
+
+    const taken = {
+      support: /support@chitty.cc is already in use/,
+      shop: /shop@chitty.cc is already in use/,
+      team: /team@chitty.cc is already routed by rule group:team/,
+      "vendor-acme": /vendor-acme@chitty.cc is already routed by rule vendors/,
+    };
+    for (const [local, error] of Object.entries(taken)) {
+      const response = await create(env, { local });
+      assert.equal(response.status, 409);
+      assert.match((await response.json()).error, error);
+    }
+    assert.equal(env.ALIASES.keys("alias:").length, 1);
+  });
+
+  it("reports and bounces expired aliases", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    await create(env, { local: "offer", expiresAt: "2026-01-01" });
+
+    const alias = await (await api(env, "/aliases/offer@chitty.cc")).json();
+    assert.equal(alias.status, "expired");
+
+    const message = createMessage({ to: "offer@chitty.cc" });
+    await worker.email(message, env, {});
+    assert.deepEqual(rejections(message), [
+      "Address offer@chitty.cc expired on 2026-01-01",
+    ]);
+  });
+
+  it("revokes aliases and keeps the record", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    await create(env, { local: "shop" });
+
+    const response = await api(env, "/aliases/shop@chitty.cc", {
+      method: "DELETE",
+    });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, "revoked");
+    assert.equal(
+      (await (await api(env, "/aliases/shop@chitty.cc")).json()).status,
+      "revoked",
+    );
+    assert.equal(
+      (await api(env, "/aliases/none@chitty.cc", { method: "DELETE" })).status,
+      404,
+    );
+  });
+});
@@ -0,0 +1,151 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import { CALL_TIMEOUTS, createBudget, withDeadline } from "../src/budget.js";
+import {
+  createAI,
+  createEnv,
+  createMessage,
+  forwardedTo,
+  quietConsole,
+  stubFetch,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+// A call that only ends when it is aborted
+const hang = (signal) =>
+  new Promise((_, reject) =>
+    signal.addEventListener("abort", () => reject(signal.reason)),
+  );
+
+describe("withDeadline", () => {
+  it("returns the result of a call within its deadline", async () => {
+    const budget = createBudget({});
+    assert.equal(budget.limitMs, 20000);
+    assert.equal(
+      await withDeadline(budget, "ai", "ai:test", async () => "done"),
+      "done",
+    );
+    assert.deepEqual(budget.overruns, []);
+  });
+
+  it("aborts a call that misses the budget", async () => {
+    const budget = createBudget({ PROCESSING_BUDGET_MS: "20" });
+    let aborted;
+    await assert.rejects(
+      withDeadline(budget, "router", "finance router", (signal) => {
+        signal.addEventListener("abort", () => (aborted = true));
+        return hang(signal);
+      }),
+      (error) =>
+        error.timedOut && /finance router: no answer/.test(error.message),
+    );
+
+    assert.ok(aborted);
+    const [overrun] = budget.overruns;
+    assert.equal(overrun.call, "router");
+    assert.ok(overrun.deadlineMs <= 20);
+    assert.equal(overrun.skipped, false);
+  });
+
+  it("skips calls once the budget is spent", async () => {
+    const budget = createBudget({ PROCESSING_BUDGET_MS: "1000" }, 0);
+    let called = false;
+    await assert.rejects(
+      withDeadline(budget, "webhook", "webhook", async () => {
+        called = true;
+      }),
+      /processing budget spent/,
+    );
+    assert.equal(called, false);
+    assert.equal(budget.overruns[0].skipped, true);
+  });
+
+  it("applies the call timeout without a budget", async () => {
+    assert.equal(
+      await withDeadline(null, "router", "tracking router", async () => 1),
+      1,
+    );
+    assert.ok(CALL_TIMEOUTS.router > 0);
+  });
+});
+
+describe("email() under a time budget", () => {
+  it("drops late AI results and still forwards", async (t) => {
+    stubFetch(t);
+    const ai = createAI({ classification: "legal" });
+    ai.run.mock.mockImplementation((model, inputs, { signal }) => hang(signal));
+    const env = createEnv({ AI: ai, PROCESSING_BUDGET_MS: "30" });
+    const message = createMessage({ to: "support@chitty.cc" });
+    await worker.email(message, env, {});
+
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+    // The model calls themselves were cancelled
+    assert.ok(
+      ai.run.mock.calls.every((call) => call.arguments[2].signal.aborted),
+    );
+    assert.match(message.headers.get("X-ChittyOS-Route-Reason"), /ai-late=/);
+
+    const [key] = env.EMAIL_ANALYTICS.keys("email:");
+    const record = env.EMAIL_ANALYTICS.json(key);
+    assert.ok(record.budgetOverruns.length > 0);
+    assert.ok(record.budgetOverruns.every((o) => o.call === "ai"));
+    const [aiKey] = env.EMAIL_ANALYTICS.keys("ai:");
+    assert.equal(env.EMAIL_ANALYTICS.json(aiKey).classification, "general");
+  });
+
+  it("queues a router post that times out and uses the fallback", async (t) => {
+    stubFetch(t);
+    fetch.mock.mockImplementation((url, init) => hang(init.signal));
+    const env = createEnv({ PROCESSING_BUDGET_MS: "30" });
+    const message = createMessage({ to: "billing@chitty.cc" });
+    await worker.email(message, env, {});
+
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+    const [queued] = env.ROUTER_RETRY_QUEUE.pending;
+    assert.match(queued.body.error, /finance router: no answer within/);
+
+    const [key] = env.EMAIL_ANALYTICS.keys("email:");
+    const [overrun] = env.EMAIL_ANALYTICS.json(key).budgetOverruns;
+    assert.equal(overrun.label, "finance router");
+  });
+
+  it("holds out-of-office acks to the feedback deadline", async (t) => {
+    stubFetch(t);
+    fetch.mock.mockImplementation((url, init) => hang(init.signal));
+    const env = createEnv({ PROCESSING_BUDGET_MS: "30" });
+    await env.DELEGATIONS.put(
+      "delegations",
+      JSON.stringify({
+        nick: {
+          person: "nick",
+          from: new Date(Date.now() - 86400000).toISOString(),
+          until: new Date(Date.now() + 86400000).toISOString(),
+          delegate: "sharon",
+          stillReach: [],
+          autoAck: { message: "Nick is away." },
+        },
+      }),
+    );
+    const message = createMessage({ to: "nick@chitty.cc" });
+    await worker.email(message, env, {});
+
+    assert.deepEqual(forwardedTo(message), ["sharon@itcanbellc.com"]);
+    const [key] = env.EMAIL_ANALYTICS.keys("email:");
+    const labels = env.EMAIL_ANALYTICS.json(key).budgetOverruns.map(
+      (o) => o.label,
+    );
+    assert.ok(labels.includes("out-of-office ack"));
+  });
+
+  it("records no overruns when every call is on time", async (t) => {
+    stubFetch(t);
+    const env = createEnv({ AI: createAI() });
+    await worker.email(createMessage({ to: "support@chitty.cc" }), env, {});
+
+    const [key] = env.EMAIL_ANALYTICS.keys("email:");
+    assert.deepEqual(env.EMAIL_ANALYTICS.json(key).budgetOverruns, []);
+  });
+});
@@ -0,0 +1,163 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { loadRoutingConfig } from "../src/routing/config.js";
+import { DEFAULT_ROUTING_CONFIG } from "../src/routing/default-config.js";
+import { diffConfigs } from "../src/routing/versions.js";
+import { api, createEnv, quietConsole } from "./helpers/mocks.js";
+
+quietConsole();
+
+const publish = (env, config, message) =>
+  api(env, "/admin/config", { method: "POST", body: { config, message } });
+
+// The built-in configuration with one more routed address
+function withRoute(local, target) {
+  const config = structuredClone(DEFAULT_ROUTING_CONFIG);
+  config.defaults.routes[local] = target;
+  return config;
+}
+
+describe("routing config versions", () => {
+  it("saves, diffs and rolls back configurations", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+
+    const first = await publish(env, withRoute("sales", "mgmt"), "Add sales");
+    assert.equal(first.status, 201);
+    assert.deepEqual(
+      [(await first.json()).version, (await loadRoutingConfig(env)).version],
+      [1, 1],
+    );
+    const second = await publish(env, withRoute("sales", "nick"), "To Nick");
+    assert.equal(second.status, 201);
+    assert.equal((await second.json()).parent, 1);
+
+    const { active, versions } = await (
+      await api(env, "/admin/versions")
+    ).json();
+    assert.equal(active.version, 2);
+    assert.equal(active.previous, 1);
+    assert.deepEqual(
+      versions.map((version) => [version.version, version.message]),
+      [
+        [2, "To Nick"],
+        [1, "Add sales"],
+      ],
+    );
+
+    const diff = await (await api(env, "/admin/versions/2/diff")).json();
+    assert.deepEqual(diff, {
+      from: 1,
+      to: 2,
+      changes: [
+        {
+          path: "/defaults/routes/sales",
+          op: "changed",
+          before: "mgmt",
+          after: "nick",
+        },
+      ],
+    });
+    const fromBuiltin = await (await api(env, "/admin/versions/1/diff")).json();
+    assert.equal(fromBuiltin.from, "builtin");
+    assert.deepEqual(fromBuiltin.changes, [
+      { path: "/defaults/routes/sales", op: "added", after: "mgmt" },
+    ]);
+
+    const rollback = await api(env, "/admin/rollback", { method: "POST" });
+    assert.equal(rollback.status, 200);
+    assert.deepEqual(
+      [
+        (await rollback.json()).previous,
+        (await loadRoutingConfig(env)).version,
+      ],
+      [2, 1],
+    );
+    assert.equal((await loadRoutingConfig(env)).defaults.routes.sales, "mgmt");
+
+    // Rolling back only moves the pointer; version 2 is kept
+    const kept = await (await api(env, "/admin/versions/2")).json();
+    assert.equal(kept.config.defaults.routes.sales, "nick");
+    assert.equal((await api(env, "/admin/versions/3")).status, 404);
+  });
+
+  it("refuses a rollback without a previous version", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const response = await api(env, "/admin/rollback", { method: "POST" });
+    assert.equal(response.status, 409);
+
+    await publish(env, withRoute("sales", "mgmt"));
+    assert.equal(
+      (await api(env, "/admin/rollback", { method: "POST" })).status,
+      409,
+    );
+  });
+
+  it("rolls back through each version's parent", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    await publish(env, withRoute("sales", "mgmt"));
+    await publish(env, withRoute("sales", "nick"));
+    await publish(env, withRoute("sales", "sharon"));
+
+    const rollback = () => api(env, "/admin/rollback", { method: "POST" });
+    assert.equal((await (await rollback()).json()).version, 2);
+    assert.equal((await (await rollback()).json()).version, 1);
+    assert.equal((await rollback()).status, 409);
+    assert.equal((await loadRoutingConfig(env)).version, 1);
+  });
+
+  it("shortens long messages in the version listing", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const message = "Reroute sales ✉ ".repeat(200);
+    assert.equal(
+      (await publish(env, withRoute("sales", "mgmt"), message)).status,
+      201,
+    );
+
+    const [listed] = (await (await api(env, "/admin/versions")).json())
+      .versions;
+    assert.ok(new TextEncoder().encode(listed.message).length <= 512);
+    assert.ok(listed.message.endsWith("…"));
+    assert.ok(message.startsWith(listed.message.slice(0, -1)));
+    const stored = await (await api(env, "/admin/versions/1")).json();
+    assert.equal(stored.message, message);
+  });
+
+  it("activates any stored version", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    await publish(env, withRoute("sales", "mgmt"));
+    await publish(env, withRoute("sales", "nick"));
+
+    const response = await api(env, "/admin/versions/1/activate", {
+      method: "POST",
+    });
+    assert.deepEqual(
+      [
+        (await response.json()).previous,
+        (await loadRoutingConfig(env)).version,
+      ],
+      [2, 1],
+    );
+    assert.equal(
+      (await api(env, "/admin/versions/9/activate", { method: "POST" })).status,
+      404,
+    );
+  });
+});
+
+describe("diffConfigs", () => {
+  it("compares rules by id", () => {
+    const rule = (id, priority) => ({ id, priority, action: { type: "drop" } });
+    assert.deepEqual(
+      diffConfigs(
+        { rules: [rule("a", 10), rule("b", 20)] },
+        { rules: [rule("b", 30), rule("c", 40)] },
+      ),
+      [
+        { path: "/rules/a", op: "removed", before: rule("a", 10) },
+        { path: "/rules/b/priority", op: "changed", before: 20, after: 30 },
+        { path: "/rules/c", op: "added", after: rule("c", 40) },
+      ],
+    );
+  });
+});
@@ -0,0 +1,338 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import { storeDeadLetter } from "../src/dead-letters.js";
+import { DEFAULT_ROUTING_CONFIG } from "../src/routing/default-config.js";
+import {
+  api,
+  createEnv,
+  createMessage,
+  forwardedTo,
+  publishConfig,
+  quietConsole,
+  stubFetch,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+const API_KEY = "test-key";
+
+// POST to the dead-letter API as the "ops" actor
+const post = (env, path, body) =>
+  api(env, path, {
+    method: "POST",
+    body,
+    headers: { "X-ChittyOS-Actor": "ops" },
+  });
+
+// Run a message whose first forward fails, leaving a dead letter
+async function failMessage(env, options) {
+  const message = createMessage(options);
+  message.forward.mock.mockImplementationOnce(async () => {
+    throw new Error("Destination not verified");
+  });
+  await worker.email(message, env, {});
+  const [key] = env.DEAD_LETTERS.keys("dead:");
+  return { message, record: env.DEAD_LETTERS.json(key) };
+}
+
+describe("dead letters from email()", () => {
+  it("keeps the raw message, failure and intended route", async (t) => {
+    stubFetch(t);
+    const env = createEnv({ CHITTY_API_KEY: API_KEY });
+    const { message, record } = await failMessage(env, {
+      to: "support@chitty.cc",
+    });
+
+    assert.equal(record.kind, "message");
+    assert.equal(record.status, "open");
+    assert.equal(record.stage, "forward");
+    assert.equal(record.error, "All deliveries failed");
+    assert.equal(record.target, "mgmt@aribia.llc");
+    assert.equal(record.route.rule, "defaults:route:support");
+    assert.deepEqual(
+      record.route.targets.map((t) => t.address),
+      ["mgmt@aribia.llc"],
+    );
+    assert.match(record.rawEmail, /Just saying hello/);
+
+    // The error fallback still runs and points at the dead letter
+    assert.deepEqual(forwardedTo(message), [
+      "mgmt@aribia.llc",
+      "no-reply@itcan.llc",
+    ]);
+    assert.match(
+      message.headers.get("X-ChittyOS-Route-Reason"),
+      new RegExp(`dead-letter=${record.id}; fallback=error`),
+    );
+  });
+
+  it("records messages that failed before routing without a route", async (t) => {
+    stubFetch(t);
+    const env = createEnv({ CHITTY_API_KEY: API_KEY });
+    const config = structuredClone(DEFAULT_ROUTING_CONFIG);
+    config.defaults.routes.support = "nobody";
+    await publishConfig(env, config);
+    await worker.email(createMessage({ to: "support@chitty.cc" }), env, {});
+
+    const [key] = env.DEAD_LETTERS.keys("dead:");
+    const record = env.DEAD_LETTERS.json(key);
+    assert.equal(record.stage, "decide");
+    assert.equal(record.route, null);
+    assert.equal(record.target, "unrouted");
+
+    const response = await post(env, `/dead-letters/${record.id}/replay`);
+    assert.equal(response.status, 409);
+  });
+});
+
+describe("dead-letter API", () => {
+  it("lists dead letters newest first with filters", async (t) => {
+    stubFetch(t);
+    const env = createEnv({ CHITTY_API_KEY: API_KEY });
+    await failMessage(env, { to: "support@chitty.cc" });
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    await storeDeadLetter(env, {
+      kind: "router-post",
+      target: "finance",
+      transactionId: "tx-2",
+      error: "finance router returned 503: down",
+      post: { router: "finance", url: env.FINANCE_ROUTER_URL, body: "{}" },
+    });
+
+    const all = await (await api(env, "/dead-letters")).json();
+    assert.deepEqual(
+      all.deadLetters.map((entry) => [entry.kind, entry.status]),
+      [
+        ["router-post", "open"],
+        ["message", "open"],
+      ],
+    );
+
+    const posts = await (
+      await api(env, "/dead-letters?kind=router-post")
+    ).json();
+    assert.deepEqual(
+      posts.deadLetters.map((entry) => entry.transactionId),
+      ["tx-2"],
+    );
+    assert.equal((await api(env, "/dead-letters?status=lost")).status, 400);
+  });
+
+  it("fills filtered pages before the limit and returns the cursor", async () => {
+    const env = createEnv({ CHITTY_API_KEY: API_KEY });
+    for (let i = 0; i < 6; i++) {
+      await storeDeadLetter(env, {
+        kind: i % 3 === 0 ? "message" : "router-post",
+        target: "finance",
+        transactionId: `tx-${i}`,
+        error: "down",
+      });
+    }
+
+    const first = await (
+      await api(env, "/dead-letters?kind=router-post&limit=3")
+    ).json();
+    assert.equal(first.deadLetters.length, 3);
+    assert.ok(first.cursor);
+
+    const second = await (
+      await api(
+        env,
+        `/dead-letters?kind=router-post&limit=3&cursor=${first.cursor}`,
+      )
+    ).json();
+    assert.equal(second.deadLetters.length, 1);
+    assert.equal(second.cursor, null);
+    const ids = [...first.deadLetters, ...second.deadLetters].map((e) => e.id);
+    assert.equal(new Set(ids).size, 4);
+  });
+
+  it("explains a tracking router without /redeliver", async (t) => {
+    stubFetch(t, (request) =>
+      request.url.endsWith("/redeliver")
+        ? new Response("Not Found", { status: 404 })
+        : new Response("ok"),
+    );
+    const env = createEnv({ CHITTY_API_KEY: API_KEY });
+    const { record } = await failMessage(env, { to: "support@chitty.cc" });
+
+    const response = await post(env, `/dead-letters/${record.id}/replay`);
+    assert.equal(response.status, 502);
+    const { results } = await response.json();
+    assert.match(results[0].error, /does not support \/redeliver \(404\)/);
+  });
+
+  it("shows one dead letter with its raw message", async (t) => {
+    stubFetch(t);
+    const env = createEnv({ CHITTY_API_KEY: API_KEY });
+    const { record } = await failMessage(env, { to: "support@chitty.cc" });
+
+    const response = await api(env, `/dead-letters/${record.id}`);
+    assert.equal(response.status, 200);
+    assert.match((await response.json()).rawEmail, /^From: alice@example.com/);
+    assert.equal((await api(env, "/dead-letters/nope")).status, 404);
+  });
+
+  it("replays to the original route through the tracking router", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv({ CHITTY_API_KEY: API_KEY });
+    const { record } = await failMessage(env, { to: "support@chitty.cc" });
+
+    const response = await post(env, `/dead-letters/${record.id}/replay`);
+    const result = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(result.status, "resolved");
+    const redelivery = requests.find((r) => r.url.endsWith("/redeliver"));
+    assert.equal(redelivery.url, `${env.TRACKING_ROUTER_URL}/redeliver`);
+    assert.deepEqual(redelivery.body.recipients, ["mgmt@aribia.llc"]);
+    assert.equal(redelivery.body.deadLetterId, record.id);
+    assert.match(redelivery.body.rawEmail, /Just saying hello/);
+
+    const stored = env.DEAD_LETTERS.json(`dead:${record.id}`);
+    assert.equal(stored.redeliveries[0].action, "replay");
+    assert.equal(stored.redeliveries[0].actor, "ops");
+    assert.equal(
+      (await post(env, `/dead-letters/${record.id}/replay`)).status,
+      409,
+    );
+  });
+
+  it("replays workstream routes with their details", async (t) => {
+    const requests = stubFetch(t, () => new Response("down", { status: 503 }));
+    const env = createEnv({
+      CHITTY_API_KEY: API_KEY,
+      ROUTER_RETRY_QUEUE: undefined,
+    });
+    const { record } = await failMessage(env, {
+      to: "evidence+case-9@chitty.cc",
+    });
+    assert.equal(record.target, "workstream:litigation");
+
+    fetch.mock.mockImplementation(async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) });
+      return new Response("ok");
+    });
+    const response = await post(env, `/dead-letters/${record.id}/replay`);
+
+    assert.equal(response.status, 200);
+    const intake = requests.at(-1);
+    assert.equal(intake.url, env.EVIDENCE_ROUTER_URL);
+    assert.equal(intake.body.matterId, "case-9");
+    assert.equal(intake.body.transactionId, record.transactionId);
+  });
+
+  it("replays only to targets that did not receive the message", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv({ CHITTY_API_KEY: API_KEY });
+    const id = await storeDeadLetter(env, {
+      kind: "message",
+      target: "mgmt@aribia.llc, nick@jeanarlene.com, sharon@jeanarlene.com",
+      transactionId: "tx-1",
+      error: "Analytics write failed",
+      from: "alice@example.com",
+      to: "team@chitty.cc",
+      route: {
+        rule: "group:team",
+        targets: [
+          { type: "forward", address: "mgmt@aribia.llc" },
+          { type: "forward", address: "nick@jeanarlene.com" },
+          { type: "forward", address: "sharon@jeanarlene.com" },
+        ],
+      },
+      deliveries: [
+        { target: "mgmt@aribia.llc", ok: true },
+        { target: "nick@jeanarlene.com", ok: false, error: "Not verified" },
+      ],
+      ai: null,
+      details: {},
+      rawEmail: "From: alice@example.com\r\n\r\nHello team",
+    });
+
+    const response = await post(env, `/dead-letters/${id}/replay`);
+    const result = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      result.results.map((r) => [r.target, Boolean(r.alreadyDelivered)]),
+      [
+        ["mgmt@aribia.llc", true],
+        ["nick@jeanarlene.com", false],
+        ["sharon@jeanarlene.com", false],
+      ],
+    );
+    const redelivery = requests.find((r) => r.url.endsWith("/redeliver"));
+    assert.deepEqual(redelivery.body.recipients, [
+      "nick@jeanarlene.com",
+      "sharon@jeanarlene.com",
+    ]);
+  });
+
+  it("reroutes to new destinations", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv({ CHITTY_API_KEY: API_KEY });
+    const { record } = await failMessage(env, { to: "support@chitty.cc" });
+
+    assert.equal(
+      (
+        await post(env, `/dead-letters/${record.id}/reroute`, {
+          to: "nobody",
+        })
+      ).status,
+      400,
+    );
+
+    const response = await post(env, `/dead-letters/${record.id}/reroute`, {
+      to: ["nick", "workstream:finance"],
+    });
+    const result = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      result.results.map((r) => r.target),
+      ["workstream:finance", "nick@jeanarlene.com"],
+    );
+    assert.ok(requests.some((r) => r.url === env.FINANCE_ROUTER_URL));
+
+    const [audit] = env.ROUTING_CONFIG.keys("audit:");
+    assert.equal(env.ROUTING_CONFIG.json(audit).operation, "reroute");
+  });
+
+  it("reposts dead router posts and keeps them open on failure", async (t) => {
+    const requests = stubFetch(t, () => new Response("down", { status: 503 }));
+    const env = createEnv({ CHITTY_API_KEY: API_KEY });
+    const id = await storeDeadLetter(env, {
+      kind: "router-post",
+      target: "tracking",
+      transactionId: "tx-1",
+      error: "tracking router returned 503: down",
+      post: {
+        router: "tracking",
+        url: env.TRACKING_ROUTER_URL,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ trackingType: "namespace-copy" }),
+        transactionId: "tx-1",
+      },
+    });
+
+    const failed = await post(env, `/dead-letters/${id}/replay`);
+    assert.equal(failed.status, 502);
+    assert.equal((await failed.json()).status, "open");
+
+    fetch.mock.mockImplementation(async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) });
+      return new Response("ok");
+    });
+    const replayed = await post(env, `/dead-letters/${id}/replay`);
+    assert.equal(replayed.status, 200);
+    assert.equal(requests.at(-1).url, env.TRACKING_ROUTER_URL);
+
+    // Namespace copies carry no message, so there is nothing to reroute
+    const reroute = await post(env, `/dead-letters/${id}/reroute`, {
+      to: "nick",
+    });
+    assert.equal(reroute.status, 409);
+  });
+});
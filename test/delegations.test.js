@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { api, createEnv, quietConsole } from "./helpers/mocks.js";
+
+quietConsole();
+
+const DAY = 86400000;
+
+function put(env, person, delegate, { from = 0, until = 7 } = {}) {
+  return api(env, `/delegations/${person}`, {
+    method: "PUT",
+    body: {
+      from: new Date(Date.now() + from * DAY).toISOString(),
+      until: new Date(Date.now() + until * DAY).toISOString(),
+      delegate,
+    },
+  });
+}
+
+describe("/delegations", () => {
+  it("accepts delegates that resolve to a destination or address", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    assert.equal((await put(env, "nick", "sharon")).status, 200);
+    assert.equal((await put(env, "mgmt", "cover@example.com")).status, 200);
+    assert.equal(env.DELEGATIONS.json("delegations").nick.delegate, "sharon");
+  });
+
+  it("rejects unknown delegates", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const response = await put(env, "nick", "sharron");
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /Unknown routing destination/);
+    assert.equal(env.DELEGATIONS.json("delegations"), undefined);
+  });
+
+  it("rejects delegations that lead back to the person", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    await put(env, "nick", "sharon");
+
+    const response = await put(env, "sharon", "nick");
+    assert.equal(response.status, 400);
+    assert.match(
+      (await response.json()).error,
+      /cycle: sharon → nick → sharon/,
+    );
+
+    // Back-to-back absences do not overlap, so they are not a cycle
+    const later = await put(env, "sharon", "nick", { from: 7, until: 14 });
+    assert.equal(later.status, 200);
+  });
+});
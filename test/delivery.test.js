@@ -0,0 +1,203 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  deliverToTargets,
+  sendToCertifiedTracking,
+  sendToEvidenceRouter,
+  sendToNamespaceTracking,
+} from "../src/delivery.js";
+import {
+  createEnv,
+  createMessage,
+  forwardedTo,
+  quietConsole,
+  stubFetch,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+describe("sendToEvidenceRouter", () => {
+  it("posts the message and raw email to the workstream's router", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    await sendToEvidenceRouter(
+      env,
+      createMessage({ subject: "Filing" }),
+      { classification: "legal" },
+      "tx-1",
+      "finance",
+      { matterId: "case-7" },
+    );
+
+    const [request] = requests;
+    assert.equal(request.url, env.FINANCE_ROUTER_URL);
+    assert.equal(request.headers.get("X-ChittyOS-Event"), "finance-intake");
+    assert.equal(request.headers.get("X-Transaction-ID"), "tx-1");
+    assert.equal(request.body.subject, "Filing");
+    assert.equal(request.body.matterId, "case-7");
+    assert.deepEqual(request.body.aiInsights, { classification: "legal" });
+    assert.match(request.body.rawEmail, /^From: alice@example.com/);
+  });
+
+  it("defaults to litigation and falls back to the evidence router", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv({
+      FINANCE_ROUTER_URL: undefined,
+      COMPLIANCE_ROUTER_URL: undefined,
+    });
+    await sendToEvidenceRouter(env, createMessage(), null, "tx-1");
+    await sendToEvidenceRouter(env, createMessage(), null, "tx-2", "finance");
+    await sendToEvidenceRouter(
+      env,
+      createMessage(),
+      null,
+      "tx-3",
+      "compliance",
+    );
+
+    assert.deepEqual(
+      requests.map((r) => [r.url, r.body.workstream]),
+      [
+        [env.EVIDENCE_ROUTER_URL, "litigation"],
+        [env.EVIDENCE_ROUTER_URL, "finance"],
+        [env.EVIDENCE_ROUTER_URL, "compliance"],
+      ],
+    );
+    assert.deepEqual(requests[0].body.aiInsights, {});
+  });
+
+  it("throws when no router is configured or the router fails", async (t) => {
+    stubFetch(t, () => new Response("busy", { status: 503 }));
+
+    await assert.rejects(
+      sendToEvidenceRouter({}, createMessage(), null, "tx-1"),
+      /No router URL configured for litigation workstream/,
+    );
+    await assert.rejects(
+      sendToEvidenceRouter(createEnv(), createMessage(), null, "tx-2"),
+      /litigation router returned 503: busy/,
+    );
+  });
+});
+
+describe("tracking", () => {
+  it("creates certified tracking records for BCC copies", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    const message = createMessage({
+      to: "bcc@chitty.cc",
+      headers: { cc: "bob@example.com", "message-id": "<abc@mail>" },
+    });
+    await sendToCertifiedTracking(env, message, null, "tx-1");
+
+    const [request] = requests;
+    assert.equal(request.url, env.TRACKING_ROUTER_URL);
+    assert.equal(request.headers.get("X-Tracking-Type"), "bcc");
+    assert.equal(request.body.certificationLevel, "bcc-tracking");
+    assert.equal(request.body.cc, "bob@example.com");
+    assert.equal(request.body.messageId, "<abc@mail>");
+    assert.match(request.body.rawEmail, /Just saying hello/);
+  });
+
+  it("records namespace copies under the sender's local part", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    await sendToNamespaceTracking(
+      env,
+      createMessage({ from: "nick@chitty.cc" }),
+      { classification: "general" },
+      "tx-1",
+    );
+
+    assert.equal(requests[0].headers.get("X-Tracking-Type"), "namespace-copy");
+    assert.equal(requests[0].body.namespace, "nick");
+    assert.equal(requests[0].body.rawEmail, undefined);
+  });
+
+  it("logs tracking failures instead of throwing", async (t) => {
+    stubFetch(t, () => new Response("nope", { status: 500 }));
+    const env = createEnv();
+
+    await sendToCertifiedTracking(env, createMessage(), null, "tx-1");
+    await sendToNamespaceTracking(env, createMessage(), null, "tx-2");
+  });
+});
+
+describe("deliverToTargets", () => {
+  const trace = () => ({ steps: [] });
+
+  it("forwards each address once and posts to workstream routers", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    const message = createMessage();
+    const deliveries = await deliverToTargets(
+      env,
+      message,
+      [
+        { type: "forward", address: "nick@jeanarlene.com" },
+        { type: "workstream", workstream: "compliance" },
+        { type: "forward", address: "nick@jeanarlene.com" },
+      ],
+      { transactionId: "tx-1", trace: trace(), details: {} },
+    );
+
+    assert.deepEqual(forwardedTo(message), ["nick@jeanarlene.com"]);
+    assert.equal(requests[0].url, env.COMPLIANCE_ROUTER_URL);
+    assert.deepEqual(
+      deliveries.map((d) => [d.target, d.ok]),
+      [
+        ["nick@jeanarlene.com", true],
+        ["workstream:compliance", true],
+      ],
+    );
+  });
+
+  it("forwards to the route's fallback, or management, when a router fails", async (t) => {
+    stubFetch(t, () => new Response("down", { status: 502 }));
+    const env = createEnv();
+    const options = { transactionId: "tx-1", trace: trace(), details: {} };
+
+    const withFallback = createMessage();
+    await deliverToTargets(
+      env,
+      withFallback,
+      [
+        {
+          type: "workstream",
+          workstream: "litigation",
+          fallback: [{ type: "forward", address: "sharon@itcanbellc.com" }],
+        },
+      ],
+      options,
+    );
+    assert.deepEqual(forwardedTo(withFallback), ["sharon@itcanbellc.com"]);
+
+    const withoutFallback = createMessage();
+    const deliveries = await deliverToTargets(
+      env,
+      withoutFallback,
+      [{ type: "workstream", workstream: "finance" }],
+      options,
+    );
+    assert.deepEqual(forwardedTo(withoutFallback), ["mgmt@aribia.llc"]);
+    assert.equal(deliveries[1].fallbackFor, "finance");
+  });
+
+  it("reports failed forwards without throwing", async (t) => {
+    stubFetch(t);
+    const message = createMessage();
+    message.forward.mock.mockImplementation(async () => {
+      throw new Error("Destination not verified");
+    });
+    const deliveries = await deliverToTargets(
+      createEnv(),
+      message,
+      [{ type: "forward", address: "nick@jeanarlene.com" }],
+      { transactionId: "tx-1", trace: trace(), details: {} },
+    );
+
+    assert.equal(deliveries[0].ok, false);
+    assert.equal(deliveries[0].error, "Destination not verified");
+  });
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { deferToDigest, flushDigests } from "../src/digest.js";
+import { isTransactionId } from "../src/transaction-id.js";
+import {
+  createEnv,
+  createMessage,
+  quietConsole,
+  stubFetch,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+const failing = () => new Response("down", { status: 503 });
+
+async function hold(env, transactionId) {
+  await deferToDigest(env, createMessage({ to: "support@chitty.cc" }), {
+    transactionId,
+    digest: "business-hours",
+    recipients: ["mgmt@aribia.llc"],
+    rule: "after-hours",
+  });
+}
+
+describe("digests", () => {
+  it("posts one digest per group as a router post", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    await hold(env, "tx-1");
+    await hold(env, "tx-2");
+    await flushDigests(env, {});
+
+    assert.equal(requests.length, 1);
+    const [request] = requests;
+    assert.equal(request.url, `${env.TRACKING_ROUTER_URL}/digests`);
+    assert.ok(isTransactionId(request.body.transactionId));
+    assert.equal(
+      request.headers.get("Idempotency-Key"),
+      `${request.body.transactionId}:deferred-digest`,
+    );
+    assert.deepEqual(
+      request.body.messages.map((m) => m.transactionId),
+      ["tx-1", "tx-2"],
+    );
+    assert.deepEqual(env.DEFERRED_EMAILS.keys("digest:"), []);
+  });
+
+  it("queues a failed digest post for retry", async (t) => {
+    stubFetch(t, failing);
+    const env = createEnv();
+    await hold(env, "tx-1");
+    await flushDigests(env, {});
+
+    const [queued] = env.ROUTER_RETRY_QUEUE.pending;
+    assert.equal(queued.body.post.router, "tracking");
+    assert.match(queued.body.error, /tracking router returned 503/);
+    assert.deepEqual(env.DEFERRED_EMAILS.keys("digest:"), []);
+  });
+
+  it("holds the messages when the post can be neither sent nor queued", async (t) => {
+    stubFetch(t, failing);
+    const env = createEnv({ ROUTER_RETRY_QUEUE: undefined });
+    await hold(env, "tx-1");
+    await flushDigests(env, {});
+
+    assert.equal(env.DEFERRED_EMAILS.keys("digest:").length, 1);
+  });
+});
@@ -0,0 +1,607 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import { DEFAULT_ROUTING_CONFIG } from "../src/routing/default-config.js";
+import {
+  createAI,
+  createEnv,
+  createMessage,
+  forwardedTo,
+  publishConfig,
+  quietConsole,
+  rejections,
+  stubFetch,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+async function deliver(message, env) {
+  await worker.email(message, env, {});
+  return message;
+}
+
+// The analytics record written for a message (there is one per message)
+function analyticsRecord(env) {
+  const [key] = env.EMAIL_ANALYTICS.keys("email:");
+  return key && env.EMAIL_ANALYTICS.json(key);
+}
+
+function routeReason(env) {
+  const [key] = env.EMAIL_ANALYTICS.keys("trace:");
+  return env.EMAIL_ANALYTICS.json(key).routeReason;
+}
+
+function withConfig(change) {
+  const config = structuredClone(DEFAULT_ROUTING_CONFIG);
+  change(config);
+  return config;
+}
+
+describe("email() forwarding", () => {
+  it("forwards routed addresses with routing headers and records analytics", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    const message = await deliver(
+      createMessage({ to: "support@chitty.cc" }),
+      env,
+    );
+
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+    assert.equal(message.headers.get("X-Routed-Domain"), "chitty.cc");
+    assert.equal(message.headers.get("X-Original-To"), "support@chitty.cc");
+    assert.match(
+      message.headers.get("X-ChittyOS-Route-Reason"),
+      /rule=defaults:route:support/,
+    );
+
+    const record = analyticsRecord(env);
+    assert.equal(record.action, "forwarded");
+    assert.equal(record.rule, "defaults:route:support");
+    assert.equal(record.configVersion, "builtin");
+    assert.equal(record.size, message.rawSize);
+    assert.equal(env.RATE_LIMITS.json("rate:alice@example.com").count, 1);
+  });
+
+  it("sends unknown local parts to the catch-all", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    const message = await deliver(
+      createMessage({ to: "whoever@mrniceweird.com" }),
+      env,
+    );
+
+    assert.deepEqual(forwardedTo(message), ["no-reply@itcan.llc"]);
+    assert.match(
+      message.headers.get("X-ChittyOS-Route-Reason"),
+      /rule=defaults:catch-all/,
+    );
+  });
+
+  it("discards mail to noreply addresses without bouncing it", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    const message = await deliver(
+      createMessage({ to: "noreply@chitty.cc" }),
+      env,
+    );
+
+    assert.deepEqual(forwardedTo(message), []);
+    assert.deepEqual(rejections(message), []);
+    assert.equal(analyticsRecord(env), undefined);
+  });
+
+  it("marks priority senders and sends the priority webhook", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv({ WEBHOOK_URL: "https://hooks.test/priority" });
+    await deliver(
+      createMessage({ from: "noreply-ci@github.com", to: "dev@chitty.cc" }),
+      env,
+    );
+
+    const webhook = requests.find((r) => r.url === env.WEBHOOK_URL);
+    assert.equal(webhook.body.event, "priority_email");
+    assert.equal(analyticsRecord(env).priority, true);
+  });
+
+  it("falls back to the error address when forwarding fails", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    const message = createMessage({ to: "support@chitty.cc" });
+    message.forward.mock.mockImplementationOnce(async () => {
+      throw new Error("Destination not verified");
+    });
+    await deliver(message, env);
+
+    assert.deepEqual(forwardedTo(message), [
+      "mgmt@aribia.llc",
+      "no-reply@itcan.llc",
+    ]);
+    assert.match(routeReason(env), /fallback=error/);
+    assert.equal(analyticsRecord(env), undefined);
+  });
+});
+
+describe("email() security checks", () => {
+  it("rejects deny-listed senders", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    await publishConfig(
+      env,
+      withConfig((config) => {
+        config.senders.deny = ["*@spammy.test"];
+      }),
+    );
+    const message = await deliver(
+      createMessage({ from: "bulk@spammy.test" }),
+      env,
+    );
+
+    assert.deepEqual(rejections(message), ["Sender is blocked"]);
+    assert.deepEqual(forwardedTo(message), []);
+    assert.equal(routeReason(env), "rejected=deny-list");
+  });
+
+  it("rejects senders over the hourly rate limit", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    await env.RATE_LIMITS.put(
+      "rate:alice@example.com",
+      JSON.stringify({ count: 51, window: Date.now() }),
+    );
+    const message = await deliver(createMessage(), env);
+
+    assert.deepEqual(rejections(message), [
+      "Rate limit exceeded - please try again later",
+    ]);
+  });
+
+  it("rejects obvious spam before AI analysis", async (t) => {
+    stubFetch(t);
+    const ai = createAI();
+    const env = createEnv({ AI: ai });
+    const message = await deliver(
+      createMessage({ subject: "You have won the lottery" }),
+      env,
+    );
+
+    assert.deepEqual(rejections(message), ["Message classified as spam"]);
+    assert.equal(ai.run.mock.callCount(), 0);
+  });
+
+  it("lets allow-listed senders skip rate limiting and the spam check", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    await publishConfig(
+      env,
+      withConfig((config) => {
+        config.senders.allow = ["promo@partner.test"];
+      }),
+    );
+    await env.RATE_LIMITS.put(
+      "rate:promo@partner.test",
+      JSON.stringify({ count: 99, window: Date.now() }),
+    );
+    const message = await deliver(
+      createMessage({ from: "promo@partner.test", subject: "Act now" }),
+      env,
+    );
+
+    assert.deepEqual(rejections(message), []);
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+  });
+
+  it("bounces mail to revoked aliases and forwards active ones", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    const alias = {
+      address: "shop-1@chitty.cc",
+      local: "shop-1",
+      domain: "chitty.cc",
+      target: "nick",
+      stats: { received: 0, rejected: 0 },
+    };
+    await env.ALIASES.put("alias:chitty.cc:shop-1", JSON.stringify(alias));
+
+    const accepted = await deliver(createMessage({ to: alias.address }), env);
+    assert.deepEqual(forwardedTo(accepted), ["nick@jeanarlene.com"]);
+
+    await env.ALIASES.put(
+      "alias:chitty.cc:shop-1",
+      JSON.stringify({ ...alias, revokedAt: new Date().toISOString() }),
+    );
+    const refused = await deliver(createMessage({ to: alias.address }), env);
+    assert.deepEqual(rejections(refused), [
+      "Address shop-1@chitty.cc has been revoked",
+    ]);
+    assert.equal(env.ALIASES.json("alias:chitty.cc:shop-1").stats.rejected, 1);
+  });
+
+  it("switches optional stages off per domain", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    await publishConfig(
+      env,
+      withConfig((config) => {
+        config.domains["chitty.cc"].stages = { "spam-check": false };
+      }),
+    );
+
+    const relaxed = await deliver(
+      createMessage({ to: "support@chitty.cc", subject: "Act now" }),
+      env,
+    );
+    const checked = await deliver(
+      createMessage({ to: "support@aribia.llc", subject: "Act now" }),
+      env,
+    );
+
+    assert.deepEqual(rejections(relaxed), []);
+    assert.deepEqual(rejections(checked), ["Message classified as spam"]);
+  });
+});
+
+describe("email() AI classification", () => {
+  it("rejects mail the AI classifies as spam", async (t) => {
+    stubFetch(t);
+    const env = createEnv({ AI: createAI({ classification: "spam" }) });
+    const message = await deliver(createMessage(), env);
+
+    assert.deepEqual(rejections(message), ["Message classified as spam by AI"]);
+  });
+
+  it("routes legal mail to litigation and records the AI override", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv({ AI: createAI({ classification: "legal" }) });
+    const message = await deliver(
+      createMessage({ to: "support@chitty.cc" }),
+      env,
+    );
+
+    assert.deepEqual(forwardedTo(message), []);
+    assert.deepEqual(
+      requests.map((r) => r.url),
+      [env.EVIDENCE_ROUTER_URL],
+    );
+    assert.equal(requests[0].body.aiInsights.classification, "legal");
+    assert.match(requests[0].body.rawEmail, /Just saying hello/);
+    assert.equal(analyticsRecord(env).action, "routed");
+    assert.match(routeReason(env), /ai-override=defaults:route:support/);
+
+    const [insightsKey] = env.EMAIL_ANALYTICS.keys("ai:");
+    assert.equal(
+      env.EMAIL_ANALYTICS.json(insightsKey).workstream,
+      "litigation",
+    );
+  });
+
+  it("keeps the AI route when the route without AI cannot be decided", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv({ AI: createAI({ classification: "legal" }) });
+    await publishConfig(
+      env,
+      withConfig((config) => {
+        config.defaults.routes.support = "nobody";
+      }),
+    );
+    const message = await deliver(
+      createMessage({ to: "support@chitty.cc" }),
+      env,
+    );
+
+    assert.deepEqual(
+      requests.map((r) => r.url),
+      [env.EVIDENCE_ROUTER_URL],
+    );
+    assert.equal(analyticsRecord(env).action, "routed");
+    const [key] = env.EMAIL_ANALYTICS.keys("trace:");
+    const steps = env.EMAIL_ANALYTICS.json(key).steps;
+    assert.ok(steps.some((step) => step.event === "baseline-failed"));
+    assert.ok(!steps.some((step) => step.stage === "error"));
+  });
+
+  it("keeps going without AI when the message cannot be read", async (t) => {
+    stubFetch(t);
+    const env = createEnv({ AI: createAI({ classification: "legal" }) });
+    const message = createMessage({ to: "support@chitty.cc" });
+    message.raw = new ReadableStream({
+      pull(controller) {
+        controller.error(new Error("stream reset"));
+      },
+    });
+    await deliver(message, env);
+
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+  });
+
+  it("stores financial records when there is no finance router", async (t) => {
+    stubFetch(t);
+    const env = createEnv({
+      AI: createAI({ classification: "invoice", entities: ["amount:$120"] }),
+      FINANCE_ROUTER_URL: undefined,
+    });
+    await deliver(createMessage({ to: "hello@chitty.cc" }), env);
+
+    const [key] = env.FINANCIAL_EMAILS.keys("financial:");
+    assert.deepEqual(env.FINANCIAL_EMAILS.json(key).amounts, [
+      { type: "amount", value: "$120" },
+    ]);
+  });
+});
+
+describe("email() workstreams and tracking", () => {
+  it("posts intake mail to its router with the subaddress as matter ID", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    const message = await deliver(
+      createMessage({ to: "evidence+case-118@chitty.cc" }),
+      env,
+    );
+
+    assert.deepEqual(forwardedTo(message), []);
+    assert.equal(requests[0].url, env.EVIDENCE_ROUTER_URL);
+    assert.equal(requests[0].body.matterId, "case-118");
+    assert.equal(requests[0].headers.get("X-Workstream"), "litigation");
+  });
+
+  it("passes the tag under the action's tagAs field", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    await publishConfig(
+      env,
+      withConfig((config) => {
+        config.rules.push({
+          id: "vendor-invoices",
+          priority: 150,
+          match: { local: "invoices" },
+          action: {
+            type: "workstream",
+            workstream: "finance",
+            tagAs: "vendorId",
+          },
+        });
+      }),
+    );
+
+    await deliver(createMessage({ to: "invoices+Acme+EU@chitty.cc" }), env);
+    await deliver(createMessage({ to: "invoices@chitty.cc" }), env);
+
+    assert.equal(requests[0].url, env.FINANCE_ROUTER_URL);
+    assert.equal(requests[0].body.vendorId, "acme+eu");
+    assert.equal(requests[0].body.matterId, undefined);
+    assert.equal("vendorId" in requests[1].body, false);
+  });
+
+  it("routes tagged mail by the base local part, whatever its case", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    const message = await deliver(
+      createMessage({ to: "Nick+Receipts@Chitty.cc" }),
+      env,
+    );
+
+    assert.deepEqual(forwardedTo(message), ["nick@jeanarlene.com"]);
+    assert.equal(message.headers.get("X-ChittyOS-Subaddress"), "receipts");
+    assert.equal(analyticsRecord(env).tag, "receipts");
+  });
+
+  it("forwards to the fallback when a router fails", async (t) => {
+    stubFetch(t, () => new Response("down", { status: 503 }));
+    const env = createEnv();
+    const message = await deliver(
+      createMessage({ to: "billing@chitty.cc" }),
+      env,
+    );
+
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+    assert.match(routeReason(env), /fallback=finance-router-failed/);
+    assert.deepEqual(
+      analyticsRecord(env).deliveries.map((d) => [d.target, d.ok]),
+      [
+        ["workstream:finance", false],
+        ["mgmt@aribia.llc", true],
+      ],
+    );
+  });
+
+  it("turns bcc@chitty.cc into a certified tracking record", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    const message = await deliver(
+      createMessage({
+        to: "bcc@chitty.cc",
+        headers: { "message-id": "<m1@x>" },
+      }),
+      env,
+    );
+
+    assert.deepEqual(forwardedTo(message), []);
+    assert.equal(requests[0].url, env.TRACKING_ROUTER_URL);
+    assert.equal(requests[0].body.trackingType, "certified-bcc");
+    assert.equal(requests[0].body.messageId, "<m1@x>");
+  });
+
+  it("records namespace copies and still forwards them", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    const message = await deliver(
+      createMessage({
+        from: "nick@chitty.cc",
+        to: "support@chitty.cc",
+        headers: { cc: "nick@chitty.cc" },
+      }),
+      env,
+    );
+
+    assert.equal(requests[0].body.trackingType, "namespace-copy");
+    assert.equal(requests[0].body.namespace, "nick");
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+  });
+
+  it("sends routing feedback to chitty.cc senders when enabled", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv({ FEEDBACK_ENABLED: "true" });
+    await deliver(
+      createMessage({ from: "sharon@chitty.cc", to: "admin@chitty.cc" }),
+      env,
+    );
+
+    const feedback = requests.find((r) => r.url.endsWith("/feedback"));
+    assert.equal(feedback.body.recipient, "sharon@chitty.cc");
+    assert.match(feedback.body.feedbackText, /Forwarded to: mgmt@aribia.llc/);
+  });
+});
+
+describe("email() rule actions", () => {
+  it("bounces mail matched by a reject rule", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    await publishConfig(
+      env,
+      withConfig((config) => {
+        config.rules.push({
+          id: "closed-mailbox",
+          priority: 150,
+          match: { local: "old-support" },
+          action: { type: "reject", reason: "This mailbox is closed" },
+        });
+      }),
+    );
+    const message = await deliver(
+      createMessage({ to: "old-support@chitty.cc" }),
+      env,
+    );
+
+    assert.deepEqual(rejections(message), ["This mailbox is closed"]);
+  });
+
+  it("holds deferred mail for its digest", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    await publishConfig(
+      env,
+      withConfig((config) => {
+        config.rules.push({
+          id: "newsletters",
+          priority: 150,
+          match: { local: "news" },
+          action: { type: "defer", digest: "business-hours", to: "nick" },
+        });
+      }),
+    );
+    const message = await deliver(createMessage({ to: "news@chitty.cc" }), env);
+
+    assert.deepEqual(forwardedTo(message), []);
+    const [key] = env.DEFERRED_EMAILS.keys("digest:business-hours:");
+    assert.deepEqual(env.DEFERRED_EMAILS.json(key).recipients, [
+      "nick@jeanarlene.com",
+    ]);
+  });
+
+  it("rejects outside posts to closed groups and counts them", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    const message = await deliver(
+      createMessage({ from: "someone@outside.test", to: "board@chitty.cc" }),
+      env,
+    );
+
+    assert.equal(rejections(message).length, 1);
+    assert.equal(analyticsRecord(env).action, "rejected");
+    assert.deepEqual(env.EMAIL_ANALYTICS.json("group:board").counts, {
+      rejected: 1,
+    });
+  });
+
+  it("sends outside posts to moderated groups to the moderators", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    const message = await deliver(
+      createMessage({ from: "someone@outside.test", to: "team@chitty.cc" }),
+      env,
+    );
+
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+    assert.equal(message.headers.get("X-ChittyOS-Moderation"), "pending");
+    assert.equal(message.headers.get("X-ChittyOS-Group"), "team");
+    assert.deepEqual(env.EMAIL_ANALYTICS.json("group:team").counts, {
+      moderated: 1,
+    });
+  });
+
+  it("expands groups nested in other groups", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    await publishConfig(
+      env,
+      withConfig((config) => {
+        config.groups.everyone = {
+          members: ["group:board", "mgmt", "counsel@example.com"],
+        };
+      }),
+    );
+    const message = await deliver(
+      createMessage({ from: "nick@chitty.cc", to: "everyone@chitty.cc" }),
+      env,
+    );
+
+    assert.deepEqual(forwardedTo(message), [
+      "nick@jeanarlene.com",
+      "sharon@itcanbellc.com",
+      "mgmt@aribia.llc",
+      "counsel@example.com",
+    ]);
+  });
+
+  it("delivers to the delegate of an absent person and acknowledges once", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    await env.DELEGATIONS.put(
+      "delegations",
+      JSON.stringify({
+        nick: {
+          person: "nick",
+          from: new Date(Date.now() - 86400000).toISOString(),
+          until: new Date(Date.now() + 86400000).toISOString(),
+          delegate: "sharon",
+          stillReach: [],
+          autoAck: { message: "Nick is away; Sharon is covering." },
+        },
+      }),
+    );
+
+    const first = await deliver(createMessage({ to: "nick@chitty.cc" }), env);
+    await deliver(createMessage({ to: "nick@chitty.cc" }), env);
+
+    assert.deepEqual(forwardedTo(first), ["sharon@itcanbellc.com"]);
+    const acks = requests.filter(
+      (r) => r.headers.get("X-ChittyOS-Event") === "out-of-office-ack",
+    );
+    assert.equal(acks.length, 1);
+  });
+
+  it("keeps mail with the person when the delegate cannot be routed", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    const away = (delegate) => ({
+      from: new Date(Date.now() - 86400000).toISOString(),
+      until: new Date(Date.now() + 86400000).toISOString(),
+      delegate,
+      stillReach: [],
+      autoAck: null,
+    });
+    // A stale typo and a mutual delegation stored before validation
+    await env.DELEGATIONS.put(
+      "delegations",
+      JSON.stringify({
+        nick: { person: "nick", ...away("sharon") },
+        sharon: { person: "sharon", ...away("nick") },
+        mgmt: { person: "mgmt", ...away("sharron") },
+      }),
+    );
+
+    const nick = await deliver(createMessage({ to: "nick@chitty.cc" }), env);
+    assert.deepEqual(forwardedTo(nick), ["sharon@itcanbellc.com"]);
+    assert.equal(analyticsRecord(env).action, "forwarded");
+  });
+});
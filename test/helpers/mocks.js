@@ -0,0 +1,240 @@
+/**
+ * Test doubles for the Workers runtime
+ * A ForwardableEmailMessage with spies, Map-backed KV namespaces, an
+ * in-memory Cloudflare Queue, a Workers AI binding with canned answers, a
+ * fetch stub that records requests, and an env with every binding the
+ * worker uses.
+ */
+
+import { mock } from "node:test";
+import { handleRequest } from "../../src/http/router.js";
+import { ACTIVE_VERSION_KEY, versionKey } from "../../src/routing/versions.js";
+
+// A ForwardableEmailMessage: headers, a one-shot raw stream and rawSize, and
+// forward/setReject/reply spies (`message.forward.mock.calls`)
+export function createMessage({
+  from = "alice@example.com",
+  to = "support@chitty.cc",
+  subject = "Hello",
+  headers = {},
+  body = "Just saying hello.",
+  raw,
+} = {}) {
+  const allHeaders = { subject, ...headers };
+  const source =
+    raw ??
+    [
+      `From: ${from}`,
+      `To: ${to}`,
+      ...Object.entries(allHeaders).map(([name, value]) => `${name}: ${value}`),
+      "",
+      body,
+    ].join("\r\n");
+
+  return {
+    from,
+    to,
+    headers: new Headers(allHeaders),
+    raw: new Response(source).body,
+    rawSize: source.length,
+    forward: mock.fn(async () => {}),
+    setReject: mock.fn(() => {}),
+    reply: mock.fn(async () => {}),
+  };
+}
+
+// Addresses a message was forwarded to, and the reasons it was rejected with
+export const forwardedTo = (message) =>
+  message.forward.mock.calls.map((call) => call.arguments[0]);
+export const rejections = (message) =>
+  message.setReject.mock.calls.map((call) => call.arguments[0]);
+
+// A KV namespace backed by a Map; `entries` exposes values, `metadata`
+// and `options` what put() was given
+export function createKV(initial = {}) {
+  const entries = new Map(Object.entries(initial));
+  const metadata = new Map();
+  const options = new Map();
+
+  return {
+    entries,
+    metadata,
+    options,
+    async get(key, type) {
+      const value = entries.get(key);
+      if (value === undefined) return null;
+      return (type?.type ?? type) === "json" ? JSON.parse(value) : value;
+    },
+    async put(key, value, putOptions = {}) {
+      // Like KV, refuse metadata over 1024 bytes of JSON
+      const serialized = JSON.stringify(putOptions.metadata ?? null);
+      if (new TextEncoder().encode(serialized).length > 1024) {
+        throw new Error("KV metadata exceeds 1024 bytes");
+      }
+      entries.set(key, String(value));
+      options.set(key, putOptions);
+      if (putOptions.metadata) metadata.set(key, putOptions.metadata);
+    },
+    async delete(key) {
+      entries.delete(key);
+      metadata.delete(key);
+    },
+    async list({ prefix = "", limit = 1000, cursor } = {}) {
+      const names = [...entries.keys()]
+        .filter((name) => name.startsWith(prefix))
+        .sort();
+      const start = Number(cursor) || 0;
+      const complete = start + limit >= names.length;
+      return {
+        keys: names
+          .slice(start, start + limit)
+          .map((name) => ({ name, metadata: metadata.get(name) })),
+        list_complete: complete,
+        cursor: complete ? undefined : String(start + limit),
+      };
+    },
+    json(key) {
+      const value = entries.get(key);
+      return value === undefined ? undefined : JSON.parse(value);
+    },
+    keys(prefix = "") {
+      return [...entries.keys()].filter((name) => name.startsWith(prefix));
+    },
+  };
+}
+
+// A Cloudflare Queue kept in memory. send() holds messages (`pending`, with
+// their delaySeconds); dispatch(handler) delivers them as one batch the way
+// the runtime calls queue(), and requeues the ones the handler retries with
+// their attempt count raised. Returns the batch's messages.
+export function createQueue(name = "email-router-retry") {
+  const pending = [];
+  let nextId = 1;
+
+  return {
+    pending,
+    send: mock.fn(async (body, { delaySeconds = 0 } = {}) => {
+      pending.push({
+        id: String(nextId++),
+        body: structuredClone(body),
+        attempts: 1,
+        delaySeconds,
+      });
+    }),
+    async dispatch(handler) {
+      const messages = pending.splice(0).map((entry) => ({
+        id: entry.id,
+        body: entry.body,
+        attempts: entry.attempts,
+        ack: mock.fn(),
+        retry: mock.fn(({ delaySeconds = 0 } = {}) => {
+          pending.push({
+            ...entry,
+            attempts: entry.attempts + 1,
+            delaySeconds,
+          });
+        }),
+      }));
+      await handler({ queue: name, messages });
+      return messages;
+    },
+  };
+}
+
+// A Workers AI binding answering each analysis prompt (see src/ai.js)
+export function createAI({
+  classification = "general",
+  sentiment = "neutral",
+  urgency = "normal",
+  entities = [],
+} = {}) {
+  return {
+    run: mock.fn(async (model, { prompt }) => {
+      if (prompt.startsWith("Classify")) return { response: classification };
+      if (prompt.startsWith("Analyze the sentiment")) {
+        return { response: sentiment };
+      }
+      if (prompt.startsWith("Rate the urgency")) return { response: urgency };
+      return { response: entities.join("\n") };
+    }),
+  };
+}
+
+// Replace fetch for one test; returns the recorded requests
+// ({ url, headers, body }) and answers with `respond(request)` (200 by default)
+export function stubFetch(t, respond = () => new Response("ok")) {
+  const requests = [];
+  t.mock.method(globalThis, "fetch", async (url, init = {}) => {
+    const request = {
+      url: String(url),
+      headers: new Headers(init.headers),
+      body: init.body ? JSON.parse(init.body) : undefined,
+    };
+    requests.push(request);
+    return respond(request);
+  });
+  return requests;
+}
+
+// An env with every KV namespace and queue, the router URLs and optional AI
+export function createEnv(overrides = {}) {
+  return {
+    EMAIL_ANALYTICS: createKV(),
+    RATE_LIMITS: createKV(),
+    FINANCIAL_EMAILS: createKV(),
+    ROUTING_CONFIG: createKV(),
+    DEFERRED_EMAILS: createKV(),
+    DELEGATIONS: createKV(),
+    ALIASES: createKV(),
+    DEAD_LETTERS: createKV(),
+    PROCESSED_MESSAGES: createKV(),
+    ROUTER_HEALTH: createKV(),
+    ROUTER_RETRY_QUEUE: createQueue(),
+    DEFAULT_FORWARD: "no-reply@itcan.llc",
+    EVIDENCE_ROUTER_URL: "https://router.test/litigation",
+    FINANCE_ROUTER_URL: "https://router.test/finance",
+    COMPLIANCE_ROUTER_URL: "https://router.test/compliance",
+    TRACKING_ROUTER_URL: "https://router.test/tracking",
+    ...overrides,
+  };
+}
+
+// Store a routing configuration as the active version
+export async function publishConfig(env, config) {
+  await env.ROUTING_CONFIG.put(
+    versionKey(1),
+    JSON.stringify({ version: 1, config }),
+  );
+  await env.ROUTING_CONFIG.put(
+    ACTIVE_VERSION_KEY,
+    JSON.stringify({ version: 1, previous: null }),
+  );
+}
+
+// A request to the HTTP API with the test API key (`token: null` sends no
+// Authorization header); a `body` is sent as JSON
+export function api(
+  env,
+  path,
+  { method = "GET", body, token = "test-key", headers = {} } = {},
+) {
+  return handleRequest(
+    new Request(`https://worker.test${path}`, {
+      method,
+      headers: {
+        ...(token === null ? {} : { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }),
+    env,
+    {},
+  );
+}
+
+// Keep worker logging out of the test output
+export function quietConsole() {
+  for (const method of ["log", "warn", "error"]) {
+    mock.method(console, method, () => {});
+  }
+}
@@ -0,0 +1,181 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import {
+  dedupeWindow,
+  messageIdentity,
+  recordSighting,
+} from "../src/idempotency.js";
+import { DEFAULT_ROUTING_CONFIG } from "../src/routing/default-config.js";
+import {
+  createEnv,
+  createMessage,
+  publishConfig,
+  quietConsole,
+  stubFetch,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+const withId = (id, options = {}) =>
+  createMessage({ ...options, headers: { "message-id": id } });
+
+describe("message identity", () => {
+  it("uses the Message-ID, or a content hash without one", async () => {
+    const first = await messageIdentity(withId("<a@mail>"));
+    const resent = await messageIdentity(
+      withId("<a@mail>", { body: "Edited" }),
+    );
+    assert.equal(first.source, "message-id");
+    assert.equal(first.key, resent.key);
+    assert.match(first.key, /^seen:[0-9a-f]{64}$/);
+    assert.notEqual(
+      first.key,
+      (await messageIdentity(withId("<a@mail>", { to: "legal@aribia.llc" })))
+        .key,
+    );
+
+    const hashed = await messageIdentity(createMessage());
+    assert.equal(hashed.source, "content");
+    assert.equal(hashed.key, (await messageIdentity(createMessage())).key);
+    assert.notEqual(
+      hashed.key,
+      (await messageIdentity(createMessage({ body: "Other" }))).key,
+    );
+  });
+
+  it("reads the window from DEDUPE_WINDOW_HOURS", () => {
+    assert.equal(dedupeWindow({}), 72 * 3600);
+    assert.equal(dedupeWindow({ DEDUPE_WINDOW_HOURS: "6" }), 6 * 3600);
+    assert.equal(dedupeWindow({ DEDUPE_WINDOW_HOURS: "soon" }), 72 * 3600);
+  });
+
+  it("records sightings for the window and counts repeats", async () => {
+    const env = createEnv({ DEDUPE_WINDOW_HOURS: "1" });
+    assert.equal(await recordSighting(env, withId("<a@mail>"), "tx-1"), null);
+
+    const [key] = env.PROCESSED_MESSAGES.keys("seen:");
+    assert.deepEqual(env.PROCESSED_MESSAGES.options.get(key), {
+      expirationTtl: 3600,
+    });
+
+    const original = await recordSighting(env, withId("<a@mail>"), "tx-2");
+    assert.equal(original.transactionId, "tx-1");
+    assert.equal(env.PROCESSED_MESSAGES.json(key).count, 2);
+  });
+
+  it("treats sightings older than the window as new", async () => {
+    const env = createEnv({ DEDUPE_WINDOW_HOURS: "1" });
+    const { key } = await messageIdentity(withId("<a@mail>"));
+    await env.PROCESSED_MESSAGES.put(
+      key,
+      JSON.stringify({
+        transactionId: "tx-old",
+        source: "message-id",
+        firstSeenAt: new Date(Date.now() - 2 * 3600 * 1000).toISOString(),
+        count: 1,
+      }),
+    );
+
+    assert.equal(await recordSighting(env, withId("<a@mail>"), "tx-2"), null);
+    assert.equal(env.PROCESSED_MESSAGES.json(key).transactionId, "tx-2");
+  });
+});
+
+describe("email() duplicates", () => {
+  it("reuses the original transaction and idempotency key", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    const options = { to: "evidence@chitty.cc" };
+    await worker.email(withId("<case@court>", options), env, {});
+    await worker.email(withId("<case@court>", options), env, {});
+
+    assert.equal(requests.length, 2);
+    const [first, second] = requests;
+    assert.equal(first.body.transactionId, second.body.transactionId);
+    assert.equal(
+      first.headers.get("Idempotency-Key"),
+      `${first.body.transactionId}:litigation-intake`,
+    );
+    assert.equal(
+      second.headers.get("Idempotency-Key"),
+      first.headers.get("Idempotency-Key"),
+    );
+
+    // One analytics record for the transaction, marked as a duplicate
+    const keys = env.EMAIL_ANALYTICS.keys("email:");
+    assert.equal(keys.length, 1);
+    const record = env.EMAIL_ANALYTICS.json(keys[0]);
+    assert.equal(record.duplicate, true);
+    assert.match(
+      record.routeReason,
+      new RegExp(`duplicate-of=${first.body.transactionId}`),
+    );
+  });
+
+  it("gives distinct messages their own transactions", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    await worker.email(withId("<one@mail>", { to: "bcc@chitty.cc" }), env, {});
+    await worker.email(withId("<two@mail>", { to: "bcc@chitty.cc" }), env, {});
+
+    assert.notEqual(
+      requests[0].headers.get("Idempotency-Key"),
+      requests[1].headers.get("Idempotency-Key"),
+    );
+  });
+
+  it("gives each recipient of one message its own transaction", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    for (const to of [
+      "evidence+case-1@chitty.cc",
+      "evidence+case-2@chitty.cc",
+    ]) {
+      await worker.email(withId("<case@court>", { to }), env, {});
+    }
+
+    assert.equal(requests.length, 2);
+    const [first, second] = requests.map((r) =>
+      r.headers.get("Idempotency-Key"),
+    );
+    assert.match(first, /:litigation-intake$/);
+    assert.notEqual(first, second);
+    assert.deepEqual(
+      requests.map((r) => r.body.matterId),
+      ["case-1", "case-2"],
+    );
+    assert.equal(env.EMAIL_ANALYTICS.keys("email:").length, 2);
+  });
+
+  it("can be switched off per domain", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    const config = structuredClone(DEFAULT_ROUTING_CONFIG);
+    config.domains["chitty.cc"].stages = { dedupe: false };
+    await publishConfig(env, config);
+
+    const options = { to: "evidence@chitty.cc" };
+    await worker.email(withId("<case@court>", options), env, {});
+    await worker.email(withId("<case@court>", options), env, {});
+
+    assert.notEqual(
+      requests[0].body.transactionId,
+      requests[1].body.transactionId,
+    );
+  });
+
+  it("processes the message when the duplicate check fails", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    env.PROCESSED_MESSAGES.get = async () => {
+      throw new Error("KV unavailable");
+    };
+    const message = withId("<a@mail>");
+    await worker.email(message, env, {});
+
+    assert.equal(message.forward.mock.callCount(), 1);
+    assert.deepEqual(env.DEAD_LETTERS.keys(), []);
+  });
+});
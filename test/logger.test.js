@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import { configureLogging, createLogger, logHash } from "../src/logger.js";
+import { createEnv, createMessage, quietConsole } from "./helpers/mocks.js";
+
+quietConsole();
+
+// Parsed lines written since the last reset, from every console method
+function lines() {
+  return ["log", "warn", "error"].flatMap((method) =>
+    console[method].mock.calls.map((call) => ({
+      method,
+      ...JSON.parse(call.arguments[0]),
+    })),
+  );
+}
+
+beforeEach(() => {
+  for (const method of ["log", "warn", "error"]) {
+    console[method].mock.resetCalls();
+  }
+});
+afterEach(() => configureLogging({}));
+
+describe("logger", () => {
+  it("writes one JSON line per event with the logger's fields", () => {
+    configureLogging({ ENVIRONMENT: "development" });
+    const log = createLogger({ transactionId: "EMAIL-1" }).child({
+      stage: "deliver",
+    });
+    log.info("Forwarding", { durationMs: 12 });
+    log.error("Forward failed", { error: new TypeError("boom") });
+
+    const [info, error] = lines().sort((a, b) => (a.time < b.time ? -1 : 1));
+    assert.equal(info.method, "log");
+    assert.equal(info.level, "info");
+    assert.equal(info.event, "Forwarding");
+    assert.equal(info.transactionId, "EMAIL-1");
+    assert.equal(info.stage, "deliver");
+    assert.equal(info.durationMs, 12);
+    assert.ok(!Number.isNaN(Date.parse(info.time)));
+
+    assert.equal(error.method, "error");
+    assert.equal(error.error.name, "TypeError");
+    assert.equal(error.error.message, "boom");
+  });
+
+  it("drops lines below LOG_LEVEL", () => {
+    const log = createLogger();
+    configureLogging({});
+    log.debug("hidden");
+    log.info("shown");
+    assert.deepEqual(
+      lines().map((line) => line.event),
+      ["shown"],
+    );
+
+    configureLogging({ LOG_LEVEL: "warn" });
+    log.info("hidden");
+    log.warn("shown too");
+    configureLogging({ LOG_LEVEL: "DEBUG" });
+    log.debug("shown last");
+    assert.deepEqual(
+      lines().map((line) => line.event),
+      ["shown", "shown last", "shown too"],
+    );
+  });
+
+  it("hashes addresses and subjects in production", () => {
+    configureLogging({ ENVIRONMENT: "production" });
+    const log = createLogger();
+    log.info("Email received", {
+      from: "Alice@Example.com",
+      note: "sent by alice@example.com to bob@chitty.cc",
+      subject: "Settlement offer",
+      recipients: ["bob@chitty.cc"],
+    });
+
+    const [line] = lines();
+    const alice = `${logHash("alice")}@example.com`;
+    assert.equal(line.from, alice);
+    assert.equal(line.note, `sent by ${alice} to ${logHash("bob")}@chitty.cc`);
+    assert.equal(line.subject, `hash:${logHash("Settlement offer")}`);
+    assert.deepEqual(line.recipients, [`${logHash("bob")}@chitty.cc`]);
+    assert.doesNotMatch(JSON.stringify(line), /alice|bob|Settlement/i);
+  });
+
+  it("keys the hashes with LOG_HASH_KEY", () => {
+    configureLogging({});
+    const unkeyed = logHash("alice");
+    configureLogging({ LOG_HASH_KEY: "secret" });
+    assert.notEqual(logHash("alice"), unkeyed);
+    assert.match(logHash("alice"), /^[0-9a-f]{16}$/);
+  });
+
+  it("leaves lines alone outside production", () => {
+    configureLogging({ ENVIRONMENT: "development" });
+    createLogger().info("Email received", {
+      from: "alice@example.com",
+      subject: "Settlement offer",
+    });
+
+    const [line] = lines();
+    assert.equal(line.from, "alice@example.com");
+    assert.equal(line.subject, "Settlement offer");
+  });
+});
+
+describe("pipeline logging", () => {
+  it("tags lines with the transaction ID and stage", async () => {
+    const env = createEnv({ LOG_LEVEL: "debug" });
+    const message = createMessage({
+      from: "alice@example.com",
+      to: "nick@chitty.cc",
+    });
+    await worker.email(message, env, {});
+
+    const logged = lines();
+    const received = logged.find((line) => line.event === "Email received");
+    assert.equal(received.stage, "envelope");
+    assert.match(received.transactionId, /^EMAIL-/);
+
+    const stages = logged.filter((line) => line.event === "Stage completed");
+    assert.ok(stages.length > 0);
+    assert.ok(stages.every((line) => typeof line.durationMs === "number"));
+
+    const done = logged.find((line) => line.event === "Message processed");
+    assert.equal(done.transactionId, received.transactionId);
+    assert.equal(done.outcome, "forwarded");
+    assert.equal(typeof done.durationMs, "number");
+
+    // Production by default: the sender never appears in the output
+    assert.doesNotMatch(JSON.stringify(logged), /alice/);
+  });
+});
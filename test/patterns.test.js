@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { decideRoute } from "../src/routing/decision.js";
+import {
+  compilePattern,
+  isPattern,
+  matchesPattern,
+  matchesSender,
+} from "../src/routing/patterns.js";
+import { api, createEnv, quietConsole } from "./helpers/mocks.js";
+
+quietConsole();
+
+describe("local-part patterns", () => {
+  it("tells patterns from exact values", () => {
+    for (const value of ["invoice-*", "*-alerts", "ap?", "/^ap[0-9]+$/"]) {
+      assert.equal(isPattern(value), true, value);
+    }
+    for (const value of ["support", "/", "//", "a/b", 42]) {
+      assert.equal(isPattern(value), false, String(value));
+    }
+  });
+
+  it("anchors globs to the whole local part", () => {
+    assert.equal(matchesPattern("invoice-*", "invoice-acme"), true);
+    assert.equal(matchesPattern("invoice-*", "my-invoice-acme"), false);
+    assert.equal(matchesPattern("*-alerts", "aws-alerts"), true);
+    assert.equal(matchesPattern("*-alerts", "aws-alerts-old"), false);
+    assert.equal(matchesPattern("ap?", "ap1"), true);
+    assert.equal(matchesPattern("ap?", "ap12"), false);
+    // Glob characters other than * and ? are literal
+    assert.equal(matchesPattern("a.b*", "axb"), false);
+    assert.equal(matchesPattern("a.b*", "a.bc"), true);
+  });
+
+  it("anchors regular expressions only where they say so", () => {
+    assert.equal(matchesPattern("/^ap[0-9]+$/", "ap12"), true);
+    assert.equal(matchesPattern("/^ap[0-9]+$/", "xap12"), false);
+    assert.equal(matchesPattern("/ap[0-9]+/", "xap12"), true);
+  });
+
+  it("matches case-insensitively", () => {
+    assert.equal(matchesPattern("invoice-*", "INVOICE-Acme"), true);
+    assert.equal(matchesPattern("/^AP[0-9]+$/", "ap7"), true);
+    assert.equal(matchesSender(["*@Acme.com"], "Billing@ACME.com"), true);
+  });
+
+  it("never matches invalid regular expressions", () => {
+    assert.throws(() => compilePattern("/[/"), SyntaxError);
+    assert.equal(matchesPattern("/[/", "["), false);
+    assert.equal(matchesPattern("/(a/", "a"), false);
+  });
+});
+
+describe("pattern routing precedence", () => {
+  const config = {
+    rules: [],
+    destinations: {
+      mgmt: "mgmt@example.org",
+      ap: "ap@example.org",
+      billing: "billing@example.org",
+      alerts: "alerts@example.org",
+      ops: "ops@example.org",
+    },
+    defaults: {
+      routes: { "ap-billing": "billing", "ap-*": "ap", "*-alerts": "alerts" },
+      catchAll: "mgmt",
+      discard: ["/^bounce-[0-9]+$/"],
+    },
+    domains: {
+      "example.org": { routes: { "*-alerts": "ops", "/^ap-.*/": "ops" } },
+    },
+  };
+
+  function route(local, change = (c) => c) {
+    const decision = decideRoute(
+      {
+        from: "alice@example.com",
+        to: `${local}@example.org`,
+        headers: new Headers(),
+      },
+      change(structuredClone(config)),
+      createEnv(),
+    );
+    return [decision.ruleId, decision.forwardTo];
+  }
+
+  it("prefers exact routes to patterns", () => {
+    assert.deepEqual(route("ap-billing"), [
+      "defaults:route:ap-billing",
+      "billing@example.org",
+    ]);
+  });
+
+  it("prefers the domain's patterns to inherited ones, in file order", () => {
+    assert.deepEqual(route("aws-alerts"), [
+      "example.org:pattern:*-alerts",
+      "ops@example.org",
+    ]);
+    assert.deepEqual(route("ap-acme"), [
+      "example.org:pattern:/^ap-.*/",
+      "ops@example.org",
+    ]);
+    const reordered = route("ap-acme", (c) => {
+      c.domains["example.org"].routes = { "/^ap-.*/": "ap", "ap-*": "ops" };
+      return c;
+    });
+    assert.deepEqual(reordered, [
+      "example.org:pattern:/^ap-.*/",
+      "ap@example.org",
+    ]);
+  });
+
+  it("falls back to the catch-all and lets discards win", () => {
+    assert.deepEqual(route("hello"), [
+      "defaults:catch-all",
+      "mgmt@example.org",
+    ]);
+    assert.deepEqual(route("bounce-42"), ["defaults:discard:0", ""]);
+  });
+
+  it("lets earlier rules with patterns take routed addresses", () => {
+    const ruled = route("ap-billing", (c) => {
+      c.rules.push({
+        id: "vendors",
+        priority: 150,
+        match: { local: "ap-*" },
+        action: { type: "forward", to: "ops" },
+      });
+      return c;
+    });
+    assert.deepEqual(ruled, ["vendors", "ops@example.org"]);
+  });
+});
+
+describe("admin pattern routes", () => {
+  it("refuses invalid regular expressions", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const response = await api(env, "/admin/routes/defaults/%2F%5B%2F", {
+      method: "PUT",
+      body: { target: "mgmt" },
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(env.ROUTING_CONFIG.keys("routing:"), []);
+  });
+});
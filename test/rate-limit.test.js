@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { checkRateLimit, updateRateLimit } from "../src/rate-limit.js";
+import { createKV, quietConsole } from "./helpers/mocks.js";
+
+quietConsole();
+
+const SENDER = "alice@example.com";
+const HOUR = 3600000;
+
+describe("rate limiter", () => {
+  it("starts a one-hour window on the first message", async () => {
+    const env = { RATE_LIMITS: createKV() };
+    await updateRateLimit(env, SENDER);
+
+    const entry = env.RATE_LIMITS.json(`rate:${SENDER}`);
+    assert.equal(entry.count, 1);
+    assert.deepEqual(env.RATE_LIMITS.options.get(`rate:${SENDER}`), {
+      expirationTtl: 3600,
+    });
+    assert.equal(await checkRateLimit(env, SENDER), false);
+  });
+
+  it("limits senders after 50 messages in the window", async () => {
+    const env = { RATE_LIMITS: createKV() };
+    for (let i = 0; i < 50; i++) await updateRateLimit(env, SENDER);
+    assert.equal(await checkRateLimit(env, SENDER), false);
+
+    await updateRateLimit(env, SENDER);
+    assert.equal(env.RATE_LIMITS.json(`rate:${SENDER}`).count, 51);
+    assert.equal(await checkRateLimit(env, SENDER), true);
+    assert.equal(await checkRateLimit(env, "bob@example.com"), false);
+  });
+
+  it("resets the count once the window has passed", async () => {
+    const env = {
+      RATE_LIMITS: createKV({
+        [`rate:${SENDER}`]: JSON.stringify({
+          count: 80,
+          window: Date.now() - HOUR - 1000,
+        }),
+      }),
+    };
+    await updateRateLimit(env, SENDER);
+
+    assert.equal(env.RATE_LIMITS.json(`rate:${SENDER}`).count, 1);
+    assert.equal(await checkRateLimit(env, SENDER), false);
+  });
+
+  it("never limits without a RATE_LIMITS namespace or with a bad entry", async () => {
+    assert.equal(await checkRateLimit({}, SENDER), false);
+    await updateRateLimit({}, SENDER);
+
+    const env = {
+      RATE_LIMITS: createKV({ [`rate:${SENDER}`]: "not json" }),
+    };
+    assert.equal(await checkRateLimit(env, SENDER), false);
+  });
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { describe, it } from "node:test";
+import { promisify } from "node:util";
+
+const run = promisify(execFile);
+
+// Replay the fixture corpus and return the JSON results by file name
+async function replay(...args) {
+  const { stdout } = await run(process.execPath, [
+    "scripts/replay-eml.js",
+    "test/fixtures/eml",
+    "--json",
+    ...args,
+  ]);
+  const results = JSON.parse(stdout);
+  return Object.fromEntries(
+    results.map((result) => [result.file.split("/").pop(), result]),
+  );
+}
+
+describe("replay-eml", () => {
+  it("reports the outcome, headers and records for each message", async () => {
+    const results = await replay();
+
+    assert.equal(results["support.eml"].outcome, "forwarded: mgmt@aribia.llc");
+    assert.equal(results["support.eml"].from, "alice@example.com");
+    assert.equal(
+      results["support.eml"].headersAdded["x-transaction-id"],
+      "<tx>",
+    );
+    assert.ok(
+      results["support.eml"].stored.includes("EMAIL_ANALYTICS email:<tx>"),
+    );
+
+    assert.equal(results["evidence.eml"].to, "evidence+case-118@chitty.cc");
+    assert.equal(results["evidence.eml"].outcome, "routed: litigation");
+    assert.equal(
+      results["spam.eml"].outcome,
+      "rejected: Message classified as spam",
+    );
+  });
+
+  it("applies AI classifications and router failures", async () => {
+    const results = await replay("--ai", "legal", "--fail", "litigation");
+
+    assert.equal(results["support.eml"].outcome, "forwarded: mgmt@aribia.llc");
+    assert.match(results["support.eml"].routeReason, /ai-override/);
+    assert.match(
+      results["evidence.eml"].routeReason,
+      /fallback=litigation-router-failed/,
+    );
+  });
+});
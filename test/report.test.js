@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import { createTransactionId } from "../src/transaction-id.js";
+import { createEnv, quietConsole, stubFetch } from "./helpers/mocks.js";
+
+quietConsole();
+
+const WEEKLY = { cron: "0 9 * * MON" };
+const DAY = 24 * 60 * 60 * 1000;
+
+// An AI insights record as storeAIInsights writes it
+function insight(env, fields) {
+  const timestamp = fields.timestamp ?? new Date().toISOString();
+  return env.EMAIL_ANALYTICS.put(
+    `ai:${createTransactionId("EMAIL", Date.parse(timestamp))}`,
+    JSON.stringify({ timestamp, domain: "chitty.cc", ...fields }),
+  );
+}
+
+describe("generateWeeklyImpactReport", () => {
+  it("posts the week's statistics and report to the tracking router", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    await insight(env, {
+      from: "alice@example.com",
+      classification: "legal",
+      workstream: "litigation",
+      urgency: "high",
+      sentiment: "negative",
+    });
+    await insight(env, {
+      from: "alice@example.com",
+      classification: "invoice",
+      workstream: "finance",
+      urgency: "normal",
+      sentiment: "neutral",
+      domain: "aribia.llc",
+    });
+    await insight(env, {
+      from: "old@example.com",
+      classification: "spam",
+      timestamp: new Date(Date.now() - 8 * DAY).toISOString(),
+    });
+    await env.EMAIL_ANALYTICS.put(`ai:${createTransactionId()}`, "{");
+
+    await worker.scheduled(WEEKLY, env, {});
+
+    const [request] = requests;
+    assert.equal(request.url, `${env.TRACKING_ROUTER_URL}/reports`);
+    assert.equal(
+      request.headers.get("X-ChittyOS-Event"),
+      "weekly-impact-report",
+    );
+
+    const { stats, report } = request.body;
+    assert.equal(request.body.reportType, "weekly-impact");
+    assert.equal(stats.totalEmails, 2);
+    assert.deepEqual(stats.workstreams, {
+      litigation: 1,
+      finance: 1,
+      compliance: 0,
+    });
+    assert.deepEqual(stats.aiClassifications, { legal: 1, invoice: 1 });
+    assert.equal(stats.urgencyLevels.high, 1);
+    assert.equal(stats.sentiments.negative, 1);
+    assert.deepEqual(stats.domains, { "chitty.cc": 1, "aribia.llc": 1 });
+    assert.deepEqual(stats.topSenders, { "alice@example.com": 2 });
+
+    assert.match(report, /Weekly Impact Report/);
+    assert.match(report, /Total Emails Processed:\s+2/);
+    assert.match(report, /Litigation:\s+1 emails \(50\.0%\)/);
+  });
+
+  it("reports an empty week without dividing by zero", async (t) => {
+    const requests = stubFetch(t);
+    await worker.scheduled(WEEKLY, createEnv(), {});
+
+    const { stats, report } = requests[0].body;
+    assert.equal(stats.totalEmails, 0);
+    assert.match(report, /Litigation:\s+0 emails \(0\.0%\)/);
+  });
+
+  it("does not throw when the tracking router is unreachable", async (t) => {
+    stubFetch(t, () => {
+      throw new TypeError("fetch failed");
+    });
+    await worker.scheduled(WEEKLY, createEnv(), {});
+  });
+});
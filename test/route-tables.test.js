@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  resolveRouteTable,
+  routeTableRules,
+} from "../src/routing/route-tables.js";
+import { validateConfig } from "../src/routing/validate.js";
+import { api, createEnv, quietConsole } from "./helpers/mocks.js";
+
+quietConsole();
+
+const config = () => ({
+  rules: [],
+  destinations: {
+    mgmt: "mgmt@example.org",
+    guests: "guests@example.org",
+    dev: "dev@example.org",
+  },
+  defaults: {
+    routes: { support: "mgmt", billing: "mgmt", "*-alerts": "mgmt" },
+    catchAll: "mgmt",
+    discard: ["noreply"],
+  },
+  domains: {
+    "rentals.example": {
+      routes: { support: "guests" },
+      discard: ["bounce"],
+    },
+    "software.example": { routes: { support: "dev" }, catchAll: null },
+    "api.software.example": {
+      inherit: "software.example",
+      routes: { "*-alerts": "dev" },
+    },
+    "closed.example": { inherit: false, routes: { legal: "mgmt" } },
+  },
+});
+
+// Local part -> target for a domain's effective routes
+function routesOf(domain, table = config()) {
+  return Object.fromEntries(
+    Object.entries(resolveRouteTable(table, domain).routes).map(
+      ([local, { target, scope }]) => [local, `${target} (${scope})`],
+    ),
+  );
+}
+
+describe("resolveRouteTable", () => {
+  it("overrides inherited routes with the domain's own", () => {
+    assert.deepEqual(routesOf("rentals.example"), {
+      support: "guests (rentals.example)",
+      billing: "mgmt (defaults)",
+      "*-alerts": "mgmt (defaults)",
+    });
+    const { discard, catchAll } = resolveRouteTable(
+      config(),
+      "rentals.example",
+    );
+    assert.deepEqual(
+      discard.map(({ local }) => local),
+      ["noreply", "bounce"],
+    );
+    assert.deepEqual(catchAll, { target: "mgmt", scope: "defaults" });
+  });
+
+  it("falls back to the defaults for unlisted domains", () => {
+    assert.deepEqual(routesOf("unlisted.example"), {
+      support: "mgmt (defaults)",
+      billing: "mgmt (defaults)",
+      "*-alerts": "mgmt (defaults)",
+    });
+  });
+
+  it("inherits from another domain", () => {
+    assert.deepEqual(routesOf("api.software.example"), {
+      "*-alerts": "dev (api.software.example)",
+      support: "dev (software.example)",
+      billing: "mgmt (defaults)",
+    });
+    // The parent's catch-all (a discard) is inherited too
+    assert.deepEqual(
+      resolveRouteTable(config(), "api.software.example").catchAll,
+      { target: null, scope: "software.example" },
+    );
+    assert.deepEqual(
+      routeTableRules(config(), "api.software.example").map((r) => r.id),
+      [
+        "defaults:discard:0",
+        "software.example:route:support",
+        "defaults:route:billing",
+        "api.software.example:pattern:*-alerts",
+        "software.example:catch-all",
+      ],
+    );
+  });
+
+  it("inherits nothing with inherit: false", () => {
+    assert.deepEqual(routesOf("closed.example"), {
+      legal: "mgmt (closed.example)",
+    });
+    assert.equal(resolveRouteTable(config(), "closed.example").catchAll, null);
+  });
+
+  it("uses the defaults when inheritance is broken", () => {
+    const broken = config();
+    broken.domains["software.example"].inherit = "api.software.example";
+    assert.equal(
+      routesOf("api.software.example", broken).billing,
+      "mgmt (defaults)",
+    );
+
+    const codes = validateConfig(broken).errors.map((error) => error.code);
+    assert.deepEqual(codes, ["invalid-inherit", "invalid-inherit"]);
+    broken.domains["software.example"].inherit = "nowhere.example";
+    assert.match(
+      validateConfig(broken).errors[0].message,
+      /inherits from "nowhere.example"/,
+    );
+  });
+});
+
+describe("admin domain inheritance", () => {
+  it("accepts configured domains and refuses cycles", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const put = (domain, body) =>
+      api(env, `/admin/domains/${domain}`, { method: "PUT", body });
+
+    assert.equal(
+      (await put("chitty.cc", { inherit: "aribia.llc" })).status,
+      200,
+    );
+    assert.equal(
+      (await put("nowhere.example", { inherit: "atlantis" })).status,
+      400,
+    );
+    assert.equal(
+      (await put("aribia.llc", { inherit: "chitty.cc" })).status,
+      400,
+    );
+  });
+});
@@ -0,0 +1,183 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import { sendToEvidenceRouter } from "../src/delivery.js";
+import { FAILURE_THRESHOLD } from "../src/router-health.js";
+import {
+  api,
+  createEnv,
+  createMessage,
+  forwardedTo,
+  quietConsole,
+  stubFetch,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+const failing = () => new Response("down", { status: 503 });
+const post = (env, workstream = "finance") =>
+  sendToEvidenceRouter(env, createMessage(), null, "tx-1", workstream).catch(
+    (error) => error,
+  );
+
+// Health record of the router at `url`
+const healthOf = (env, url) => env.ROUTER_HEALTH.json(`health:${url}`);
+
+// Pretend the open breaker's wait is over
+function expireBreaker(env, url) {
+  const health = healthOf(env, url);
+  health.retryAt = new Date(Date.now() - 1000).toISOString();
+  return env.ROUTER_HEALTH.put(`health:${url}`, JSON.stringify(health));
+}
+
+describe("router circuit breaker", () => {
+  it("records outcomes and latency per router URL", async (t) => {
+    stubFetch(t);
+    const env = createEnv();
+    await post(env);
+    await post(env, "litigation");
+
+    const health = healthOf(env, env.FINANCE_ROUTER_URL);
+    assert.equal(health.state, "closed");
+    assert.equal(health.successes, 1);
+    assert.equal(health.url, env.FINANCE_ROUTER_URL);
+    assert.equal(typeof health.avgLatencyMs, "number");
+    assert.equal(healthOf(env, env.EVIDENCE_ROUTER_URL).successes, 1);
+  });
+
+  it("shares one breaker between workstreams on the same router", async (t) => {
+    const requests = stubFetch(t, failing);
+    const env = createEnv({
+      FINANCE_ROUTER_URL: undefined,
+      COMPLIANCE_ROUTER_URL: undefined,
+    });
+    for (let i = 0; i < FAILURE_THRESHOLD; i++) await post(env);
+    assert.equal(healthOf(env, env.EVIDENCE_ROUTER_URL).state, "open");
+
+    // Litigation and compliance post to the same, failing, evidence router
+    const error = await post(env, "litigation");
+    assert.ok(error.circuitOpen);
+    assert.ok((await post(env, "compliance")).circuitOpen);
+    assert.equal(requests.length, FAILURE_THRESHOLD);
+    assert.equal(healthOf(env, env.EVIDENCE_ROUTER_URL).skipped, 2);
+    assert.deepEqual(env.ROUTER_HEALTH.keys("health:"), [
+      `health:${env.EVIDENCE_ROUTER_URL}`,
+    ]);
+  });
+
+  it("opens after repeated failures and skips the router", async (t) => {
+    const requests = stubFetch(t, failing);
+    const env = createEnv();
+    for (let i = 0; i < FAILURE_THRESHOLD; i++) await post(env);
+    assert.equal(healthOf(env, env.FINANCE_ROUTER_URL).state, "open");
+
+    const message = createMessage({ to: "billing@chitty.cc" });
+    await worker.email(message, env, {});
+
+    // No call to the router, but the post is queued and the fallback used
+    assert.equal(requests.length, FAILURE_THRESHOLD);
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+    assert.equal(env.ROUTER_RETRY_QUEUE.pending.length, FAILURE_THRESHOLD + 1);
+    assert.match(
+      message.headers.get("X-ChittyOS-Route-Reason"),
+      /fallback=finance-breaker-open; queued=finance/,
+    );
+    assert.equal(healthOf(env, env.FINANCE_ROUTER_URL).skipped, 1);
+
+    // Other routers are unaffected
+    fetch.mock.mockImplementation(async () => new Response("ok"));
+    assert.equal(await post(env, "compliance"), undefined);
+  });
+
+  it("lets a probe through once the breaker is half-open", async (t) => {
+    const requests = stubFetch(t, failing);
+    const env = createEnv();
+    for (let i = 0; i < FAILURE_THRESHOLD; i++) await post(env);
+
+    // A failed probe reopens the breaker
+    await expireBreaker(env, env.FINANCE_ROUTER_URL);
+    await post(env);
+    assert.equal(requests.length, FAILURE_THRESHOLD + 1);
+    const reopened = healthOf(env, env.FINANCE_ROUTER_URL);
+    assert.equal(reopened.state, "open");
+    assert.ok(Date.parse(reopened.retryAt) > Date.now());
+
+    // A successful one closes it
+    await expireBreaker(env, env.FINANCE_ROUTER_URL);
+    fetch.mock.mockImplementation(async () => new Response("ok"));
+    assert.equal(await post(env), undefined);
+    const closed = healthOf(env, env.FINANCE_ROUTER_URL);
+    assert.equal(closed.state, "closed");
+    assert.equal(closed.consecutiveFailures, 0);
+  });
+
+  it("posts without tracking when ROUTER_HEALTH is missing", async (t) => {
+    const requests = stubFetch(t, failing);
+    const env = createEnv({ ROUTER_HEALTH: undefined });
+    for (let i = 0; i <= FAILURE_THRESHOLD; i++) await post(env);
+    assert.equal(requests.length, FAILURE_THRESHOLD + 1);
+  });
+});
+
+describe("router health reporting", () => {
+  it("shows breaker state on /health", async (t) => {
+    stubFetch(t, failing);
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    for (let i = 0; i < FAILURE_THRESHOLD; i++) await post(env);
+
+    const response = await api(env, "/health");
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.status, "degraded");
+    assert.deepEqual(
+      body.routers.map((router) => [
+        router.url,
+        router.workstreams,
+        router.state,
+      ]),
+      [
+        [env.EVIDENCE_ROUTER_URL, ["litigation"], "closed"],
+        [env.FINANCE_ROUTER_URL, ["finance"], "open"],
+        [env.COMPLIANCE_ROUTER_URL, ["compliance"], "closed"],
+        [env.TRACKING_ROUTER_URL, ["tracking"], "closed"],
+      ],
+    );
+    assert.equal(body.routers[1].week.failures, FAILURE_THRESHOLD);
+    assert.equal(body.routers[1].days, undefined);
+
+    await expireBreaker(env, env.FINANCE_ROUTER_URL);
+    const later = await (await api(env, "/health")).json();
+    assert.equal(later.routers[1].state, "half-open");
+  });
+
+  it("lists the workstreams sharing a router under it", async (t) => {
+    stubFetch(t);
+    const env = createEnv({
+      CHITTY_API_KEY: "test-key",
+      COMPLIANCE_ROUTER_URL: undefined,
+    });
+    const body = await (await api(env, "/health")).json();
+    assert.deepEqual(
+      body.routers.map((router) => [router.url, router.workstreams]),
+      [
+        [env.EVIDENCE_ROUTER_URL, ["litigation", "compliance"]],
+        [env.FINANCE_ROUTER_URL, ["finance"]],
+        [env.TRACKING_ROUTER_URL, ["tracking"]],
+      ],
+    );
+  });
+
+  it("includes router health in the weekly report", async (t) => {
+    const requests = stubFetch(t);
+    const env = createEnv();
+    await post(env);
+    await worker.scheduled({ cron: "0 9 * * MON" }, env, {});
+
+    const { stats, report } = requests.at(-1).body;
+    const finance = stats.routers.find((r) => r.url === env.FINANCE_ROUTER_URL);
+    assert.equal(finance.week.successes, 1);
+    assert.match(report, /ROUTER HEALTH/);
+    assert.match(report, /finance\s+closed\s+1 ok\s+0 failed/);
+  });
+});
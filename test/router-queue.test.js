@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import {
+  sendToCertifiedTracking,
+  sendToEvidenceRouter,
+} from "../src/delivery.js";
+import { MAX_ATTEMPTS, retryDelay } from "../src/router-queue.js";
+import {
+  createEnv,
+  createMessage,
+  forwardedTo,
+  quietConsole,
+  stubFetch,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+const failing = () => new Response("down", { status: 503 });
+
+// Deliver queued retries to the worker's queue() handler
+const dispatch = (env) =>
+  env.ROUTER_RETRY_QUEUE.dispatch((batch) => worker.queue(batch, env, {}));
+
+describe("router retry queue", () => {
+  it("backs off exponentially up to an hour", () => {
+    assert.deepEqual(
+      [1, 2, 3, 4, 5, 6, 7].map(retryDelay),
+      [60, 120, 240, 480, 960, 1920, 3600],
+    );
+  });
+
+  it("queues failed workstream posts and still uses the fallback", async (t) => {
+    stubFetch(t, failing);
+    const env = createEnv();
+    const message = createMessage({ to: "evidence@chitty.cc" });
+    await worker.email(message, env, {});
+
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+    const [queued] = env.ROUTER_RETRY_QUEUE.pending;
+    assert.equal(queued.delaySeconds, 60);
+    assert.equal(queued.body.post.router, "litigation");
+    assert.equal(queued.body.post.url, env.EVIDENCE_ROUTER_URL);
+    assert.equal(queued.body.error, "litigation router returned 503: down");
+    assert.equal(JSON.parse(queued.body.post.body).to, "evidence@chitty.cc");
+
+    const [traceKey] = env.EMAIL_ANALYTICS.keys("trace:");
+    assert.match(
+      env.EMAIL_ANALYTICS.json(traceKey).routeReason,
+      /fallback=litigation-router-failed; queued=litigation/,
+    );
+  });
+
+  it("forwards to the fallback when the retry queue is missing", async (t) => {
+    stubFetch(t, failing);
+    const env = createEnv({ ROUTER_RETRY_QUEUE: undefined });
+    const message = createMessage({ to: "billing@chitty.cc" });
+    await worker.email(message, env, {});
+
+    assert.deepEqual(forwardedTo(message), ["mgmt@aribia.llc"]);
+    const [key] = env.EMAIL_ANALYTICS.keys("email:");
+    assert.equal(env.EMAIL_ANALYTICS.json(key).deliveries[0].queued, false);
+  });
+
+  it("marks thrown router errors as queued", async (t) => {
+    stubFetch(t, failing);
+    const env = createEnv();
+
+    await assert.rejects(
+      sendToEvidenceRouter(env, createMessage(), null, "tx-1", "finance"),
+      (error) => error.queued === true,
+    );
+    await assert.rejects(
+      sendToEvidenceRouter({}, createMessage(), null, "tx-2"),
+      (error) => !error.queued,
+    );
+  });
+
+  it("queues certified tracking records instead of dropping them", async (t) => {
+    stubFetch(t, failing);
+    const env = createEnv();
+    await sendToCertifiedTracking(env, createMessage(), null, "tx-1");
+
+    const [queued] = env.ROUTER_RETRY_QUEUE.pending;
+    assert.equal(queued.body.post.router, "tracking");
+    assert.equal(
+      queued.body.post.headers["X-ChittyOS-Event"],
+      "certified-tracking",
+    );
+  });
+
+  it("delivers queued posts once the router recovers", async (t) => {
+    const requests = stubFetch(t, failing);
+    const env = createEnv();
+    await sendToCertifiedTracking(env, createMessage(), null, "tx-1");
+
+    const [first] = await dispatch(env);
+    assert.equal(first.retry.mock.calls[0].arguments[0].delaySeconds, 120);
+
+    fetch.mock.mockImplementation(async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) });
+      return new Response("ok");
+    });
+    const [second] = await dispatch(env);
+
+    assert.equal(second.attempts, 2);
+    assert.equal(second.ack.mock.callCount(), 1);
+    assert.equal(env.ROUTER_RETRY_QUEUE.pending.length, 0);
+    assert.equal(requests.at(-1).body.trackingType, "certified-bcc");
+  });
+
+  it("dead-letters a post after the last attempt", async (t) => {
+    stubFetch(t, failing);
+    const env = createEnv();
+    await sendToEvidenceRouter(env, createMessage(), null, "tx-1").catch(
+      () => {},
+    );
+
+    let messages;
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+      messages = await dispatch(env);
+    }
+
+    assert.equal(messages[0].ack.mock.callCount(), 1);
+    assert.equal(messages[0].retry.mock.callCount(), 0);
+    assert.equal(env.ROUTER_RETRY_QUEUE.pending.length, 0);
+
+    const [key] = env.DEAD_LETTERS.keys("dead:");
+    const deadLetter = env.DEAD_LETTERS.json(key);
+    assert.equal(deadLetter.kind, "router-post");
+    assert.equal(deadLetter.target, "litigation");
+    assert.equal(deadLetter.transactionId, "tx-1");
+    assert.equal(deadLetter.attempts, MAX_ATTEMPTS);
+    assert.equal(deadLetter.post.url, env.EVIDENCE_ROUTER_URL);
+    assert.equal(env.DEAD_LETTERS.metadata.get(key).target, "litigation");
+  });
+
+  it("keeps posts too large for a queue message in DEAD_LETTERS", async (t) => {
+    stubFetch(t, failing);
+    const env = createEnv();
+    const message = createMessage({ body: "x".repeat(200 * 1024) });
+    await sendToEvidenceRouter(env, message, null, "tx-1").catch(() => {});
+
+    const [queued] = env.ROUTER_RETRY_QUEUE.pending;
+    assert.equal(queued.body.post.body, undefined);
+    assert.match(queued.body.pendingKey, /^pending:/);
+    assert.ok(env.DEAD_LETTERS.json(queued.body.pendingKey).body.length > 0);
+
+    fetch.mock.mockImplementation(async () => new Response("ok"));
+    await dispatch(env);
+    assert.deepEqual(env.DEAD_LETTERS.keys(), []);
+  });
+});
@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { decideRoute } from "../src/routing/decision.js";
+import { DEFAULT_ROUTING_CONFIG } from "../src/routing/default-config.js";
+import { currentOnCall, isScheduleOpen } from "../src/routing/schedules.js";
+import { createTrace } from "../src/routing/trace.js";
+import { createEnv, quietConsole } from "./helpers/mocks.js";
+
+quietConsole();
+
+const businessHours = DEFAULT_ROUTING_CONFIG.schedules["business-hours"];
+const at = (iso) => new Date(iso);
+
+describe("isScheduleOpen", () => {
+  it("follows business hours in America/Chicago", () => {
+    // Monday 2 March 2026, standard time (UTC-6)
+    assert.equal(isScheduleOpen(businessHours, at("2026-03-02T14:59Z")), false);
+    assert.equal(isScheduleOpen(businessHours, at("2026-03-02T15:00Z")), true);
+    assert.equal(isScheduleOpen(businessHours, at("2026-03-02T22:59Z")), true);
+    assert.equal(isScheduleOpen(businessHours, at("2026-03-02T23:00Z")), false);
+    // Saturday
+    assert.equal(isScheduleOpen(businessHours, at("2026-03-07T16:00Z")), false);
+  });
+
+  it("moves with daylight saving time", () => {
+    // 14:30 UTC is 08:30 before the 8 March change and 09:30 after it
+    assert.equal(isScheduleOpen(businessHours, at("2026-03-02T14:30Z")), false);
+    assert.equal(isScheduleOpen(businessHours, at("2026-03-09T14:30Z")), true);
+    assert.equal(isScheduleOpen(businessHours, at("2026-03-09T22:30Z")), false);
+  });
+
+  it("is closed on holidays", () => {
+    const schedule = { ...businessHours, holidays: ["2026-12-25"] };
+    assert.equal(isScheduleOpen(schedule, at("2026-12-25T16:00Z")), false);
+    assert.equal(isScheduleOpen(schedule, at("2026-12-24T16:00Z")), true);
+  });
+
+  it("runs overnight ranges into the next day", () => {
+    const schedule = { timezone: "UTC", hours: { fri: "22:00-06:00" } };
+    // Friday 6 March 2026
+    assert.equal(isScheduleOpen(schedule, at("2026-03-06T21:59Z")), false);
+    assert.equal(isScheduleOpen(schedule, at("2026-03-06T23:00Z")), true);
+    assert.equal(isScheduleOpen(schedule, at("2026-03-07T05:59Z")), true);
+    assert.equal(isScheduleOpen(schedule, at("2026-03-07T06:00Z")), false);
+    // Thursday night is not covered
+    assert.equal(isScheduleOpen(schedule, at("2026-03-05T23:00Z")), false);
+
+    const holiday = { ...schedule, holidays: ["2026-03-07"] };
+    assert.equal(isScheduleOpen(holiday, at("2026-03-07T05:00Z")), false);
+  });
+});
+
+describe("currentOnCall", () => {
+  const rotation = DEFAULT_ROUTING_CONFIG.onCall.management;
+
+  it("hands over at the start time each week", () => {
+    // The rotation starts Monday 5 January 2026 at 09:00 Chicago time
+    assert.equal(currentOnCall(rotation, at("2026-01-05T15:00Z")), "nick");
+    assert.equal(currentOnCall(rotation, at("2026-01-12T14:59Z")), "nick");
+    assert.equal(currentOnCall(rotation, at("2026-01-12T15:00Z")), "sharon");
+    assert.equal(currentOnCall(rotation, at("2026-01-19T15:00Z")), "nick");
+    // Before the start the rotation runs backwards
+    assert.equal(currentOnCall(rotation, at("2026-01-04T15:00Z")), "sharon");
+  });
+
+  it("prefers overrides", () => {
+    const swapped = {
+      ...rotation,
+      overrides: [{ from: "2026-01-13", until: "2026-01-14", to: "mgmt" }],
+    };
+    assert.equal(currentOnCall(swapped, at("2026-01-13T12:00Z")), "mgmt");
+    assert.equal(currentOnCall(swapped, at("2026-01-14T12:00Z")), "sharon");
+  });
+
+  it("is null without anyone to call", () => {
+    const now = at("2026-01-13T12:00Z");
+    assert.equal(currentOnCall({ ...rotation, rotation: [] }, now), null);
+    assert.equal(currentOnCall({ ...rotation, start: "soon" }, now), null);
+  });
+});
+
+describe("after-hours on-call routing", () => {
+  // Sunday 1 March 2026, 21:00 in Chicago
+  const afterHours = at("2026-03-02T03:00Z");
+
+  function route(onCall) {
+    const config = structuredClone(DEFAULT_ROUTING_CONFIG);
+    config.rules.find((r) => r.id === "ai-urgent-after-hours").enabled = true;
+    Object.assign(config.onCall.management, onCall);
+    const trace = createTrace("tx-1");
+    const decision = decideRoute(
+      {
+        from: "alice@example.com",
+        to: "support@chitty.cc",
+        headers: new Headers(),
+        ai: { classification: "general", urgency: "critical" },
+        trace,
+        now: afterHours,
+      },
+      config,
+      createEnv(),
+    );
+    return { decision, trace };
+  }
+
+  it("forwards urgent mail to whoever is on call", () => {
+    const { decision } = route({});
+    assert.equal(decision.ruleId, "ai-urgent-after-hours");
+    assert.equal(decision.forwardTargets[0].onCall, "management");
+  });
+
+  it("skips the rule when no one is on call", () => {
+    for (const onCall of [{ rotation: [] }, { start: "not a date" }]) {
+      const { decision, trace } = route(onCall);
+      assert.equal(decision.ruleId, "ai-urgent");
+      assert.ok(
+        trace.steps.some(
+          (step) =>
+            step.event === "skipped" &&
+            step.rule === "ai-urgent-after-hours" &&
+            /No one is on call/.test(step.why),
+        ),
+      );
+    }
+  });
+});
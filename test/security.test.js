@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { isSpamQuick } from "../src/pipeline/stages/security.js";
+import { createMessage } from "./helpers/mocks.js";
+
+describe("isSpamQuick", () => {
+  it("passes ordinary mail", async () => {
+    assert.equal(await isSpamQuick(createMessage()), false);
+  });
+
+  it("flags spam keywords in the subject, ignoring case", async () => {
+    for (const subject of [
+      "Cheap VIAGRA",
+      "Your inheritance awaits",
+      "Limited time offer",
+      "Bitcoin mining rigs",
+    ]) {
+      assert.equal(
+        await isSpamQuick(createMessage({ subject })),
+        true,
+        subject,
+      );
+    }
+  });
+
+  it("flags numbered and malformed sender addresses", async () => {
+    assert.equal(
+      await isSpamQuick(createMessage({ from: "user123456@mailer.test" })),
+      true,
+    );
+    assert.equal(
+      await isSpamQuick(createMessage({ from: "first..last@mailer.test" })),
+      true,
+    );
+    assert.equal(
+      await isSpamQuick(createMessage({ from: "user1234@mailer.test" })),
+      false,
+    );
+  });
+
+  it("passes mail without a subject", async () => {
+    const message = createMessage();
+    message.headers.delete("subject");
+    assert.equal(await isSpamQuick(message), false);
+  });
+});
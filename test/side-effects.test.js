@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import {
+  createEnv,
+  createMessage,
+  forwardedTo,
+  quietConsole,
+  stubFetch,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+const WEBHOOK_URL = "https://hooks.test/priority";
+const priorityMessage = () =>
+  createMessage({ from: "noreply-ci@github.com", to: "dev@chitty.cc" });
+
+// A ctx whose waitUntil collects the deferred work
+function createCtx() {
+  const pending = [];
+  return {
+    pending,
+    waitUntil: (promise) => pending.push(promise),
+    settle: () => Promise.all(pending),
+  };
+}
+
+describe("deferred side effects", () => {
+  it("returns after delivery and writes analytics in the background", async (t) => {
+    stubFetch(t);
+    let answerWebhook;
+    fetch.mock.mockImplementation(
+      (url) =>
+        new Promise((resolve) => {
+          answerWebhook = () => resolve(new Response("ok"));
+        }),
+    );
+    const env = createEnv({ WEBHOOK_URL });
+    const ctx = createCtx();
+    const message = priorityMessage();
+    await worker.email(message, env, ctx);
+
+    // Delivered, with the webhook still open and analytics waiting on it
+    assert.deepEqual(forwardedTo(message), ["no-reply@itcan.llc"]);
+    assert.equal(ctx.pending.length, 1);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(env.EMAIL_ANALYTICS.keys("email:"), []);
+    assert.equal(env.RATE_LIMITS.keys("rate:").length, 1);
+
+    answerWebhook();
+    await ctx.settle();
+    const [key] = env.EMAIL_ANALYTICS.keys("email:");
+    assert.equal(env.EMAIL_ANALYTICS.json(key).priority, true);
+  });
+
+  it("waits for side effects without ctx.waitUntil", async (t) => {
+    stubFetch(t);
+    const env = createEnv({ WEBHOOK_URL });
+    await worker.email(priorityMessage(), env, {});
+
+    assert.equal(env.EMAIL_ANALYTICS.keys("email:").length, 1);
+  });
+
+  it("reports failures to the error sink without affecting others", async (t) => {
+    stubFetch(t, (request) =>
+      request.url === WEBHOOK_URL
+        ? new Response("nope", { status: 500 })
+        : new Response("ok"),
+    );
+    const env = createEnv({ WEBHOOK_URL });
+    env.RATE_LIMITS.put = async () => {
+      throw new Error("KV write limit");
+    };
+    const ctx = createCtx();
+    const message = priorityMessage();
+    await worker.email(message, env, ctx);
+    await ctx.settle();
+
+    assert.deepEqual(forwardedTo(message), ["no-reply@itcan.llc"]);
+    const errors = env.EMAIL_ANALYTICS.keys("error:");
+    assert.equal(errors.length, 2);
+    const bySource = Object.fromEntries(
+      errors.map((key) => {
+        const entry = env.EMAIL_ANALYTICS.json(key);
+        return [entry.source, entry.error];
+      }),
+    );
+    assert.deepEqual(bySource, {
+      webhook: "Webhook returned 500",
+      "rate-limit-update": "KV write limit",
+    });
+
+    // The analytics record is still written after the failed webhook
+    assert.equal(env.EMAIL_ANALYTICS.keys("email:").length, 1);
+  });
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { DEFAULT_ROUTING_CONFIG } from "../src/routing/default-config.js";
+import {
+  api,
+  createEnv,
+  publishConfig,
+  quietConsole,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+function simulate(env, input) {
+  return api(env, "/simulate", {
+    method: "POST",
+    body: { from: "alice@example.com", ai: false, ...input },
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+describe("/simulate", () => {
+  it("explains the route a message would take", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const response = await simulate(env, { to: "support@chitty.cc" });
+    const { decision, aiSource } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(aiSource, "none");
+    assert.equal(decision.action, "forward");
+    assert.deepEqual(decision.forwardTo, ["mgmt@aribia.llc"]);
+    assert.equal(decision.aiOverride, null);
+    assert.ok(decision.trace.length > 0);
+    // Nothing is delivered or recorded
+    assert.deepEqual(env.EMAIL_ANALYTICS.keys(), []);
+  });
+
+  it("shows the route AI overrides", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const response = await simulate(env, {
+      to: "support@chitty.cc",
+      ai: { classification: "legal" },
+    });
+    const { decision, aiSource } = await response.json();
+
+    assert.equal(aiSource, "request");
+    assert.deepEqual(decision.workstreams, ["litigation"]);
+    assert.deepEqual(decision.aiOverride.forwardTo, ["mgmt@aribia.llc"]);
+    assert.match(decision.routeReason, /ai-override=/);
+  });
+
+  it("answers 422 with the trace when the configuration cannot route", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const config = structuredClone(DEFAULT_ROUTING_CONFIG);
+    config.defaults.routes.support = "nobody";
+    await publishConfig(env, config);
+
+    const response = await simulate(env, { to: "support@chitty.cc" });
+    const body = await response.json();
+    assert.equal(response.status, 422);
+    assert.match(body.error, /Unknown routing destination: nobody/);
+    assert.equal(
+      body.trace.at(-1).error,
+      "Unknown routing destination: nobody",
+    );
+  });
+
+  it("requires from and to addresses", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    for (const input of [
+      { to: 42 },
+      { to: "support@chitty.cc", from: ["x"] },
+    ]) {
+      assert.equal((await simulate(env, input)).status, 400);
+    }
+  });
+
+  it("applies the pipeline's security checks", async () => {
+    const env = createEnv({ CHITTY_API_KEY: "test-key" });
+    const spam = await (
+      await simulate(env, { to: "support@chitty.cc", subject: "You have WON" })
+    ).json();
+    assert.equal(spam.decision.action, "reject");
+    assert.equal(spam.decision.reason, "Message classified as spam");
+
+    await env.RATE_LIMITS.put(
+      "rate:alice@example.com",
+      JSON.stringify({ count: 51, window: Date.now() }),
+    );
+    const limited = await (
+      await simulate(env, { to: "support@chitty.cc" })
+    ).json();
+    assert.match(limited.decision.reason, /Rate limit exceeded/);
+
+    // Switched off for the domain, as email() would
+    const config = structuredClone(DEFAULT_ROUTING_CONFIG);
+    config.defaults.stages = { "rate-limit": false };
+    await publishConfig(env, config);
+    const allowed = await (
+      await simulate(env, { to: "support@chitty.cc" })
+    ).json();
+    assert.equal(allowed.decision.action, "forward");
+  });
+});
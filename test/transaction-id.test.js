@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import worker from "../email-worker.js";
+import { listRecordKeys } from "../src/analytics.js";
+import {
+  createTransactionId,
+  isTransactionId,
+  parseTransactionId,
+  timeRangePrefixes,
+  transactionIdPrefix,
+} from "../src/transaction-id.js";
+import {
+  createEnv,
+  createMessage,
+  quietConsole,
+  stubFetch,
+} from "./helpers/mocks.js";
+
+quietConsole();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("transaction IDs", () => {
+  it("are prefixed ULIDs that parse back to their time", () => {
+    const now = Date.parse("2026-10-19T12:00:00.123Z");
+    const id = createTransactionId("EMAIL", now);
+
+    assert.match(id, /^EMAIL-[0-9A-HJKMNP-TV-Z]{26}$/);
+    assert.ok(isTransactionId(id));
+    const parsed = parseTransactionId(id);
+    assert.equal(parsed.prefix, "EMAIL");
+    assert.equal(parsed.timestamp, now);
+    assert.equal(parsed.time.toISOString(), "2026-10-19T12:00:00.123Z");
+    assert.equal(parsed.random.length, 16);
+  });
+
+  it("sort by creation time and do not collide", () => {
+    const start = Date.now();
+    const ids = [3, 1, 2].map((offset) =>
+      createTransactionId("EMAIL", start + offset * 1000),
+    );
+    assert.deepEqual(
+      [...ids].sort().map((id) => parseTransactionId(id).timestamp),
+      [start + 1000, start + 2000, start + 3000],
+    );
+
+    const sameTime = new Set(
+      Array.from({ length: 1000 }, () => createTransactionId("EMAIL", start)),
+    );
+    assert.equal(sameTime.size, 1000);
+  });
+
+  it("rejects other strings, including the old format", () => {
+    for (const id of [
+      "EMAIL-1727000000000-abc123def",
+      "email-01J9Z8Q4M5T7X2K3V6B8N0C1D2",
+      "EMAIL-01J9Z8Q4M5T7X2K3V6B8N0C1DU",
+      "EMAIL-91J9Z8Q4M5T7X2K3V6B8N0C1D2",
+      null,
+    ]) {
+      assert.equal(isTransactionId(id), false, String(id));
+      assert.equal(parseTransactionId(id), null);
+    }
+    assert.throws(() => createTransactionId("bad prefix"));
+  });
+
+  it("take their prefix from TRANSACTION_ID_PREFIX", () => {
+    assert.equal(transactionIdPrefix({}), "EMAIL");
+    assert.equal(transactionIdPrefix({ TRANSACTION_ID_PREFIX: "mx2" }), "MX2");
+    assert.equal(
+      transactionIdPrefix({ TRANSACTION_ID_PREFIX: "no-dashes" }),
+      "EMAIL",
+    );
+  });
+});
+
+describe("time-range listing", () => {
+  it("covers a range with a few key prefixes", () => {
+    const end = new Date();
+    const start = new Date(end.getTime() - 7 * DAY);
+    const prefixes = timeRangePrefixes("ai:", start, end);
+    assert.ok(prefixes.length <= 32);
+
+    const covered = (time) => {
+      const key = `ai:${createTransactionId("EMAIL", time)}`;
+      return prefixes.some((prefix) => key.startsWith(prefix));
+    };
+    assert.ok(covered(start.getTime()));
+    assert.ok(covered(end.getTime() - DAY));
+    assert.ok(covered(end.getTime()));
+    assert.equal(covered(start.getTime() - 2 * DAY), false);
+    assert.deepEqual(timeRangePrefixes("ai:", end, start), []);
+  });
+
+  it("keys each message's records by its transaction ID", async (t) => {
+    stubFetch(t);
+    const env = createEnv({ TRANSACTION_ID_PREFIX: "MX" });
+    await worker.email(createMessage({ to: "support@chitty.cc" }), env, {});
+
+    const [key] = env.EMAIL_ANALYTICS.keys("email:");
+    const { transactionId } = env.EMAIL_ANALYTICS.json(key);
+    assert.equal(key, `email:${transactionId}`);
+    assert.equal(parseTransactionId(transactionId).prefix, "MX");
+    assert.deepEqual(env.EMAIL_ANALYTICS.keys("trace:"), [
+      `trace:${transactionId}`,
+    ]);
+
+    const listed = await listRecordKeys(
+      env,
+      "email",
+      new Date(Date.now() - DAY),
+      new Date(),
+    );
+    assert.deepEqual(
+      listed.map((k) => k.name),
+      [key],
+    );
+  });
+});
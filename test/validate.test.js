@@ -0,0 +1,228 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { describe, it } from "node:test";
+import { promisify } from "node:util";
+
+import { DEFAULT_ROUTING_CONFIG } from "../src/routing/default-config.js";
+import { validateConfig } from "../src/routing/validate.js";
+import { createEnv } from "./helpers/mocks.js";
+
+const run = promisify(execFile);
+
+// A small valid configuration for each case to break
+const base = () => ({
+  rules: [],
+  destinations: { mgmt: "mgmt@example.org" },
+  schedules: {
+    "business-hours": DEFAULT_ROUTING_CONFIG.schedules["business-hours"],
+  },
+});
+
+const drop = (id, match) => ({ id, match, action: { type: "drop" } });
+
+// One broken configuration per error the validator reports
+const ERRORS = {
+  "invalid-config": () => ({ destinations: {} }),
+  "invalid-rule": (config) => {
+    config.rules.push(null, 42, [drop("spam", {})]);
+  },
+  "missing-rule-id": (config) => {
+    config.rules.push({ action: { type: "drop" } });
+  },
+  "duplicate-rule-id": (config) => {
+    config.rules.push(drop("spam", { sender: "a@x.org" }));
+    config.rules.push(drop("spam", { sender: "b@x.org" }));
+  },
+  "unknown-action": (config) => {
+    config.rules.push({ id: "bounce", action: { type: "bounce" } });
+  },
+  "unknown-workstream": (config) => {
+    config.rules.push({
+      id: "hr",
+      action: { type: "workstream", workstream: "hr" },
+    });
+  },
+  "undefined-group": (config) => {
+    config.rules.push({ id: "all", action: { type: "group", group: "all" } });
+  },
+  "unknown-condition": (config) => {
+    config.rules.push(drop("subject", { subject: "spam" }));
+  },
+  "unknown-schedule": (config) => {
+    config.rules.push(drop("weekend", { during: "weekends" }));
+  },
+  "invalid-pattern": (config) => {
+    config.rules.push(drop("pattern", { local: "/[/" }));
+  },
+  "invalid-stages": (config) => {
+    config.defaults = { stages: ["ai"] };
+  },
+  "unknown-stage": (config) => {
+    config.defaults = { stages: { teleport: true } };
+  },
+  "invalid-destination": (config) => {
+    config.destinations.team = ["mgmt", 42];
+  },
+  "undefined-destination": (config) => {
+    config.rules.push({
+      id: "sales",
+      action: { type: "forward", to: "sales" },
+    });
+  },
+  "destination-loop": (config) => {
+    config.destinations.a = "b";
+    config.destinations.b = "a";
+  },
+  "group-cycle": (config) => {
+    config.groups = {
+      team: { members: ["mgmt", "group:board"] },
+      board: { members: ["group:team"] },
+    };
+  },
+  "mail-loop": (config) => {
+    config.domains = { "chitty.cc": {} };
+    config.groups = {
+      red: { members: ["blue@chitty.cc"] },
+      blue: { members: ["red@chitty.cc"] },
+    };
+  },
+};
+
+// One configuration per warning the validator reports
+const WARNINGS = {
+  "unknown-schedule": (config) => {
+    config.rules.push({ id: "later", action: { type: "defer", digest: "x" } });
+  },
+  "missing-binding": (config) => {
+    config.rules.push(drop("legal", { classification: "legal" }));
+  },
+  "unreachable-rule": (config) => {
+    config.rules.push(
+      { id: "all", priority: 1, action: { type: "forward", to: "mgmt" } },
+      drop("spam", { sender: "a@x.org" }),
+    );
+  },
+  "shadowed-rule": (config) => {
+    config.rules.push(
+      { ...drop("x-org", { sender: "*@x.org" }), priority: 1 },
+      drop("spam", { sender: "a@x.org" }),
+    );
+  },
+};
+
+function validate(change, env = createEnv()) {
+  const config = base();
+  return validateConfig(change(config) ?? config, env);
+}
+
+describe("validateConfig", () => {
+  it("accepts the base and built-in configurations", () => {
+    assert.deepEqual(
+      validate(() => {}),
+      {
+        valid: true,
+        errors: [],
+        warnings: [],
+        info: [],
+      },
+    );
+    assert.deepEqual(
+      validateConfig(DEFAULT_ROUTING_CONFIG, createEnv({ AI: {} })).errors,
+      [],
+    );
+  });
+
+  for (const [code, change] of Object.entries(ERRORS)) {
+    it(`reports ${code}`, () => {
+      const result = validate(change);
+      assert.equal(result.valid, false);
+      // A loop is reported from each destination on it
+      assert.deepEqual(
+        [...new Set(result.errors.map((error) => error.code))],
+        [code],
+      );
+    });
+  }
+
+  for (const [code, change] of Object.entries(WARNINGS)) {
+    it(`warns about ${code}`, () => {
+      const result = validate(change);
+      assert.equal(result.valid, true);
+      assert.deepEqual(
+        result.warnings.map((warning) => warning.code),
+        [code],
+      );
+    });
+  }
+
+  it("reports rules that are not a list", () => {
+    for (const rules of [{ spam: drop("spam", {}) }, "spam", null]) {
+      assert.deepEqual(
+        validateConfig({ ...base(), rules }).errors.map((error) => error.code),
+        ["invalid-config"],
+      );
+    }
+  });
+
+  it("notes AI rules that can take routed mail", () => {
+    const result = validate(
+      (config) => {
+        config.defaults = { routes: { support: "mgmt" } };
+        config.rules.push({
+          ...drop("legal", { classification: "legal" }),
+          priority: 100,
+        });
+      },
+      createEnv({ AI: {} }),
+    );
+    assert.deepEqual(
+      result.info.map((info) => [info.code, info.path]),
+      [["ai-override", "/defaults/routes/support"]],
+    );
+  });
+});
+
+describe("validate-config script", () => {
+  async function validateFile(config) {
+    const dir = await mkdtemp(join(tmpdir(), "routing-"));
+    const file = join(dir, "routing.json");
+    try {
+      await writeFile(file, JSON.stringify(config));
+      return await run(process.execPath, [
+        "scripts/validate-config.js",
+        file,
+      ]).catch((error) => error);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  }
+
+  it("passes a valid configuration", async () => {
+    const { stdout } = await validateFile(DEFAULT_ROUTING_CONFIG);
+    assert.match(stdout, /: 0 errors/);
+  });
+
+  it("fails on errors", async () => {
+    const config = base();
+    ERRORS["undefined-destination"](config);
+    const result = await validateFile(config);
+    assert.equal(result.code, 1);
+    assert.match(result.stdout, /error\s+undefined-destination/);
+    assert.match(
+      result.stdout,
+      /1 errors, 0 warnings \(publishing will be refused\)/,
+    );
+  });
+
+  it("fails when the file cannot be read", async () => {
+    const result = await run(process.execPath, [
+      "scripts/validate-config.js",
+      join(tmpdir(), "missing-routing.json"),
+    ]).catch((error) => error);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Cannot read/);
+  });
+});